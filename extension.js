@@ -1,70 +1,48 @@
 const vscode = require('vscode');
-const path = require('path');
+const { getWorkspaceResolver } = require('./src/workspaceResolver');
+const {
+	parse,
+	analyzeModules,
+	findDependencyAt,
+	findStatementAt,
+	getDependencyMap,
+	isSpecialDependency
+} = require('./src/moduleAnalysis');
+const { findAssignedValues } = require('./src/moduleBindings');
+const { ModuleIdCompletionProvider } = require('./src/moduleIdCompletionProvider');
+const { MemberCompletionProvider } = require('./src/memberCompletionProvider');
+const { HoverProvider } = require('./src/hoverProvider');
+const { ModuleReferenceProvider } = require('./src/moduleReferenceProvider');
+const { FileRenameHandler } = require('./src/fileRenameHandler');
+const { RenameProvider } = require('./src/renameProvider');
+const { DiagnosticsProvider } = require('./src/diagnosticsProvider');
+const { DependencyCodeActionProvider } = require('./src/dependencyCodeActionProvider');
+const { EsModuleMigration } = require('./src/esModuleMigration');
+const { DependencyGraphView } = require('./src/dependencyGraphView');
+const { DependencyGraphExporter } = require('./src/dependencyGraphExporter');
+const { DocumentLinkProvider } = require('./src/documentLinkProvider');
+const { getWorkspaceIndex, createRange } = require('./src/moduleIndex');
+const { getModuleExports } = require('./src/moduleExports');
+const { WorkspaceSymbolProvider } = require('./src/workspaceSymbolProvider');
+const { DocumentSymbolProvider } = require('./src/documentSymbolProvider');
 
 class ReferenceProvider {
 	/**
-	 * Return array containing object with start index of require/define and result
+	 * Return array describing define/require calls, sorted by position
 	 * @param {String} str String to process
-	 * @returns {Array} containing objects
+	 * @returns {Array} containing objects with type, id, dependencies, params and factory ranges
 	 */
-	getRequireOrDefineStatements (str) {
-		let match = /^[ \t]*(define|require)\s*\(([^)]*)/mgi;
-
-		let list = [];
-		let searchResult;
-
-		do {
-			searchResult = match.exec(String(str));
-			if (searchResult && searchResult[0]) {
-				// Set previous item's length
-				if (list[list.length - 1]) {
-					list[list.length - 1].end = searchResult.index;
-				}
-
-				list.push({
-					start: searchResult.index,
-					end: Infinity,
-					contents: searchResult[0]
-				});
-			}
-		} while (searchResult);
-
-		return list;
+	getModuleStatements (str) {
+		return analyzeModules(str).modules;
 	}
 
 	/**
 		 * Returns obj with name/path pairs from define/require statement
-		 * @param {String} str String to process
+		 * @param {Object} statement Statement as returned by getModuleStatements
 		 * @returns {Object} Contains name/path pairs
 		 */
-	getModulesWithPathFromRequireOrDefine (str) {
-		let list, result;
-		const array = /\[[^\]]*\]/gi;
-		const params = /function\s*\([^)]*/gi;
-
-		let m = array.exec(str);
-
-		if (m) {
-			list = JSON.parse(m[0].split('\'').join('"'));
-		}
-
-		m = params.exec(str);
-
-		if (m) {
-			const test = /([^\s,]+)/g;
-
-			result = m[0].slice(m[0].indexOf('(') + 1).match(test);
-		}
-
-		const moduleList = {};
-
-		if (result) {
-			result.forEach((value, index) => {
-				moduleList[value] = list[index];
-			});
-		}
-
-		return moduleList;
+	getModulesWithPathFromRequireOrDefine (statement) {
+		return getDependencyMap(statement);
 	}
 
 	/**
@@ -73,22 +51,7 @@ class ReferenceProvider {
 		 * @returns {Array} Array of objects containing start + end indexes for comment
 		 */
 	findComments (str) {
-		const comments = /(\/\*([^*]|[\r\n]|(\*+([^*/]|[\r\n])))*\*+\/)|(\/\/.*)/mg;
-
-		let list = [];
-		let searchResult;
-
-		do {
-			searchResult = comments.exec(String(str));
-			if (searchResult && searchResult[0]) {
-				list.push({
-					start: searchResult.index,
-					end: searchResult.index + searchResult[0].length
-				});
-			}
-		} while (searchResult);
-
-		return list;
+		return analyzeModules(str).comments;
 	}
 
 	/**
@@ -101,64 +64,153 @@ class ReferenceProvider {
 		 * @returns {Array} Array containing references
 		 */
 	findConstructor (document, needle, haystack, startOffset = 0, endOffset = Infinity) {
-		const test = new RegExp('\\b(?:' + needle + '\\s*=\\s*(?:new)?\\s*)([^\\s(;]*)', 'g');
+		const getName = node => node.type === 'MemberExpression' ? node.property : node;
+
+		return findAssignedValues(parse(String(haystack)).ast, needle, startOffset, endOffset)
+			// Follow `new a()`, `a()` and `a` to a
+			.map(value => getName(
+				value.type === 'NewExpression' || value.type === 'CallExpression' ? value.callee : value
+			))
+			.filter(constructor => constructor.type === 'Identifier')
+			.map(constructor => new vscode.Location(document.uri, new vscode.Range(
+				document.positionAt(constructor.start),
+				document.positionAt(constructor.end)
+			)));
+	}
 
-		test.lastIndex = startOffset;
-		let searchResult;
+	/**
+		 * Finds where a member of a library is defined: a function declaration, an assignment to a property
+		 * or a property of an object literal, in this order
+		 * @param {String} str Source of the library
+		 * @param {String} name Member name
+		 * @param {Array} commentRanges Comments as returned by findComments
+		 * @returns {Integer} offset of the member name, -1 if no definition is found
+		 */
+	findMemberDefinition (str, name, commentRanges) {
+		const escaped = name.replace(/[$.*+?^()|[\]{}\\]/g, '\\$&');
+		// Names may start or end with $, which \b does not treat as part of a word
+		const patterns = [
+			`(^|[^\\w$])function\\s+${escaped}(?![\\w$])`,
+			`\\.${escaped}\\s*=(?!=)`,
+			`(^|[^\\w$])${escaped}\\s*:`
+		];
+
+		for (let i = 0; i < patterns.length; i++) {
+			const test = new RegExp(patterns[i], 'g');
+
+			for (let match = test.exec(str); match; match = test.exec(str)) {
+				const offset = match.index + match[0].lastIndexOf(name);
+
+				if (!this.checkIfCommentedOut(commentRanges, offset)) {
+					return offset;
+				}
+			}
+		}
 
-		const references = [];
+		return -1;
+	}
 
-		do {
-			searchResult = test.exec(haystack);
-			if (searchResult && searchResult.index <= endOffset) {
-				const newPosition = document.positionAt(searchResult.index + searchResult[0].length);
+	/**
+		 * Finds a member in the source of a module which is not indexed: the property key of the exported
+		 * object literal or returned value, or for installed libraries the place the library defines it
+		 * @param {String} str Source of the module
+		 * @param {Object} resolution Resolution of the module as returned by ModuleResolver.resolveFile
+		 * @param {String} name Member name
+		 * @param {Array} commentRanges Comments as returned by findComments
+		 * @returns {Object|null} start and end of the member name, null if it is not found
+		 */
+	findModuleMember (str, resolution, name, commentRanges) {
+		const member = getModuleExports(str, resolution.id).members.find(item => item.name === name);
 
-				const range = document.getWordRangeAtPosition(newPosition);
+		if (member) {
+			return { start: member.start, end: member.end };
+		}
 
-				if (range) {
-					references.push(new vscode.Location(document.uri, range));
-				}
-			}
-		} while (searchResult);
+		const offset = resolution.kind === 'package' ? this.findMemberDefinition(str, name, commentRanges) : -1;
 
-		return references;
+		return offset === -1 ? null : { start: offset, end: offset + name.length };
 	}
 
 	/**
 		 * Diverges the search to the given module
 		 * @param {String} currentFilePath Current file path to start search from
-		 * @param {String} modulePath Require path of the target module
-		 * @param {String} searchFor The string to search for inside the module
+		 * @param {String} modulePath Require path of the target module, may be prefixed by a loader plugin
+		 * @param {String} searchForInModule The string to search for inside the module
 		 * @param {Bool} stopSearchingFurther If set to true, do not continue following definitions.
-		 * @returns {Promise} resolves with file location
+		 * @returns {Promise} resolves with file location, or locations of an i18n bundle and its locales,
+		 * undefined for the special dependencies require, exports and module which have no file
 		 */
-	searchModule (currentFilePath, modulePath, searchFor, stopSearchingFurther) {
-		let newUriPath;
+	searchModule (currentFilePath, modulePath, searchForInModule, stopSearchingFurther) {
+		if (isSpecialDependency(modulePath)) {
+			return Promise.resolve(undefined);
+		}
 
-		if ((modulePath.match(/^\./i))) {
-			newUriPath = path.resolve(currentFilePath, '../' + modulePath);
-		} else {
-			const rootModulePath = vscode.workspace.getConfiguration('requireModuleSupport').get('modulePath');
+		const resolver = getWorkspaceResolver(currentFilePath);
+		const resolution = resolver.resolveFile(modulePath, currentFilePath);
+		const newUriPath = resolution.path || resolution.candidates[0];
 
-			newUriPath = path.resolve(vscode.workspace.rootPath, rootModulePath, modulePath);
+		if (!newUriPath) {
+			return Promise.resolve(undefined);
 		}
-		if (!newUriPath.match(/\.js$/i)) {
-			newUriPath += '.js';
+
+		// Resources of loader plugins like text! are not modules, just open them
+		const searchInside = !resolution.plugin || Boolean(resolver.findExtension(newUriPath));
+		const searchFor = searchInside ? searchForInModule : '';
+		const variants = (resolution.variants || [])
+			.map(variant => new vscode.Location(vscode.Uri.file(variant), new vscode.Position(0, 0)));
+		const search = this.searchModuleFile(newUriPath, resolution, searchFor, stopSearchingFurther);
+
+		// List locale bundles of i18n! resources after the root bundle
+		return variants.length ? search.then(location => [].concat(location || [], variants)) : search;
+	}
+
+	/**
+		 * Searches the file of a resolved module for the given string
+		 * @param {String} filePath Path of the module file
+		 * @param {Object} resolution Resolution of the module id as returned by the module resolver
+		 * @param {String} searchFor The string to search for inside the module, empty to open the file only
+		 * @param {Bool} stopSearchingFurther If set to true, do not continue following definitions.
+		 * @returns {Promise} resolves with the location found, the start of the file if the string is not found,
+		 * undefined if the file cannot be opened
+		 */
+	searchModuleFile (filePath, resolution, searchFor, stopSearchingFurther) {
+		const newUri = vscode.Uri.file(filePath);
+		const onlyNavigateToFile = vscode.workspace.getConfiguration('requireModuleSupport').get('onlyNavigateToFile');
+		const searchText = searchFor && !onlyNavigateToFile;
+		const indexed = searchText ? getWorkspaceIndex().getModule(filePath, resolution.id) : null;
+		const member = indexed && indexed.exports && indexed.exports.members.find(item => item.name === searchFor);
+
+		// Exported members are looked up in the module index without opening the file
+		if (member) {
+			return Promise.resolve(new vscode.Location(newUri, createRange(member.range)));
 		}
 
-		const newUri = vscode.Uri.file(newUriPath);
+		// Modules which are not indexed, like installed libraries or files with unsaved changes, are parsed
+		const parseMember = searchText && !indexed;
 		const newDocument = vscode.workspace.openTextDocument(newUri);
 
 		return new Promise(resolve => {
 			newDocument.then(doc => {
 				const newFullText = doc.getText();
-				const test = new RegExp('(\\b' + searchFor + '\\b)', 'g');
+				const commentRanges = this.findComments(newFullText);
+				const definition = parseMember
+					? this.findModuleMember(newFullText, resolution, searchFor, commentRanges)
+					: null;
+				// Escaped like in findMemberDefinition, names may start or end with $ which \b does not match
+				const escaped = searchFor.replace(/[$.*+?^()|[\]{}\\]/g, '\\$&');
+				const test = new RegExp(`(?<![\\w$])${escaped}(?![\\w$])`, 'g');
 				let searchResult;
 				let found = false;
 
-				const onlyNavigateToFile = vscode.workspace.getConfiguration('requireModuleSupport').get('onlyNavigateToFile');
+				if (definition) {
+					const range = new vscode.Range(doc.positionAt(definition.start), doc.positionAt(definition.end));
+
+					resolve(new vscode.Location(newUri, range));
 
-				if (!onlyNavigateToFile && searchFor) {
+					return;
+				}
+
+				if (searchText) {
 					do {
 						searchResult = test.exec(newFullText);
 
@@ -167,22 +219,18 @@ class ReferenceProvider {
 							const newPosition = doc.positionAt(searchResult.index);
 
 							// If not inside a comment, continue at this reference
-							const simpleComment = /^\s*\*/gm;
-
-							if (!simpleComment.test(doc.lineAt(newPosition._line).text)) {
+							if (!this.checkIfCommentedOut(commentRanges, searchResult.index)) {
 								if (stopSearchingFurther) {
 									resolve(new vscode.Location(newUri, newPosition));
 
 									return;
 								}
 
-								// Invoke a new providerbeginning from the new location
-								vscode.commands.executeCommand('vscode.executeDefinitionProvider', newUri, newPosition).then(refs => {
-									if (refs.length > 0) {
-										resolve(refs);
-									} else {
-										resolve(new vscode.Location(newUri, newPosition));
-									}
+								// Follow the reference into further modules, which are looked up in the module index
+								this.provideDefinition(doc, newPosition).then(refs => {
+									const locations = [].concat(refs || []);
+
+									resolve(locations.length ? locations : new vscode.Location(newUri, newPosition));
 								});
 
 								return;
@@ -192,45 +240,13 @@ class ReferenceProvider {
 				}
 
 				// Only navigate to the file
-				if (!found || onlyNavigateToFile) {
+				if (!found) {
 					resolve(new vscode.Location(newUri, new vscode.Position(0, 0)));
 				}
 			}, () => resolve(undefined));
 		});
 	}
 
-	/**
-		 * returns the string literal's contents in document covering range
-		 * @param {Document} document VSCode Document to extract the string
-		 * @param {Range} range VSCode Seed range
-		 * @returns {String} extracted string
-		 */
-	extractString (document, range) {
-		let char;
-
-		const line = document.lineAt(range._start._line).text;
-
-		let startOffset = 0;
-
-		char = line[range._start._character - startOffset];
-		while (char !== '\'' && char !== '"' && range._start._character - startOffset >= 0) {
-			startOffset++;
-			char = line[range._start._character - startOffset];
-		}
-
-		let endOffset = 0;
-
-		char = line[range._start._character + endOffset];
-		while (char !== '\'' && char !== '"' && range._start._character + endOffset < line.length) {
-			endOffset++;
-			char = line[range._start._character + endOffset];
-		}
-
-		return document.getText(new vscode.Range(
-			new vscode.Position(range._start._line, range._start._character - startOffset + 1),
-			new vscode.Position(range._start._line, range._start._character + endOffset)
-		));
-	}
 	/**
 		 * Searches for a character backwards inside fullText discarding spaces, tabs and newlines
 		 * Returns the found index-1 or false if any other character is found.
@@ -266,16 +282,7 @@ class ReferenceProvider {
 	}
 
 	findCurrentDefineRange (requireOrDefineStatements, caretPosition) {
-		let foundSection = null;
-
-		for (let i = 0; i < requireOrDefineStatements.length; i++) {
-			if (caretPosition >= requireOrDefineStatements[i].start
-								&& (!requireOrDefineStatements[i].end || caretPosition <= requireOrDefineStatements[i].end)) {
-				foundSection = requireOrDefineStatements[i];
-			}
-		}
-
-		return foundSection;
+		return findStatementAt(requireOrDefineStatements, caretPosition);
 	}
 
 	checkIfCommentedOut (commentRanges, position) {
@@ -293,157 +300,125 @@ class ReferenceProvider {
 		const currentFilePath = document.fileName;
 		const range = document.getWordRangeAtPosition(position);
 
-		let moduleList, requireOrDefineStatements;
-		let foundSection = null;
-
-		if (range) {
-			const textAtCaret = document.getText(range);
-			const caretPosition = document.offsetAt(range._start);
-			const commentRanges = this.findComments(fullText);
-
-			requireOrDefineStatements = this.getRequireOrDefineStatements(fullText);
-
-			if (requireOrDefineStatements.length) {
-				foundSection = this.findCurrentDefineRange(requireOrDefineStatements, caretPosition);
-				if (foundSection && !this.checkIfCommentedOut(commentRanges, foundSection.start)) {
-					moduleList = this.getModulesWithPathFromRequireOrDefine(foundSection.contents);
-				}
-			}
-
-			let modulePath;
-
-			modulePath = moduleList ? moduleList[textAtCaret] : null;
-
-			// We matched a module (textAtCaret is a module)
-			if (modulePath) {
-				let searchFor = '';
-				let stopSearchingFurther;
-
-				if (ReferenceProvider.childWord === '') { // Not a parent - search for the module name (word)
-					searchFor = textAtCaret;
-					stopSearchingFurther = true;
-				} else { // It is a parent, search for the child which is a property of the module
-					searchFor = ReferenceProvider.childWord;
-					stopSearchingFurther = false;
-				}
-				ReferenceProvider.childWord = '';
+		if (!range) {
+			return Promise.resolve(undefined);
+		}
 
-				return this.searchModule(currentFilePath, modulePath, searchFor, stopSearchingFurther);
-			}	// word is not a module
+		const textAtCaret = document.getText(range);
+		const caretPosition = document.offsetAt(range._start);
+		const analysis = analyzeModules(fullText);
+		const foundSection = this.findCurrentDefineRange(analysis.modules, caretPosition);
+		const moduleList = foundSection ? this.getModulesWithPathFromRequireOrDefine(foundSection) : null;
+		const moduleIdAtCaret = findDependencyAt(analysis, caretPosition);
 
-			return new Promise(resolve => {
-				let continueFrom, tmpModuleName;
+		// Caret is on a module id string, navigate to the module
+		if (moduleIdAtCaret && moduleIdAtCaret.value) {
+			ReferenceProvider.childWord = '';
 
-				let dotPosition = range._start._character >= 1
-					? document.offsetAt(new vscode.Position(range._start._line, range._start._character - 1))
-					: 0;
+			return this.searchModule(currentFilePath, moduleIdAtCaret.value, '', true).then(refs => [].concat(refs));
+		}
 
-				// Do backwards search for a dot
-				dotPosition = this.doBackwardsSearch(fullText, dotPosition, '.');
-				const haveParent = dotPosition !== false;
+		const modulePath = moduleList ? moduleList[textAtCaret] : null;
 
-				if (!haveParent) {
-					tmpModuleName = this.extractString(document, range);
-				}
+		// We matched a module (textAtCaret is a module)
+		if (modulePath) {
+			let searchFor = '';
+			let stopSearchingFurther;
 
-				let offsetStart = foundSection ? foundSection.start : 0;
-				let offsetEnd = foundSection ? foundSection.end : Infinity;
-				const constructors = this.findConstructor(document, textAtCaret, fullText, offsetStart, offsetEnd);
-				// TODO: also consider window. defined globals
-				// Dont have a parent and have a constructor, follow the constructor
+			if (ReferenceProvider.childWord === '') { // Not a parent - search for the module name (word)
+				searchFor = textAtCaret;
+				stopSearchingFurther = true;
+			} else { // It is a parent, search for the child which is a property of the module
+				searchFor = ReferenceProvider.childWord;
+				stopSearchingFurther = false;
+			}
+			ReferenceProvider.childWord = '';
 
-				if (constructors.length && !haveParent) {
-					let constructorName = document.getText(document.getWordRangeAtPosition(constructors[0].range._start));
-					// Break search in case the instance and the constructor have the same name
+			return this.searchModule(currentFilePath, modulePath, searchFor, stopSearchingFurther);
+		}	// word is not a module
 
-					if (constructorName === textAtCaret
-						|| constructorName === ReferenceProvider.childWord) {
+		return new Promise(resolve => {
+			let continueFrom;
+
+			let dotPosition = range._start._character >= 1
+				? document.offsetAt(new vscode.Position(range._start._line, range._start._character - 1))
+				: 0;
+
+			// Do backwards search for a dot
+			dotPosition = this.doBackwardsSearch(fullText, dotPosition, '.');
+			const haveParent = dotPosition !== false;
+
+			let offsetStart = foundSection ? foundSection.start : 0;
+			let offsetEnd = foundSection ? foundSection.end : Infinity;
+			const constructors = this.findConstructor(document, textAtCaret, fullText, offsetStart, offsetEnd);
+			// TODO: also consider window. defined globals
+			// Dont have a parent and have a constructor, follow the constructor
+
+			if (constructors.length && !haveParent) {
+				let constructorName = document.getText(constructors[0].range);
+				// Break search in case the instance and the constructor have the same name
+
+				if (constructorName === textAtCaret
+					|| constructorName === ReferenceProvider.childWord) {
+					resolve(undefined);
+
+					return;
+				} else if (constructorName === 'require') { // Module is used commonJS style, navigate to the required module
+					const inlineRequire = analysis.inlineRequires.find(item => item.binding
+						&& item.binding.name === textAtCaret
+						&& item.callStart >= offsetStart
+						&& item.callStart <= offsetEnd);
+
+					if (!inlineRequire) {
 						resolve(undefined);
 
 						return;
-					} else if (constructorName === 'require') { // Module is used commonJS style - instead of complicating module list extraction, directly navigate
-						let re = /(require)\s*\(\s*(['"]*)/gi;
-
-						re.lastIndex = document.offsetAt(constructors[0].range._start);
-						let stringOffset = re.exec(fullText)[0].length;
-						const lineStart = constructors[0].range._start._line;
-						const startCharacter = constructors[0].range._start._character;
-
-						const string = this.extractString(document, new vscode.Range(
-							new vscode.Position(lineStart, startCharacter + stringOffset),
-							new vscode.Position(lineStart, startCharacter + stringOffset)
-						));
-
-						this.searchModule(currentFilePath, string, ReferenceProvider.childWord, true).then(refs => {
-							resolve([refs]);
-						});
-					} else {
-						continueFrom = constructors[0].range._start;
 					}
-				} else if (haveParent) { // Have a parent - follow it
-					const propertyParentPosition = document.positionAt(dotPosition);
-					let bracketPosition = document.offsetAt(propertyParentPosition);
-
-					// Do backwards search for a ")"
-					bracketPosition = this.doBackwardsSearch(fullText, bracketPosition, ')');
 
-					// Immediately invoked define/require
-					if (bracketPosition !== false) {
-						const line = document.lineAt(propertyParentPosition._line).text;
-						const modulePathFromLine = /['"]([^'"]*)/gi.exec(line);
-
-						if (modulePathFromLine.length === 0) {
-							resolve(undefined);
-
-							return;
-						}
+					this.searchModule(currentFilePath, inlineRequire.value, ReferenceProvider.childWord, true).then(refs => {
+						resolve([].concat(refs));
+					});
+				} else {
+					continueFrom = constructors[0].range._start;
+				}
+			} else if (haveParent) { // Have a parent - follow it
+				const propertyParentPosition = document.positionAt(dotPosition);
+				let bracketPosition = document.offsetAt(propertyParentPosition);
 
-						this.searchModule(currentFilePath, modulePathFromLine[1], textAtCaret, true).then(refs => {
-							resolve([refs]);
-						});
-					} else {
-						continueFrom = propertyParentPosition;
-						ReferenceProvider.childWord = textAtCaret;
-					}
-				} else { // Neither have a parent nor a constructor, maybe its a module itself? navigate to module
-					let isModule = false;
+				// Do backwards search for a ")"
+				bracketPosition = this.doBackwardsSearch(fullText, bracketPosition, ')');
 
-					for (let key in moduleList) {
-						if (moduleList[key] === tmpModuleName) {
-							isModule = true;
-							break;
-						}
-					}
+				// Immediately invoked define/require
+				if (bracketPosition !== false) {
+					// Offset returned is the one before the bracket, which is the last character of the call
+					const inlineRequire = analysis.inlineRequires.find(item => item.callEnd === bracketPosition + 2);
 
-					if (isModule) {
-						this.searchModule(currentFilePath, tmpModuleName, '', true).then(refs => {
-							resolve([refs]);
-						});
-					} else {
-						// No match;
+					if (!inlineRequire) {
 						resolve(undefined);
 
 						return;
 					}
-				}
 
-				// Should we continue searching? If so re-invoke a definition provider
-				if (continueFrom) {
-					vscode.commands.executeCommand('vscode.executeDefinitionProvider', document.uri, continueFrom).then(refs => {
-						for (let i = refs.length - 1; i >= 0; i--) {
-							// Discard if same file
-							if (refs[i].uri.fsPath === document.uri.fsPath) {
-								refs.splice(i, 1);
-							}
-						}
-						resolve(refs);
+					this.searchModule(currentFilePath, inlineRequire.value, textAtCaret, true).then(refs => {
+						resolve([].concat(refs));
 					});
+				} else {
+					continueFrom = propertyParentPosition;
+					ReferenceProvider.childWord = textAtCaret;
 				}
-			});
-		}
-		// No range;
+			} else { // Neither have a parent nor a constructor
+				resolve(undefined);
+
+				return;
+			}
 
-		return resolve(undefined);
+			// Should we continue searching? If so follow the parent or constructor, discarding locations in the same file
+			if (continueFrom) {
+				this.provideDefinition(document, continueFrom).then(refs => {
+					resolve([].concat(refs || []).filter(ref => ref.uri.fsPath !== document.uri.fsPath));
+				});
+			}
+		});
 	}
 }
 
@@ -452,11 +427,87 @@ ReferenceProvider.childWord = '';
 Object.assign(exports, {
 	ReferenceProvider,
 	activate (context) {
+		const fileRenameHandler = new FileRenameHandler();
+		const diagnosticsProvider = new DiagnosticsProvider();
+		const dependencyCodeActionProvider = new DependencyCodeActionProvider();
+		const esModuleMigration = new EsModuleMigration();
+		const dependencyGraphView = new DependencyGraphView();
+		const dependencyGraphExporter = new DependencyGraphExporter();
+		const moduleIndex = getWorkspaceIndex();
+
 		context.subscriptions.push(
 			vscode.languages.registerDefinitionProvider(
 				'javascript',
 				new ReferenceProvider()
-			)
+			),
+			vscode.languages.registerCompletionItemProvider(
+				'javascript',
+				new ModuleIdCompletionProvider(),
+				'\'', '"', '/'
+			),
+			vscode.languages.registerCompletionItemProvider(
+				'javascript',
+				new MemberCompletionProvider(),
+				'.'
+			),
+			vscode.languages.registerHoverProvider(
+				'javascript',
+				new HoverProvider()
+			),
+			vscode.languages.registerReferenceProvider(
+				'javascript',
+				new ModuleReferenceProvider()
+			),
+			vscode.languages.registerRenameProvider(
+				'javascript',
+				new RenameProvider()
+			),
+			vscode.languages.registerDocumentLinkProvider(
+				'javascript',
+				new DocumentLinkProvider()
+			),
+			vscode.languages.registerDocumentSymbolProvider(
+				'javascript',
+				new DocumentSymbolProvider()
+			),
+			vscode.languages.registerWorkspaceSymbolProvider(new WorkspaceSymbolProvider(moduleIndex)),
+			moduleIndex,
+			vscode.languages.registerCodeActionsProvider(
+				'javascript',
+				dependencyCodeActionProvider,
+				{
+					providedCodeActionKinds: [
+						vscode.CodeActionKind.QuickFix,
+						vscode.CodeActionKind.RefactorRewrite,
+						DependencyCodeActionProvider.organizeKind
+					]
+				}
+			),
+			vscode.commands.registerTextEditorCommand(
+				'requireModuleSupport.organizeDependencies',
+				editor => dependencyCodeActionProvider.organizeDependencies(editor)
+			),
+			vscode.commands.registerCommand(
+				'requireModuleSupport.convertToEsModules',
+				uri => esModuleMigration.migrate(uri)
+			),
+			esModuleMigration,
+			vscode.commands.registerCommand(
+				'requireModuleSupport.showDependencyGraph',
+				() => dependencyGraphView.show()
+			),
+			dependencyGraphView,
+			vscode.commands.registerCommand(
+				'requireModuleSupport.exportDependencyGraph',
+				options => dependencyGraphExporter.exportGraph(options)
+			),
+			vscode.workspace.onWillRenameFiles(event => fileRenameHandler.onWillRenameFiles(event)),
+			diagnosticsProvider,
+			vscode.workspace.onDidOpenTextDocument(document => diagnosticsProvider.updateDiagnostics(document)),
+			vscode.workspace.onDidSaveTextDocument(document => diagnosticsProvider.updateDiagnostics(document)),
+			vscode.workspace.onDidCloseTextDocument(document => diagnosticsProvider.deleteDiagnostics(document))
 		);
+		vscode.workspace.textDocuments.forEach(document => diagnosticsProvider.updateDiagnostics(document));
+		moduleIndex.load(context.storagePath);
 	}
 });
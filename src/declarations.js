@@ -0,0 +1,56 @@
+const walk = require('acorn/dist/walk');
+
+/**
+ * Adds names declared by a binding pattern, like `a`, `{ a, b: c }` or `[a, ...b]`
+ * @param {Object} node Pattern node
+ * @param {Array} names List to add names to
+ * @returns {Array} names
+ */
+function addPatternNames (node, names) {
+	if (!node) {
+		return names;
+	}
+
+	if (node.type === 'Identifier') {
+		names.push(node.name);
+	} else if (node.type === 'ObjectPattern') {
+		node.properties.forEach(property => {
+			addPatternNames(property.type === 'RestElement' ? property : property.value, names);
+		});
+	} else if (node.type === 'ArrayPattern') {
+		node.elements.forEach(element => addPatternNames(element, names));
+	} else if (node.type === 'RestElement') {
+		addPatternNames(node.argument, names);
+	} else if (node.type === 'AssignmentPattern') {
+		addPatternNames(node.left, names);
+	}
+
+	return names;
+}
+
+/**
+ * Finds all names declared anywhere in the source by variables, functions, classes, parameters and catch clauses.
+ * Scopes are not taken into account.
+ * @param {Object} ast AST to search
+ * @returns {Array} declared names
+ */
+function findDeclaredNames (ast) {
+	const names = [];
+
+	walk.full(ast, node => {
+		if (node.type === 'VariableDeclarator') {
+			addPatternNames(node.id, names);
+		} else if (node.type === 'CatchClause') {
+			addPatternNames(node.param, names);
+		} else if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+			addPatternNames(node.id, names);
+		} else if ((/Function/).test(node.type)) {
+			addPatternNames(node.id, names);
+			node.params.forEach(param => addPatternNames(param, names));
+		}
+	});
+
+	return names.filter((name, index) => names.indexOf(name) === index);
+}
+
+Object.assign(exports, { addPatternNames, findDeclaredNames });
@@ -0,0 +1,235 @@
+const vscode = require('vscode');
+const walk = require('acorn/dist/walk');
+const { analyzeModules } = require('./moduleAnalysis');
+const { findDeclaredNames } = require('./declarations');
+const { createDependencyEdits, createOrganizeEdits } = require('./dependencyEdits');
+const { convertToCommonJs, convertToDependencyArray } = require('./moduleConversion');
+const { getWorkspaceResolver } = require('./workspaceResolver');
+const { getWorkspaceIndex } = require('./moduleIndex');
+
+// Names libraries are conventionally imported with, which can not be derived from their ids
+const conventionalNames = {
+	$: ['jquery', 'zepto'],
+	_: ['underscore', 'lodash'],
+	ko: ['knockout'],
+	Hbs: ['handlebars']
+};
+
+/**
+ * Checks whether a variable name matches a module id, comparing the last segment of the id case insensitively
+ * @param {String} name Variable name
+ * @param {String} id Module id
+ * @returns {Boolean} true on match
+ */
+function matchesModuleName (name, id) {
+	const normalize = str => str.toLowerCase().replace(/[^a-z0-9]/g, '');
+	const segments = id.replace(/^[^!]*!/, '').split('/');
+	const segment = segments[segments.length - 1];
+	const isConventional = (conventionalNames[name] || []).indexOf(segment.toLowerCase()) !== -1;
+
+	return isConventional || normalize(name) === normalize(segment);
+}
+
+const organizeKind = vscode.CodeActionKind.Source.append('organizeAmdDependencies');
+
+/**
+ * Converts edits with offset ranges to a WorkspaceEdit
+ * @param {Document} document VSCode document the edits belong to
+ * @param {Array} edits Edits with start and end offsets and text
+ * @returns {WorkspaceEdit} edit
+ */
+function toWorkspaceEdit (document, edits) {
+	const workspaceEdit = new vscode.WorkspaceEdit();
+
+	edits.forEach(edit => workspaceEdit.replace(document.uri, new vscode.Range(
+		document.positionAt(edit.start),
+		document.positionAt(edit.end)
+	), edit.text));
+
+	return workspaceEdit;
+}
+
+/**
+ * Offers adding dependencies for undeclared variables matching module names, organizing dependencies
+ * and converting modules between the dependency array and the simplified CommonJS wrapper
+ */
+class DependencyCodeActionProvider {
+	/**
+	 * Finds an undeclared variable at the offset used in a factory with a dependency array
+	 * @param {Object} analysis Result of analyzeModules
+	 * @param {Integer} offset Offset in the source
+	 * @returns {Object|null} variable name and innermost statement containing it
+	 */
+	findUndeclaredVariable (analysis, offset) {
+		let identifier = null;
+
+		walk.full(analysis.ast, node => {
+			if (node.type === 'Identifier' && offset >= node.start && offset <= node.end) {
+				identifier = node;
+			}
+		});
+
+		if (!identifier || findDeclaredNames(analysis.ast).indexOf(identifier.name) !== -1) {
+			return null;
+		}
+
+		const statement = analysis.modules
+			.filter(item => item.dependencyList
+				&& item.factory
+				&& identifier.start >= item.factory.bodyStart
+				&& identifier.end <= item.factory.bodyEnd)
+			.pop();
+
+		return statement ? { name: identifier.name, statement } : null;
+	}
+
+	/**
+	 * Creates an edit organizing the dependencies of the innermost define/require call with a dependency array
+	 * containing the offset
+	 * @param {Document} document VSCode document
+	 * @param {Integer} offset Offset in the document
+	 * @returns {WorkspaceEdit|null} edit, null if there is nothing to organize
+	 */
+	createOrganizeEdit (document, offset) {
+		const text = document.getText();
+		const statement = analyzeModules(text).modules
+			.filter(item => item.dependencyList && offset >= item.start && offset <= item.end)
+			.pop();
+		const order = vscode.workspace.getConfiguration('requireModuleSupport').get('dependencyOrder');
+		const edits = statement ? createOrganizeEdits(text, statement, order) : null;
+
+		return edits ? toWorkspaceEdit(document, edits) : null;
+	}
+
+	/**
+	 * Organizes dependencies of the define/require call at the cursor of an editor
+	 * @param {TextEditor} editor VSCode text editor
+	 * @returns {Promise} resolves when the edit is applied
+	 */
+	organizeDependencies (editor) {
+		const edit = this.createOrganizeEdit(editor.document, editor.document.offsetAt(editor.selection.active));
+
+		if (!edit) {
+			return vscode.window.showInformationMessage('Dependencies are already organized');
+		}
+
+		return vscode.workspace.applyEdit(edit);
+	}
+
+	/**
+	 * Creates actions converting the define call whose head, the part before the factory body, contains the offset
+	 * @param {Document} document VSCode document
+	 * @param {Integer} offset Offset in the document
+	 * @returns {Array} code actions
+	 */
+	createConversionActions (document, offset) {
+		const text = document.getText();
+		const statement = analyzeModules(text).modules
+			.filter(item => item.type === 'define'
+				&& item.factory
+				&& offset >= item.start
+				&& offset <= item.factory.bodyStart)
+			.pop();
+
+		if (!statement) {
+			return [];
+		}
+
+		return [
+			['Convert to simplified CommonJS wrapper', convertToCommonJs(text, statement)],
+			['Convert to dependency array', convertToDependencyArray(text, statement)]
+		]
+			.filter(([, edits]) => edits)
+			.map(([title, edits]) => {
+				const action = new vscode.CodeAction(title, vscode.CodeActionKind.RefactorRewrite);
+
+				action.edit = toWorkspaceEdit(document, edits);
+
+				return action;
+			});
+	}
+
+	/**
+	 * Lists ids of indexed modules, path aliases and map aliases matching a variable name
+	 * @param {String} filePath Absolute path of the current file
+	 * @param {String} name Variable name
+	 * @returns {Promise} resolves with unique module ids
+	 */
+	findCandidateIds (filePath, name) {
+		const resolver = getWorkspaceResolver(filePath);
+		const aliases = Object.keys(resolver.paths).concat(Object.keys(resolver.map['*'] || {}));
+
+		return getWorkspaceIndex()
+			.load()
+			.then(moduleIndex => moduleIndex.getModules()
+				// Ids of anonymous modules outside of the module roots are paths which do not resolve
+				.filter(module => matchesModuleName(name, module.id)
+					&& resolver.resolveFile(module.id, filePath).path === module.path)
+				.map(module => module.id)
+				.concat(aliases.filter(id => matchesModuleName(name, id)))
+				.filter((id, index, ids) => ids.indexOf(id) === index));
+	}
+
+	/**
+	 * Offers adding a dependency for the undeclared variable at the range
+	 * @param {Document} document VSCode document
+	 * @param {Range} range Range code actions are requested for
+	 * @returns {Promise} resolves with code actions
+	 */
+	provideQuickFixes (document, range) {
+		const text = document.getText();
+		const analysis = analyzeModules(text);
+		const variable = this.findUndeclaredVariable(analysis, document.offsetAt(range.start));
+
+		if (!variable) {
+			return Promise.resolve([]);
+		}
+
+		const dependencies = variable.statement.dependencies.map(dependency => dependency.value);
+
+		return this.findCandidateIds(document.fileName, variable.name).then(ids => ids
+			.filter(id => dependencies.indexOf(id) === -1)
+			.map(id => {
+				const edits = createDependencyEdits(text, variable.statement, id, variable.name);
+
+				if (!edits) {
+					return null;
+				}
+
+				const action = new vscode.CodeAction(`Add dependency '${id}'`, vscode.CodeActionKind.QuickFix);
+
+				action.edit = toWorkspaceEdit(document, edits);
+
+				return action;
+			})
+			.filter(Boolean));
+	}
+
+	provideCodeActions (document, range, context) {
+		const only = context && context.only;
+		const quickFixes = !only || only.contains(vscode.CodeActionKind.QuickFix)
+			? this.provideQuickFixes(document, range)
+			: Promise.resolve([]);
+		const organizeEdit = !only || only.contains(organizeKind)
+			? this.createOrganizeEdit(document, document.offsetAt(range.start))
+			: null;
+		const conversions = !only || only.contains(vscode.CodeActionKind.RefactorRewrite)
+			? this.createConversionActions(document, document.offsetAt(range.start))
+			: [];
+
+		return quickFixes.then(actions => {
+			if (organizeEdit) {
+				const action = new vscode.CodeAction('Organize AMD dependencies', organizeKind);
+
+				action.edit = organizeEdit;
+				actions.push(action);
+			}
+
+			return actions.concat(conversions);
+		});
+	}
+}
+
+DependencyCodeActionProvider.organizeKind = organizeKind;
+
+Object.assign(exports, { DependencyCodeActionProvider });
@@ -0,0 +1,210 @@
+const walk = require('acorn/dist/walk');
+
+/**
+ * Returns the separator used between items of a list, like `, ` or `,\n\t\t`
+ * @param {String} str Source
+ * @param {Array} items Ranges of the list items
+ * @param {Integer} index Index the new item is inserted at
+ * @returns {String} separator between the items closest to index, `, ` if there is none
+ */
+function getSeparator (str, items, index) {
+	const before = Math.max(0, Math.min(index, items.length - 1) - 1);
+	const separator = items.length > 1 ? str.slice(items[before].end, items[before + 1].start) : '';
+
+	// Separators containing comments are not repeated
+	if (!(/^\s*,\s*$/).test(separator)) {
+		return ', ';
+	}
+
+	// Neither are trailing spaces before line breaks
+	return separator.replace(/^\s*/, '').replace(/[ \t]+(\r?\n)/, '$1');
+}
+
+/**
+ * Creates an edit inserting an item into a comma separated list
+ * @param {String} str Source
+ * @param {Array} items Ranges of the list items
+ * @param {Integer} index Index to insert at
+ * @param {String} text Item to insert
+ * @param {Integer} emptyOffset Offset to insert at if the list is empty
+ * @returns {Object} edit with range and text
+ */
+function createListInsertion (str, items, index, text, emptyOffset) {
+	const separator = getSeparator(str, items, index);
+
+	if (!items.length) {
+		return { start: emptyOffset, end: emptyOffset, text };
+	}
+	if (index < items.length) {
+		return { start: items[index].start, end: items[index].start, text: text + separator };
+	}
+
+	return { start: items[items.length - 1].end, end: items[items.length - 1].end, text: separator + text };
+}
+
+/**
+ * Returns the factory function of a statement whose dependency array and parameters can be edited together
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @returns {Object|null} factory node, null if the statement has no dependency array or factory function,
+ * or has more parameters than dependencies
+ */
+function getEditableFactory (statement) {
+	const factory = statement.node.arguments[statement.node.arguments.length - 1];
+	const isFunction = factory && (factory.type === 'FunctionExpression' || factory.type === 'ArrowFunctionExpression');
+
+	if (!statement.dependencyList || !isFunction || statement.params.length > statement.dependencies.length) {
+		return null;
+	}
+
+	return factory;
+}
+
+/**
+ * Checks whether the parameters of a factory are wrapped in parentheses, which is optional
+ * for the only parameter of an arrow function
+ * @param {String} str Source
+ * @param {Object} factory Factory function node
+ * @returns {Boolean} true if parameters are wrapped
+ */
+function hasParameterParentheses (str, factory) {
+	return factory.type !== 'ArrowFunctionExpression'
+		|| factory.params.length !== 1
+		|| (/\(\s*$/).test(str.slice(factory.start, factory.params[0].start));
+}
+
+/**
+ * Creates edits adding a dependency to a define/require statement, keeping the dependency array
+ * and the factory parameters in sync. The dependency is inserted after the last parameter, so
+ * dependencies without a parameter, like plugins loaded for their side effects, stay at the end.
+ * @param {String} str Source
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @param {String} id Module id to add
+ * @param {String} name Parameter name to add
+ * @returns {Array|null} edits with range and text sorted by position, null if the dependencies can not be edited
+ */
+function createDependencyEdits (str, statement, id, name) {
+	const factory = getEditableFactory(statement);
+
+	if (!factory) {
+		return null;
+	}
+
+	const index = statement.params.length;
+	const firstDependency = statement.dependencies[0];
+	const quote = firstDependency && (/^["'`]/).test(str[firstDependency.start]) ? str[firstDependency.start] : '\'';
+	const dependencyEdit = createListInsertion(
+		str,
+		statement.dependencies,
+		index,
+		quote + id + quote,
+		statement.dependencyList.start + 1
+	);
+	const params = factory.params;
+	let paramEdit;
+
+	// Single arrow function parameters without parentheses have to be wrapped
+	if (!hasParameterParentheses(str, factory)) {
+		paramEdit = {
+			start: params[0].start,
+			end: params[0].end,
+			text: `(${str.slice(params[0].start, params[0].end)}, ${name})`
+		};
+	} else {
+		paramEdit = createListInsertion(str, params, index, name, str.indexOf('(', factory.start) + 1);
+	}
+
+	return [dependencyEdit, paramEdit].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Compares module ids alphabetically, ignoring case
+ * @param {String} a Module id
+ * @param {String} b Module id
+ * @returns {Integer} sort order
+ */
+function compareIds (a, b) {
+	const [lowerA, lowerB] = [a.toLowerCase(), b.toLowerCase()];
+
+	if (lowerA === lowerB) {
+		return a < b ? -1 : Number(a > b);
+	}
+
+	return lowerA < lowerB ? -1 : 1;
+}
+
+const dependencyOrders = {
+	alphabetical: compareIds,
+	relativeLast: (a, b) => Number((/^\./).test(a)) - Number((/^\./).test(b)) || compareIds(a, b)
+};
+
+/**
+ * Creates edits removing dependencies whose parameter is not used in the factory and sorting the rest.
+ * Ids are moved together with their parameters. Dependencies without parameter are loaded for their
+ * side effects, they are kept at the end in their original order.
+ * @param {String} str Source
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @param {String} [order = 'alphabetical'] Sort order, alphabetical or relativeLast
+ * @returns {Array|null} edits with range and text sorted by position,
+ * null if nothing changes or the dependencies can not be edited
+ */
+function createOrganizeEdits (str, statement, order = 'alphabetical') {
+	const factory = getEditableFactory(statement);
+
+	if (!factory) {
+		return null;
+	}
+
+	const usedNames = [];
+	const text = node => str.slice(node.start, node.end);
+	const compare = dependencyOrders[order] || dependencyOrders.alphabetical;
+
+	walk.full(factory.body, node => {
+		if (node.type === 'Identifier') {
+			usedNames.push(node.name);
+		}
+	});
+
+	const pairs = statement.params
+		.map((param, index) => ({
+			dependency: statement.dependencies[index],
+			param: factory.params[index],
+			name: param.name
+		}))
+		// Destructured parameters are always kept
+		.filter(pair => pair.name === null || usedNames.indexOf(pair.name) !== -1)
+		.sort((a, b) => compare(a.dependency.value || text(a.dependency), b.dependency.value || text(b.dependency)));
+	const dependencies = pairs
+		.map(pair => pair.dependency)
+		.concat(statement.dependencies.slice(statement.params.length));
+	const isUnchanged = dependencies.length === statement.dependencies.length
+		&& dependencies.every((dependency, index) => dependency === statement.dependencies[index]);
+
+	if (isUnchanged) {
+		return null;
+	}
+
+	const params = pairs.map(pair => text(pair.param)).join(getSeparator(str, factory.params, 1));
+	const edits = [{
+		start: statement.dependencies[0].start,
+		end: statement.dependencies[statement.dependencies.length - 1].end,
+		text: dependencies.map(text).join(getSeparator(str, statement.dependencies, 1))
+	}];
+
+	if (factory.params.length) {
+		edits.push({
+			start: factory.params[0].start,
+			end: factory.params[factory.params.length - 1].end,
+			// The only parameter of an arrow function may be left without parentheses only if it remains
+			text: hasParameterParentheses(str, factory) || pairs.length === 1 ? params : `(${params})`
+		});
+	}
+
+	return edits;
+}
+
+Object.assign(exports, {
+	getEditableFactory,
+	hasParameterParentheses,
+	createDependencyEdits,
+	createOrganizeEdits
+});
@@ -0,0 +1,263 @@
+const vscode = require('vscode');
+const path = require('path');
+const { analyzeModules, getDependencyIds } = require('./moduleAnalysis');
+const { getWorkspaceResolver } = require('./workspaceResolver');
+const { getWorkspaceIndex } = require('./moduleIndex');
+
+/**
+ * Modules of the workspace and the modules they depend on, resolved the same way go to definition does
+ */
+class DependencyGraph {
+	/**
+	 * @param {ModuleResolver} [resolver] Resolver used for every module, by default modules are resolved
+	 * with the resolver of their workspace folder
+	 */
+	constructor (resolver = null) {
+		this.resolver = resolver;
+		this.nodes = new Map();
+	}
+
+	/**
+	 * Returns the resolver for the dependencies of a module
+	 * @param {String} filePath Absolute path of the module
+	 * @returns {ModuleResolver} resolver
+	 */
+	getResolver (filePath) {
+		return this.resolver || getWorkspaceResolver(filePath);
+	}
+
+	/**
+	 * Returns the node of a module file, adding it if the graph does not contain it yet
+	 * @param {String} filePath Absolute path of the module
+	 * @returns {Object} node with path, module id, paths of dependencies and dependents,
+	 * and ids which could not be resolved
+	 */
+	getNode (filePath) {
+		if (!this.nodes.has(filePath)) {
+			const resolver = this.getResolver(filePath);
+			const relative = resolver.rootPath ? path.relative(resolver.rootPath, filePath) : filePath;
+
+			this.nodes.set(filePath, {
+				path: filePath,
+				id: resolver.getModuleId(filePath) || relative.split(path.sep).join('/'),
+				dependencies: [],
+				dependents: [],
+				unresolved: []
+			});
+		}
+
+		return this.nodes.get(filePath);
+	}
+
+	/**
+	 * Adds a module and edges to the modules it depends on. Loader plugin resources which are not
+	 * JavaScript files are left out. Every dependency gets a node of its own, so edges never point
+	 * to a module missing in the graph.
+	 * @param {String} filePath Absolute path of the module
+	 * @param {Array} ids Module ids the module depends on
+	 * @returns {Object} node of the module
+	 */
+	addDependencies (filePath, ids) {
+		const node = this.getNode(filePath);
+		const resolver = this.getResolver(filePath);
+
+		ids.forEach(id => {
+			const resolution = resolver.resolveFile(id, filePath);
+
+			if (!resolution.path) {
+				node.unresolved.push(id);
+			} else if (resolver.findExtension(resolution.path) && node.dependencies.indexOf(resolution.path) === -1) {
+				node.dependencies.push(resolution.path);
+				this.getNode(resolution.path).dependents.push(filePath);
+			}
+		});
+
+		return node;
+	}
+
+	/**
+	 * Adds a module with the dependencies found in its source
+	 * @param {String} filePath Absolute path of the module
+	 * @param {String} str Source of the module
+	 * @returns {Object} node of the module
+	 */
+	addModule (filePath, str) {
+		return this.addDependencies(filePath, getDependencyIds(analyzeModules(str)));
+	}
+
+	/**
+	 * Returns the part of the graph reachable from a module by following dependencies
+	 * @param {String} rootPath Absolute path of the module to start from
+	 * @param {Integer} [maxDepth = Infinity] Maximum number of dependencies to follow from the module
+	 * @returns {DependencyGraph} graph containing the reachable modules and the edges between them
+	 */
+	getSubgraph (rootPath, maxDepth = Infinity) {
+		const subgraph = new DependencyGraph(this.resolver);
+		const depths = new Map([[rootPath, 0]]);
+		const queue = [rootPath];
+
+		while (queue.length) {
+			const current = queue.shift();
+			const node = this.nodes.get(current);
+
+			if (node && depths.get(current) < maxDepth) {
+				node.dependencies.filter(dependency => !depths.has(dependency)).forEach(dependency => {
+					depths.set(dependency, depths.get(current) + 1);
+					queue.push(dependency);
+				});
+			}
+		}
+
+		depths.forEach((depth, filePath) => {
+			const node = this.nodes.get(filePath) || subgraph.getNode(filePath);
+			const isIncluded = item => depths.has(item);
+
+			subgraph.nodes.set(filePath, Object.assign({}, node, {
+				dependencies: node.dependencies.filter(isIncluded),
+				dependents: node.dependents.filter(isIncluded)
+			}));
+		});
+
+		return subgraph;
+	}
+
+	/**
+	 * Finds groups of modules depending on each other, using Tarjan's algorithm
+	 * @returns {Array} groups of module paths, only groups with a cycle are included
+	 */
+	findStronglyConnected () {
+		const indexes = new Map();
+		const lowLinks = new Map();
+		const stack = [];
+		const groups = [];
+		const visit = filePath => {
+			indexes.set(filePath, indexes.size);
+			lowLinks.set(filePath, indexes.get(filePath));
+			stack.push(filePath);
+
+			this.nodes.get(filePath).dependencies.forEach(dependency => {
+				if (!indexes.has(dependency)) {
+					visit(dependency);
+					lowLinks.set(filePath, Math.min(lowLinks.get(filePath), lowLinks.get(dependency)));
+				} else if (stack.indexOf(dependency) !== -1) {
+					lowLinks.set(filePath, Math.min(lowLinks.get(filePath), indexes.get(dependency)));
+				}
+			});
+
+			if (lowLinks.get(filePath) === indexes.get(filePath)) {
+				const group = stack.splice(stack.indexOf(filePath));
+				const isCycle = group.length > 1 || this.nodes.get(filePath).dependencies.indexOf(filePath) !== -1;
+
+				if (isCycle) {
+					groups.push(group);
+				}
+			}
+		};
+
+		Array.from(this.nodes.keys()).forEach(filePath => {
+			if (!indexes.has(filePath)) {
+				visit(filePath);
+			}
+		});
+
+		return groups;
+	}
+
+	/**
+	 * Finds the shortest chain of dependencies leading from a module back to itself
+	 * @param {String} start Absolute path of the module
+	 * @param {Array} group Paths of the modules the chain may pass through
+	 * @returns {Array} paths of the chain, starting and ending with start
+	 */
+	findCycleThrough (start, group) {
+		const previous = new Map([[start, null]]);
+		const queue = [start];
+
+		while (queue.length) {
+			const current = queue.shift();
+			const dependencies = this.nodes.get(current).dependencies
+				.filter(dependency => group.indexOf(dependency) !== -1);
+
+			if (dependencies.indexOf(start) !== -1) {
+				const chain = [start];
+
+				for (let item = current; item !== null; item = previous.get(item)) {
+					chain.unshift(item);
+				}
+
+				return chain;
+			}
+			dependencies.filter(dependency => !previous.has(dependency)).forEach(dependency => {
+				previous.set(dependency, current);
+				queue.push(dependency);
+			});
+		}
+
+		return [start, start];
+	}
+
+	/**
+	 * Lists circular dependencies, so that every module taking part in a cycle appears in at least one chain
+	 * @returns {Array} chains of module paths, each starting and ending with the same module
+	 */
+	findCycles () {
+		const byId = (a, b) => this.nodes.get(a).id < this.nodes.get(b).id ? -1 : 1;
+
+		return this.findStronglyConnected().reduce((cycles, group) => {
+			const covered = [];
+
+			group.sort(byId).forEach(filePath => {
+				if (covered.indexOf(filePath) === -1) {
+					const chain = this.findCycleThrough(filePath, group);
+
+					covered.push(...chain);
+					cycles.push(chain);
+				}
+			});
+
+			return cycles;
+		}, []);
+	}
+
+	/**
+	 * Lists the dependencies which are part of a cycle
+	 * @param {Array} [cycles] Chains as returned by findCycles
+	 * @returns {Set} edges as dependent and dependency paths separated by a line break
+	 */
+	findCycleEdges (cycles = this.findCycles()) {
+		return new Set(cycles.reduce((edges, chain) => edges.concat(chain
+			.slice(1)
+			.map((filePath, index) => chain[index] + '\n' + filePath)), []));
+	}
+}
+
+/**
+ * Builds the dependency graph of all modules in the workspace from the module index.
+ * Files with unsaved changes are read from their editor.
+ * @returns {Promise} resolves with DependencyGraph
+ */
+function loadWorkspaceGraph () {
+	const graph = new DependencyGraph();
+
+	return getWorkspaceIndex().load()
+		.then(index => {
+			const unsaved = new Map(vscode.workspace.textDocuments
+				.filter(document => document.isDirty)
+				.map(document => [document.fileName, document.getText()]));
+
+			index.files.forEach((entry, filePath) => {
+				if (unsaved.has(filePath)) {
+					graph.addModule(filePath, unsaved.get(filePath));
+				} else {
+					graph.addDependencies(filePath, entry.dependencies);
+				}
+			});
+
+			return graph;
+		});
+}
+
+Object.assign(exports, {
+	DependencyGraph,
+	loadWorkspaceGraph
+});
@@ -0,0 +1,152 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { loadWorkspaceGraph } = require('./dependencyGraph');
+const { graphFormats } = require('./dependencyGraphFormats');
+const { getWorkspaceRoot } = require('./workspaceResolver');
+
+/**
+ * Writes the dependency graph of the workspace, or of the current module, to a file
+ */
+class DependencyGraphExporter {
+	/**
+	 * Asks for the format of the file unless it is given
+	 * @param {String} [format] Key of graphFormats
+	 * @returns {Promise} resolves with the key, undefined if cancelled
+	 */
+	pickFormat (format) {
+		if (graphFormats[format]) {
+			return Promise.resolve(format);
+		}
+
+		const items = Object.keys(graphFormats).map(key => ({ label: graphFormats[key].label, key }));
+
+		return Promise.resolve(vscode.window.showQuickPick(items, { placeHolder: 'Format of the dependency graph' }))
+			.then(item => item && item.key);
+	}
+
+	/**
+	 * Asks whether to export the whole workspace or the module of the active editor, unless it is given
+	 * @param {String} [scope] workspace or current
+	 * @param {TextEditor} [editor] Active text editor
+	 * @returns {Promise} resolves with the scope, undefined if cancelled
+	 */
+	pickScope (scope, editor) {
+		if (scope === 'workspace' || scope === 'current' || !editor) {
+			return Promise.resolve(scope || 'workspace');
+		}
+
+		const items = [
+			{ label: 'Whole workspace', scope: 'workspace' },
+			{ label: 'Current module and its dependencies', scope: 'current' }
+		];
+
+		return Promise.resolve(vscode.window.showQuickPick(items, { placeHolder: 'Modules to include' }))
+			.then(item => item && item.scope);
+	}
+
+	/**
+	 * Asks for the maximum depth of dependencies to follow from the current module, unless it is given
+	 * @param {Integer} [maxDepth] Maximum depth
+	 * @returns {Promise} resolves with the depth, Infinity for no limit, undefined if cancelled
+	 */
+	askMaxDepth (maxDepth) {
+		if (maxDepth !== undefined) {
+			return Promise.resolve(maxDepth > 0 ? maxDepth : Infinity);
+		}
+
+		return Promise.resolve(vscode.window.showInputBox({
+			prompt: 'Maximum depth of dependencies to include, leave empty for no limit',
+			validateInput: value => (/^\s*\d*\s*$/).test(value) ? null : 'Enter a number'
+		})).then(value => {
+			if (value === undefined) {
+				return undefined;
+			}
+
+			return parseInt(value, 10) > 0 ? parseInt(value, 10) : Infinity;
+		});
+	}
+
+	/**
+	 * Asks where to write the graph, unless the path is given
+	 * @param {String} [filePath] Absolute path of the file
+	 * @param {Object} format Format as listed in graphFormats
+	 * @param {String} [currentPath] Absolute path of the current module, the file is suggested in its workspace folder
+	 * @returns {Promise} resolves with the absolute path, undefined if cancelled
+	 */
+	askPath (filePath, format, currentPath) {
+		if (filePath) {
+			return Promise.resolve(filePath);
+		}
+
+		const fileName = `dependency-graph.${format.extension}`;
+		const rootPath = getWorkspaceRoot(currentPath);
+
+		return Promise.resolve(vscode.window.showSaveDialog({
+			defaultUri: vscode.Uri.file(rootPath ? path.join(rootPath, fileName) : fileName),
+			filters: { [format.label]: [format.extension] }
+		})).then(uri => uri && uri.fsPath);
+	}
+
+	/**
+	 * Writes the dependency graph to a file. Options which are not given are asked for.
+	 * @param {Object} [options] format (dot, json or mermaid), scope (workspace or current),
+	 * maxDepth of dependencies to follow from the current module and absolute path of the file
+	 * @returns {Promise} resolves with the path of the written file, undefined if cancelled
+	 */
+	exportGraph (options = {}) {
+		const editor = vscode.window.activeTextEditor;
+		const currentPath = editor && editor.document.uri.scheme === 'file' ? editor.document.uri.fsPath : null;
+		const choices = {};
+		const cancelled = () => undefined;
+
+		return this.pickFormat(options.format)
+			.then(format => {
+				choices.format = graphFormats[format];
+
+				return format ? this.pickScope(options.scope, currentPath && editor) : cancelled();
+			})
+			.then(scope => {
+				choices.scope = scope;
+				if (scope === 'current' && !currentPath) {
+					return Promise.reject(new Error('Open a module to export its dependencies'));
+				}
+
+				return scope === 'current' ? this.askMaxDepth(options.maxDepth) : scope && Infinity;
+			})
+			.then(maxDepth => {
+				choices.maxDepth = maxDepth;
+
+				return maxDepth ? this.askPath(options.path, choices.format, currentPath) : cancelled();
+			})
+			.then(filePath => {
+				if (!filePath) {
+					return cancelled();
+				}
+
+				return loadWorkspaceGraph().then(graph => {
+					const exported = choices.scope === 'current'
+						? graph.getSubgraph(currentPath, choices.maxDepth)
+						: graph;
+
+					return new Promise((resolve, reject) => {
+						fs.writeFile(filePath, choices.format.format(exported),
+							error => error ? reject(error) : resolve(filePath));
+					});
+				});
+			})
+			.then(filePath => {
+				if (filePath) {
+					const relativePath = vscode.workspace.asRelativePath(filePath);
+
+					vscode.window.showInformationMessage(`Dependency graph written to ${relativePath}`);
+				}
+
+				return filePath;
+			}, error => {
+				vscode.window.showErrorMessage(error.message);
+			});
+	}
+}
+
+Object.assign(exports, { DependencyGraphExporter });
@@ -0,0 +1,96 @@
+const path = require('path');
+
+/**
+ * Returns the nodes of a graph sorted by module id
+ * @param {DependencyGraph} graph Dependency graph
+ * @returns {Array} nodes
+ */
+function getSortedNodes (graph) {
+	return Array.from(graph.nodes.values()).sort((a, b) => a.id < b.id ? -1 : Number(a.id > b.id));
+}
+
+/**
+ * Writes a graph as a JSON adjacency list
+ * @param {DependencyGraph} graph Dependency graph
+ * @returns {String} JSON array of modules with id, path relative to the root of its workspace folder,
+ * and ids of their dependencies and dependents
+ */
+function toJson (graph) {
+	const getId = filePath => graph.nodes.get(filePath).id;
+	const getRelativePath = filePath => {
+		const rootPath = graph.getResolver(filePath).rootPath;
+
+		return (rootPath ? path.relative(rootPath, filePath) : filePath).split(path.sep).join('/');
+	};
+	const modules = getSortedNodes(graph).map(node => ({
+		id: node.id,
+		path: getRelativePath(node.path),
+		dependencies: node.dependencies.map(getId),
+		dependents: node.dependents.map(getId)
+	}));
+
+	return JSON.stringify(modules, null, '\t') + '\n';
+}
+
+/**
+ * Writes a graph in Graphviz DOT language, dependencies which are part of a cycle are red. Nodes are
+ * named by position and labeled with the module id, modules of different workspace folders can share ids.
+ * @param {DependencyGraph} graph Dependency graph
+ * @returns {String} digraph
+ */
+function toDot (graph) {
+	const cycleEdges = graph.findCycleEdges();
+	const quote = str => `"${str.replace(/["\\]/g, '\\$&')}"`;
+	const nodes = getSortedNodes(graph);
+	const names = new Map(nodes.map((node, index) => [node.path, `m${index}`]));
+	const lines = nodes.map(node => `\t${names.get(node.path)} [label=${quote(node.id)}];`);
+
+	nodes.forEach(node => node.dependencies.forEach(dependency => {
+		const attributes = cycleEdges.has(node.path + '\n' + dependency) ? ' [color=red]' : '';
+
+		lines.push(`\t${names.get(node.path)} -> ${names.get(dependency)}${attributes};`);
+	}));
+
+	return `digraph dependencies {\n\tnode [shape=box];\n${lines.join('\n')}\n}\n`;
+}
+
+/**
+ * Writes a graph as a Mermaid flowchart, dependencies which are part of a cycle are red
+ * @param {DependencyGraph} graph Dependency graph
+ * @returns {String} flowchart
+ */
+function toMermaid (graph) {
+	const cycleEdges = graph.findCycleEdges();
+	const nodes = getSortedNodes(graph);
+	const names = new Map(nodes.map((node, index) => [node.path, `m${index}`]));
+	const lines = nodes.map(node => `\t${names.get(node.path)}["${node.id.replace(/"/g, '#quot;')}"]`);
+	const cycleLinks = [];
+	let linkCount = 0;
+
+	nodes.forEach(node => node.dependencies.forEach(dependency => {
+		if (cycleEdges.has(node.path + '\n' + dependency)) {
+			cycleLinks.push(linkCount);
+		}
+		lines.push(`\t${names.get(node.path)} --> ${names.get(dependency)}`);
+		linkCount++;
+	}));
+
+	if (cycleLinks.length) {
+		lines.push(`\tlinkStyle ${cycleLinks.join(',')} stroke:red`);
+	}
+
+	return `graph TD\n${lines.join('\n')}\n`;
+}
+
+const graphFormats = {
+	dot: { label: 'Graphviz DOT', extension: 'dot', format: toDot },
+	json: { label: 'JSON adjacency list', extension: 'json', format: toJson },
+	mermaid: { label: 'Mermaid diagram', extension: 'mmd', format: toMermaid }
+};
+
+Object.assign(exports, {
+	toJson,
+	toDot,
+	toMermaid,
+	graphFormats
+});
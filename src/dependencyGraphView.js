@@ -0,0 +1,245 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const { loadWorkspaceGraph } = require('./dependencyGraph');
+
+const nodeHeight = 24;
+const rowHeight = 72;
+const columnGap = 24;
+const characterWidth = 7;
+
+/**
+ * Escapes text for HTML content and attributes
+ * @param {String} str Text to escape
+ * @returns {String} escaped text
+ */
+function escapeHtml (str) {
+	const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+	return String(str).replace(/[&<>"']/g, character => entities[character]);
+}
+
+/**
+ * Places modules in rows, each module above the modules it depends on. Dependencies closing a cycle are ignored.
+ * @param {DependencyGraph} graph Dependency graph
+ * @returns {Map} positions with x, y and width keyed by module path
+ */
+function layoutGraph (graph) {
+	const levels = new Map();
+	const visiting = [];
+	const getLevel = filePath => {
+		if (!levels.has(filePath)) {
+			visiting.push(filePath);
+			levels.set(filePath, graph.nodes.get(filePath).dependencies
+				.filter(dependency => visiting.indexOf(dependency) === -1)
+				.reduce((level, dependency) => Math.max(level, getLevel(dependency) + 1), 0));
+			visiting.pop();
+		}
+
+		return levels.get(filePath);
+	};
+	const rows = [];
+	const positions = new Map();
+
+	Array.from(graph.nodes.keys()).forEach(filePath => {
+		const level = getLevel(filePath);
+
+		rows[level] = (rows[level] || []).concat(filePath);
+	});
+
+	rows.reverse().forEach((row = [], rowIndex) => {
+		let x = columnGap;
+
+		row.sort((a, b) => graph.nodes.get(a).id < graph.nodes.get(b).id ? -1 : 1).forEach(filePath => {
+			const width = graph.nodes.get(filePath).id.length * characterWidth + 16;
+
+			positions.set(filePath, { x, y: rowIndex * rowHeight + columnGap, width });
+			x += width + columnGap;
+		});
+	});
+
+	return positions;
+}
+
+/**
+ * Shows the dependency graph of the workspace modules in a webview
+ */
+class DependencyGraphView {
+	constructor () {
+		this.panel = null;
+		this.graph = null;
+		this.disposables = [];
+	}
+
+	/**
+	 * Renders the graph as SVG together with the list of circular dependencies
+	 * @param {DependencyGraph} graph Dependency graph
+	 * @param {String} currentPath Absolute path of the module to highlight
+	 * @param {String} nonce Nonce allowing the script of the page to run
+	 * @returns {String} HTML of the webview
+	 */
+	getHtml (graph, currentPath, nonce) {
+		const positions = layoutGraph(graph);
+		const cycles = graph.findCycles();
+		const cycleEdges = graph.findCycleEdges(cycles);
+		const link = filePath => `<a href="#" data-path="${escapeHtml(filePath)}">`
+			+ `${escapeHtml(graph.nodes.get(filePath).id)}</a>`;
+		const edges = [];
+		const nodes = [];
+		let width = 0;
+		let height = 0;
+
+		positions.forEach((position, filePath) => {
+			const node = graph.nodes.get(filePath);
+
+			width = Math.max(width, position.x + position.width + columnGap);
+			height = Math.max(height, position.y + nodeHeight + columnGap);
+			nodes.push(`<g class="node" data-path="${escapeHtml(filePath)}">`
+				+ `<title>${escapeHtml(filePath)}</title>`
+				+ `<rect x="${position.x}" y="${position.y}"`
+				+ ` width="${position.width}" height="${nodeHeight}" rx="4"></rect>`
+				+ `<text x="${position.x + 8}" y="${position.y + 16}">${escapeHtml(node.id)}</text></g>`);
+			// addDependencies adds a node for every dependency, edges without a target are skipped anyway
+			node.dependencies.filter(dependency => positions.has(dependency)).forEach(dependency => {
+				const target = positions.get(dependency);
+				const isCycle = cycleEdges.has(filePath + '\n' + dependency);
+
+				edges.push(`<line class="edge${isCycle ? ' cycle' : ''}"`
+					+ ` data-from="${escapeHtml(filePath)}" data-to="${escapeHtml(dependency)}"`
+					+ ` x1="${position.x + position.width / 2}" y1="${position.y + nodeHeight}"`
+					+ ` x2="${target.x + target.width / 2}" y2="${target.y}"></line>`);
+			});
+		});
+
+		const cycleList = cycles.length
+			? `<ol>${cycles.map(chain => `<li>${chain.map(link).join(' → ')}</li>`).join('')}</ol>`
+			: '<p>No circular dependencies found.</p>';
+
+		return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy"
+	content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">
+<style>
+	body { color: var(--vscode-editor-foreground); font-family: var(--vscode-font-family); }
+	a { color: var(--vscode-textLink-foreground); }
+	.node { cursor: pointer; }
+	.node rect { fill: var(--vscode-editor-background); stroke: var(--vscode-editor-foreground); }
+	.node text { fill: var(--vscode-editor-foreground); font: 12px monospace; }
+	.node.current rect { fill: var(--vscode-editor-selectionBackground); stroke-width: 2; }
+	.node.dependency rect { stroke: var(--vscode-charts-blue, #3794ff); stroke-width: 2; }
+	.node.dependent rect { stroke: var(--vscode-charts-green, #89d185); stroke-width: 2; }
+	.edge { stroke: var(--vscode-editor-foreground); opacity: 0.3; }
+	.edge.cycle { stroke: var(--vscode-errorForeground, #f48771); opacity: 1; }
+	.edge.highlighted { opacity: 1; stroke-width: 2; }
+</style>
+</head>
+<body data-current="${escapeHtml(currentPath)}">
+<h2>Circular dependencies</h2>
+${cycleList}
+<h2>Modules</h2>
+<svg width="${width}" height="${height}">${edges.join('')}${nodes.join('')}</svg>
+<script nonce="${nonce}">
+	const vscode = acquireVsCodeApi();
+	const highlight = filePath => {
+		document.querySelectorAll('.node').forEach(node => node.classList.remove('current', 'dependency', 'dependent'));
+		document.querySelectorAll('.edge').forEach(edge => {
+			const isFrom = edge.dataset.from === filePath;
+			const isTo = edge.dataset.to === filePath;
+
+			edge.classList.toggle('highlighted', isFrom || isTo);
+			document.querySelectorAll('.node').forEach(node => {
+				if (isFrom && node.dataset.path === edge.dataset.to) {
+					node.classList.add('dependency');
+				} else if (isTo && node.dataset.path === edge.dataset.from) {
+					node.classList.add('dependent');
+				}
+			});
+		});
+		document.querySelectorAll('.node').forEach(node => {
+			node.classList.toggle('current', node.dataset.path === filePath);
+		});
+	};
+
+	document.querySelectorAll('[data-path]').forEach(element => element.addEventListener('click', event => {
+		event.preventDefault();
+		vscode.postMessage({ command: 'open', path: element.dataset.path });
+	}));
+	window.addEventListener('message', event => {
+		if (event.data.command === 'highlight') {
+			highlight(event.data.path);
+		}
+	});
+	highlight(document.body.dataset.current);
+</script>
+</body>
+</html>`;
+	}
+
+	/**
+	 * Highlights the module of an editor with its dependencies and dependents
+	 * @param {TextEditor} [editor] VSCode text editor
+	 * @returns {undefined}
+	 */
+	highlight (editor) {
+		if (this.panel && editor) {
+			this.panel.webview.postMessage({ command: 'highlight', path: editor.document.uri.fsPath });
+		}
+	}
+
+	/**
+	 * Handles messages posted by the webview
+	 * @param {Object} message Message with command and module path
+	 * @returns {Promise|undefined} resolves when the module is opened
+	 */
+	onDidReceiveMessage (message) {
+		if (message.command === 'open' && this.graph && this.graph.nodes.has(message.path)) {
+			return vscode.window.showTextDocument(vscode.Uri.file(message.path), { viewColumn: vscode.ViewColumn.One });
+		}
+
+		return undefined;
+	}
+
+	/**
+	 * Builds the dependency graph and shows it, highlighting the module of the active editor
+	 * @returns {Promise} resolves when the graph is shown
+	 */
+	show () {
+		const editor = vscode.window.activeTextEditor;
+
+		return loadWorkspaceGraph().then(graph => {
+			this.graph = graph;
+
+			if (!this.panel) {
+				this.panel = vscode.window.createWebviewPanel(
+					'requireModuleSupport.dependencyGraph',
+					'AMD Dependency Graph',
+					vscode.ViewColumn.Beside,
+					{ enableScripts: true }
+				);
+				this.disposables = [
+					this.panel.webview.onDidReceiveMessage(message => this.onDidReceiveMessage(message)),
+					vscode.window.onDidChangeActiveTextEditor(activeEditor => this.highlight(activeEditor))
+				];
+				this.panel.onDidDispose(() => {
+					this.disposables.forEach(disposable => disposable.dispose());
+					this.panel = null;
+				});
+			} else {
+				this.panel.reveal();
+			}
+
+			const currentPath = editor ? editor.document.uri.fsPath : '';
+
+			this.panel.webview.html = this.getHtml(graph, currentPath, crypto.randomBytes(16).toString('hex'));
+		});
+	}
+
+	dispose () {
+		if (this.panel) {
+			this.panel.dispose();
+		}
+	}
+}
+
+Object.assign(exports, { DependencyGraphView });
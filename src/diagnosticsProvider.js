@@ -0,0 +1,62 @@
+const vscode = require('vscode');
+const { findModuleProblems } = require('./moduleDiagnostics');
+const { getWorkspaceResolver } = require('./workspaceResolver');
+
+const severities = {
+	warning: vscode.DiagnosticSeverity.Warning,
+	information: vscode.DiagnosticSeverity.Information
+};
+
+/**
+ * Reports problems of define/require calls in the Problems panel
+ */
+class DiagnosticsProvider {
+	constructor () {
+		this.collection = vscode.languages.createDiagnosticCollection('requirejs');
+	}
+
+	/**
+	 * Checks a document and replaces its diagnostics. Documents which are not files, like untitled
+	 * documents and git versions, are not checked as their ids can not be resolved from their location.
+	 * @param {Document} document VSCode document
+	 * @returns {undefined}
+	 */
+	updateDiagnostics (document) {
+		const enabled = vscode.workspace.getConfiguration('requireModuleSupport').get('diagnostics') !== false;
+
+		if (document.languageId !== 'javascript' || document.uri.scheme !== 'file' || !enabled) {
+			this.collection.delete(document.uri);
+
+			return;
+		}
+
+		const resolver = getWorkspaceResolver(document.fileName);
+		// Ids which can not be mapped to a file, like URLs, are not checked
+		const isResolvable = id => {
+			const resolution = resolver.resolveFile(id, document.fileName);
+
+			return Boolean(resolution.path) || !resolution.candidates.length;
+		};
+		const diagnostics = findModuleProblems(document.getText(), isResolvable).map(problem => {
+			const range = new vscode.Range(document.positionAt(problem.start), document.positionAt(problem.end));
+			const diagnostic = new vscode.Diagnostic(range, problem.message, severities[problem.severity]);
+
+			diagnostic.code = problem.code;
+			diagnostic.source = 'requirejs';
+
+			return diagnostic;
+		});
+
+		this.collection.set(document.uri, diagnostics);
+	}
+
+	deleteDiagnostics (document) {
+		this.collection.delete(document.uri);
+	}
+
+	dispose () {
+		this.collection.dispose();
+	}
+}
+
+Object.assign(exports, { DiagnosticsProvider });
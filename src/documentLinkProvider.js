@@ -0,0 +1,43 @@
+const vscode = require('vscode');
+const { analyzeModules, isSpecialDependency } = require('./moduleAnalysis');
+const { getWorkspaceResolver } = require('./workspaceResolver');
+
+/**
+ * Links module ids of define/require calls to the files they resolve to
+ */
+class DocumentLinkProvider {
+	/**
+	 * Lists the module id strings of a source, leaving out special dependencies
+	 * @param {String} str Source
+	 * @returns {Array} strings with value and range including quotes, sorted by position
+	 */
+	findModuleIds (str) {
+		const analysis = analyzeModules(str);
+
+		return analysis.modules
+			.reduce((list, statement) => list.concat(statement.dependencies), [])
+			.concat(analysis.inlineRequires)
+			.filter(string => string.value && !isSpecialDependency(string.value))
+			.sort((a, b) => a.start - b.start);
+	}
+
+	provideDocumentLinks (document) {
+		const resolver = getWorkspaceResolver(document.fileName);
+
+		// Ids which do not resolve are not linked, hovers and diagnostics tell why
+		return this.findModuleIds(document.getText())
+			.map(string => ({ string, resolution: resolver.resolveFile(string.value, document.fileName) }))
+			.filter(({ resolution }) => resolution.path)
+			.map(({ string, resolution }) => {
+				// The link covers the id without its quotes
+				const range = new vscode.Range(
+					document.positionAt(string.start + 1),
+					document.positionAt(string.end - 1)
+				);
+
+				return new vscode.DocumentLink(range, vscode.Uri.file(resolution.path));
+			});
+	}
+}
+
+Object.assign(exports, { DocumentLinkProvider });
@@ -0,0 +1,101 @@
+const vscode = require('vscode');
+const { analyzeModules, findStatementAt } = require('./moduleAnalysis');
+const { findModuleSymbols } = require('./moduleIndex');
+
+/**
+ * Shows define/require blocks in the outline with their dependencies and exported members
+ */
+class DocumentSymbolProvider {
+	/**
+	 * Lists the dependencies of a block as id and parameter pairs, including `require()` calls
+	 * of the simplified CommonJS wrapper which belong to the block
+	 * @param {Object} analysis Result of analyzeModules
+	 * @param {Object} statement Statement of the block
+	 * @returns {Array} dependencies with id, parameter name (null if there is none) and range of the id
+	 */
+	getDependencies (analysis, statement) {
+		// Parameters match dependencies by position, so ids which are not string literals are left out afterwards
+		const dependencies = statement.dependencies
+			.map((dependency, index) => ({
+				id: dependency.value,
+				param: statement.params[index] ? statement.params[index].name : null,
+				start: dependency.start,
+				end: dependency.end
+			}))
+			.filter(dependency => dependency.id !== null);
+		const inlineRequires = analysis.inlineRequires
+			.filter(inlineRequire => findStatementAt(analysis.modules, inlineRequire.callStart) === statement)
+			.map(inlineRequire => ({
+				id: inlineRequire.value,
+				param: inlineRequire.binding ? inlineRequire.binding.name : null,
+				start: inlineRequire.start,
+				end: inlineRequire.end
+			}));
+
+		return dependencies.concat(inlineRequires);
+	}
+
+	/**
+	 * Creates the symbol of a block with its dependencies and exported members as children
+	 * @param {Object} analysis Result of analyzeModules
+	 * @param {Object} statement Statement of the block
+	 * @param {Object} module Module symbol found by findModuleSymbols, null for require calls
+	 * @param {Function} toRange Converts an item with start and end offsets to a range
+	 * @returns {DocumentSymbol} symbol of the block
+	 */
+	createBlockSymbol (analysis, statement, module, toRange) {
+		const callee = statement.node.callee;
+		const selection = statement.id || callee;
+		const symbol = new vscode.DocumentSymbol(
+			statement.id ? statement.id.value : callee.name,
+			statement.id ? callee.name : '',
+			statement.type === 'define' ? vscode.SymbolKind.Module : vscode.SymbolKind.Namespace,
+			toRange(statement),
+			toRange(selection)
+		);
+		const members = module && module.exports ? module.exports.members : [];
+
+		this.getDependencies(analysis, statement).forEach(dependency => {
+			const name = dependency.param ? `${dependency.id} → ${dependency.param}` : dependency.id;
+			const kind = vscode.SymbolKind.Variable;
+			const range = toRange(dependency);
+
+			symbol.children.push(new vscode.DocumentSymbol(name, 'dependency', kind, range, range));
+		});
+		members.forEach(member => {
+			const kind = member.kind === 'method' ? vscode.SymbolKind.Method : vscode.SymbolKind.Property;
+			const detail = member.isPrototype ? 'prototype' : '';
+			const range = toRange(member);
+
+			symbol.children.push(new vscode.DocumentSymbol(member.name, detail, kind, range, range));
+		});
+
+		return symbol;
+	}
+
+	provideDocumentSymbols (document) {
+		const text = document.getText();
+		const toRange = item => new vscode.Range(document.positionAt(item.start), document.positionAt(item.end));
+		const analysis = analyzeModules(text);
+		const defines = analysis.modules.filter(statement => statement.type === 'define');
+		const exported = findModuleSymbols(text);
+		const roots = [];
+		const parents = [];
+
+		analysis.modules.forEach(statement => {
+			const module = statement.type === 'define' ? exported[defines.indexOf(statement)] : null;
+			const symbol = this.createBlockSymbol(analysis, statement, module, toRange);
+
+			// Blocks are sorted by position, so the enclosing block of a nested one has been seen before
+			while (parents.length && parents[parents.length - 1].end < statement.start) {
+				parents.pop();
+			}
+			(parents.length ? parents[parents.length - 1].symbol.children : roots).push(symbol);
+			parents.push({ end: statement.end, symbol });
+		});
+
+		return roots;
+	}
+}
+
+Object.assign(exports, { DocumentSymbolProvider });
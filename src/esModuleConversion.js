@@ -0,0 +1,344 @@
+const walk = require('acorn/dist/walk');
+const { analyzeModules } = require('./moduleAnalysis');
+const { findDeclaredNames } = require('./declarations');
+const { getLineIndent, getBodyIndent, getStatementLineRange } = require('./moduleConversion');
+const { isValidName, createNamedExports, convertExportStatement } = require('./esModuleExports');
+const { isFunction, convertDynamicRequire, convertDependencies } = require('./esModuleImports');
+
+/**
+ * Applies edits to a part of a source
+ * @param {String} str Part of the source
+ * @param {Array} edits Edits with range and text, relative to the whole source
+ * @param {Integer} offset Offset of the part in the whole source
+ * @returns {String} edited part
+ */
+function applyEdits (str, edits, offset) {
+	return edits
+		.slice()
+		.sort((a, b) => b.start - a.start)
+		.reduce((result, edit) => result.slice(0, edit.start - offset) + edit.text
+			+ result.slice(edit.end - offset), str);
+}
+
+/**
+ * Collects edits converting a file from AMD to ES modules, and the problems preventing a complete conversion
+ */
+class EsModuleConverter {
+	/**
+	 * @param {String} str Source of the file
+	 * @param {Function} resolveImport Returns the specifier to import a module id with, and whether the module
+	 * only has named exports and is imported as a namespace
+	 */
+	constructor (str, resolveImport) {
+		this.str = str;
+		this.resolveImport = resolveImport;
+		this.analysis = analyzeModules(str);
+		this.usedNames = findDeclaredNames(this.analysis.ast);
+		this.convertedCalls = [];
+		this.edits = [];
+		this.problems = [];
+		this.hasDefaultExport = false;
+		this.hasNamedExports = false;
+	}
+
+	text (node) {
+		return this.str.slice(node.start, node.end);
+	}
+
+	addProblem (node, message) {
+		this.problems.push({ message, start: node.start, end: node.end });
+	}
+
+	/**
+	 * Reports a problem and adds a TODO comment above the line of the node
+	 * @param {Object} node Node which can not be converted
+	 * @param {String} message Description of the problem
+	 * @returns {undefined}
+	 */
+	addTodo (node, message) {
+		const lineStart = this.str.lastIndexOf('\n', node.start - 1) + 1;
+
+		this.addProblem(node, message);
+		this.edits.push({
+			start: lineStart,
+			end: lineStart,
+			text: `${getLineIndent(this.str, node.start)}// TODO: ${message}\n`
+		});
+	}
+
+	/**
+	 * Returns the module specifier for an id literal, keeping its quotes
+	 * @param {Object} literal String literal node of the module id
+	 * @returns {Object} quoted specifier and whether the module is imported as a namespace
+	 */
+	getSource (literal) {
+		const { specifier, isNamespace } = this.resolveImport(literal.value);
+		const quote = this.str[literal.start] === '"' ? '"' : '\'';
+
+		return { source: quote + specifier + quote, isNamespace };
+	}
+
+	/**
+	 * Creates a variable name for a module id which is not used in the file yet
+	 * @param {String} id Module id
+	 * @returns {String} name
+	 */
+	createUniqueName (id) {
+		const segment = id.split('/').pop()
+			.replace(/[^\w$]+(.)?/g, (match, next) => next ? next.toUpperCase() : '');
+		const base = isValidName(segment) ? segment : `_${segment}`;
+		let name = base;
+
+		for (let i = 2; this.usedNames.indexOf(name) !== -1; i++) {
+			name = base + i;
+		}
+		this.usedNames.push(name);
+
+		return name;
+	}
+
+	/**
+	 * Creates exports for the value of a module. Object literals become named exports,
+	 * unless their members can not be exported by name.
+	 * @param {Object} value Exported value node
+	 * @param {Array} declaredNames Names declared in the module
+	 * @param {String} indent Indentation of the exports
+	 * @returns {String} export declarations
+	 */
+	createExports (value, declaredNames, indent) {
+		const named = value.type === 'ObjectExpression'
+			? createNamedExports(this.str, this.analysis.comments, value, declaredNames, indent)
+			: null;
+
+		if (named) {
+			this.hasNamedExports = true;
+
+			return named;
+		}
+
+		this.hasDefaultExport = true;
+
+		return `export default ${this.text(value)};`;
+	}
+
+	/**
+	 * Converts `exports.a = value` and `module.exports = value` statements of the factory
+	 * @param {Object} node Statement node
+	 * @param {Object} names Names of the exports and module parameters
+	 * @param {Array} declaredNames Names declared in the module
+	 * @returns {String|null} export declaration replacing the statement, null if it is not an export
+	 */
+	convertExportStatement (node, names, declaredNames) {
+		const exported = convertExportStatement(this.str, node, names, declaredNames);
+
+		if (!exported) {
+			return null;
+		}
+
+		this.hasDefaultExport = this.hasDefaultExport || exported.isDefault;
+		this.hasNamedExports = this.hasNamedExports || !exported.isDefault;
+
+		return exported.text;
+	}
+
+	/**
+	 * Converts a define call to imports, the factory body and exports
+	 * @param {Object} statement Statement as returned by analyzeModules
+	 * @param {Object} expressionStatement Top level statement containing the define call
+	 * @returns {undefined}
+	 */
+	convertDefine (statement, expressionStatement) {
+		const node = statement.node;
+		const factory = node.arguments[node.arguments.length - 1];
+
+		if (!factory) {
+			this.addProblem(node, 'define() call without factory can not be converted');
+
+			return;
+		}
+		if (statement.id) {
+			this.addProblem(statement.id, `Module name ${this.text(statement.id)} is dropped`);
+		}
+		if (!isFunction(factory)) {
+			const exports = this.createExports(factory, [], '');
+
+			this.edits.push({ start: expressionStatement.start, end: expressionStatement.end, text: exports });
+
+			return;
+		}
+
+		const [requireName, exportsName, moduleName] = statement.dependencyList
+			? []
+			: factory.params.map(param => param.type === 'Identifier' ? param.name : null);
+		const names = { require: requireName, exports: exportsName, module: moduleName };
+		const bodyEdits = [];
+		const imports = convertDependencies(this, statement, factory, names, bodyEdits);
+		const declaredNames = findDeclaredNames(factory.body);
+		const body = factory.body;
+		const outerIndent = getLineIndent(this.str, expressionStatement.start);
+		const indent = getBodyIndent(this.str, factory, outerIndent);
+		let exports = '';
+
+		if (body.type === 'BlockStatement') {
+			if (!this.convertBlockBody(body, names, declaredNames, indent, bodyEdits)) {
+				return;
+			}
+		} else {
+			exports = this.createExports(body, declaredNames, '');
+		}
+
+		const inner = body.type === 'BlockStatement' ? { start: body.start + 1, end: body.end - 1 } : null;
+		const innerEdits = inner ? this.edits.filter(edit => edit.start >= inner.start && edit.end <= inner.end) : [];
+
+		this.reportSpecialNames(body, names, bodyEdits.concat(innerEdits));
+		const bodyText = inner
+			? applyEdits(this.str.slice(inner.start, inner.end), bodyEdits.concat(innerEdits), inner.start)
+			: '';
+		const dedented = bodyText.replace(/^\s*\n/, '')
+			.split('\n')
+			.map(line => line.indexOf(indent) === 0 ? line.slice(indent.length) : line)
+			.join('\n')
+			.replace(/\s+$/, '');
+
+		this.edits = this.edits.filter(edit => innerEdits.indexOf(edit) === -1);
+		this.edits.push({
+			start: expressionStatement.start,
+			end: expressionStatement.end,
+			text: [imports.join('\n'), dedented, exports].filter(Boolean).join('\n\n')
+		});
+	}
+
+	/**
+	 * Collects the edits of a factory body converting its exports
+	 * @param {Object} body BlockStatement node of the factory
+	 * @param {Object} names Names of the require, exports and module parameters
+	 * @param {Array} declaredNames Names declared in the module
+	 * @param {String} indent Indentation of the body
+	 * @param {Array} bodyEdits Edits of the factory body, the conversions are added to them
+	 * @returns {Boolean} false if the body returns before its end and can not be converted
+	 */
+	convertBlockBody (body, names, declaredNames, indent, bodyEdits) {
+		const returns = [];
+		const last = body.body[body.body.length - 1];
+
+		walk.fullAncestor(body, (child, state, ancestors) => {
+			if (child.type === 'ReturnStatement' && !ancestors.some(ancestor => (/Function/).test(ancestor.type))) {
+				returns.push(child);
+			}
+		});
+
+		if (returns.some(child => child !== last)) {
+			returns.filter(child => child !== last).forEach(child => {
+				this.addProblem(child, 'Return statements before the end of the factory can not be converted');
+			});
+
+			return false;
+		}
+
+		body.body.forEach(child => {
+			const text = child.directive === 'use strict'
+				? ''
+				: this.convertExportStatement(child, names, declaredNames);
+
+			if (text === '') {
+				bodyEdits.push(Object.assign({ text }, getStatementLineRange(this.str, child)));
+			} else if (text) {
+				bodyEdits.push({ start: child.start, end: child.end, text });
+			}
+		});
+
+		if (returns.length) {
+			const value = returns[0].argument;
+
+			bodyEdits.push({
+				start: returns[0].start,
+				end: returns[0].end,
+				text: value ? this.createExports(value, declaredNames, indent) : ''
+			});
+		}
+
+		return true;
+	}
+
+	/**
+	 * Reports usages of the require, exports and module parameters which remain after the conversion
+	 * @param {Object} body Factory body node
+	 * @param {Object} names Names of the require, exports and module parameters
+	 * @param {Array} bodyEdits Edits of the factory body
+	 * @returns {undefined}
+	 */
+	reportSpecialNames (body, names, bodyEdits) {
+		const specialNames = Object.keys(names).map(key => names[key])
+			.filter(Boolean);
+		const isEdited = node => bodyEdits.some(edit => node.start >= edit.start && node.end <= edit.end);
+
+		walk.full(body, node => {
+			const isConverted = node.type === 'CallExpression' && this.convertedCalls.indexOf(node.start) !== -1;
+
+			const isSpecialName = node.type === 'Identifier' && specialNames.indexOf(node.name) !== -1;
+
+			if (isSpecialName && !isEdited(node) && !isConverted) {
+				const isRequireCallee = this.analysis.inlineRequires.some(item => item.callStart === node.start);
+
+				if (!isRequireCallee) {
+					this.addProblem(node, `${node.name} has no ES module equivalent`);
+				}
+			}
+		});
+	}
+
+	/**
+	 * Converts the file
+	 * @returns {EsModuleConverter} converter with edits and problems
+	 */
+	convert () {
+		const defines = this.analysis.modules.filter(statement => statement.type === 'define');
+		const topLevel = this.analysis.ast.body.find(node => defines.length === 1
+			&& node.type === 'ExpressionStatement'
+			&& node.expression === defines[0].node);
+
+		this.analysis.modules
+			.filter(statement => statement.type === 'require')
+			.forEach(statement => convertDynamicRequire(this, statement));
+
+		if (defines.length > 1) {
+			defines.forEach(statement => this.addProblem(statement.node,
+				'Files with several define() calls can not be converted'));
+		} else if (defines.length && !topLevel) {
+			this.addProblem(defines[0].node, 'define() calls which are not top level statements can not be converted');
+		} else if (topLevel) {
+			this.convertDefine(defines[0], topLevel);
+		}
+
+		this.analysis.inlineRequires
+			.filter(item => this.convertedCalls.indexOf(item.callStart) === -1)
+			.forEach(item => this.addProblem(
+				{ start: item.callStart, end: item.callEnd },
+				`Synchronous require(${this.text(item)}) can not be converted`
+			));
+		this.edits.sort((a, b) => a.start - b.start);
+		this.problems.sort((a, b) => a.start - b.start);
+
+		return this;
+	}
+}
+
+/**
+ * Converts a file from AMD to ES modules: dependencies become import declarations, the value returned
+ * by the factory becomes the default export, or named exports for object literals, `exports.a` assignments
+ * become named exports and asynchronous `require()` calls become `import()`. Whatever can not be converted,
+ * like loader plugin dependencies, is reported and marked with TODO comments where it is removed.
+ * @param {String} str Source of the file
+ * @param {Function} [resolveImport] Returns the specifier to import a module id with, and whether the module
+ * only has named exports and is imported as a namespace. Ids are imported as they are by default.
+ * @returns {Object} edits with range and text sorted by position, problems with message and range,
+ * and whether the converted module has a default export and named exports
+ */
+function convertToEsModule (str, resolveImport = id => ({ specifier: id, isNamespace: false })) {
+	const converter = new EsModuleConverter(String(str), resolveImport).convert();
+	const { edits, problems, hasDefaultExport, hasNamedExports } = converter;
+
+	return { edits, problems, hasDefaultExport, hasNamedExports };
+}
+
+Object.assign(exports, { convertToEsModule });
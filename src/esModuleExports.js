@@ -0,0 +1,201 @@
+const walk = require('acorn/dist/walk');
+const { getLineIndent } = require('./moduleConversion');
+
+const reservedWords = [
+	'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+	'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements', 'import',
+	'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public',
+	'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while',
+	'with', 'yield'
+];
+
+/**
+ * Checks whether a name can be used as a variable name
+ * @param {String} name Name to check
+ * @returns {Boolean} true for identifiers which are not reserved words
+ */
+function isValidName (name) {
+	return typeof name === 'string' && (/^[A-Za-z_$][\w$]*$/).test(name) && reservedWords.indexOf(name) === -1;
+}
+
+/**
+ * Replaces the indentation of every line but the first
+ * @param {String} str Text to reindent
+ * @param {String} from Indentation to replace
+ * @param {String} to New indentation
+ * @returns {String} reindented text
+ */
+function reindent (str, from, to) {
+	return str.split('\n')
+		.map((line, index) => index && line.indexOf(from) === 0 ? to + line.slice(from.length) : line)
+		.join('\n');
+}
+
+/**
+ * Returns the name a property of an object literal is exported with
+ * @param {Object} property Property node
+ * @returns {String|null} name, null if the property can not be exported by name
+ */
+function getExportName (property) {
+	const key = property.key;
+	const name = key && (key.type === 'Identifier' ? key.name : key.value);
+	const isPlain = property.type === 'Property' && !property.computed && property.kind === 'init';
+
+	return isPlain && isValidName(name) ? name : null;
+}
+
+/**
+ * Creates the named export of a property of an object literal
+ * @param {String} str Source
+ * @param {Object} property Property node
+ * @param {Array} declaredNames Names declared in the module
+ * @param {String} indent Indentation of the exports
+ * @returns {Object|null} export specifier for properties referring to a variable, declaration for other ones,
+ * null if the property can not be exported by name
+ */
+function createPropertyExport (str, property, declaredNames, indent) {
+	const name = getExportName(property);
+
+	if (!name) {
+		return null;
+	}
+
+	const value = property.value;
+	const text = reindent(str.slice(value.start, value.end), getLineIndent(str, property.start), indent);
+
+	if (value.type === 'Identifier') {
+		return { specifier: value.name === name ? name : `${value.name} as ${name}` };
+	}
+	if (property.method) {
+		const prefix = `export ${value.async ? 'async ' : ''}function${value.generator ? '*' : ''} ${name}`;
+
+		return { declaration: prefix + text };
+	}
+
+	return declaredNames.indexOf(name) === -1 ? { declaration: `export const ${name} = ${text};` } : null;
+}
+
+/**
+ * Creates named exports for the properties of an object literal
+ * @param {String} str Source
+ * @param {Array} comments Comment ranges
+ * @param {Object} object ObjectExpression node
+ * @param {Array} declaredNames Names declared in the module
+ * @param {String} indent Indentation of the exports
+ * @returns {String|null} export declarations, null if a property can not be exported by name
+ */
+function createNamedExports (str, comments, object, declaredNames, indent) {
+	let usesThis = false;
+
+	// Methods calling each other through this break once they are exported separately
+	walk.full(object, node => {
+		usesThis = usesThis || node.type === 'ThisExpression';
+	});
+
+	if (usesThis || !object.properties.length) {
+		return null;
+	}
+
+	const lines = [];
+	const specifiers = [];
+	let previousEnd = object.start + 1;
+
+	for (let i = 0; i < object.properties.length; i++) {
+		const property = object.properties[i];
+		const exported = createPropertyExport(str, property, declaredNames, indent);
+		const from = getLineIndent(str, property.start);
+		const commentStart = previousEnd;
+
+		if (!exported) {
+			return null;
+		}
+
+		previousEnd = property.end;
+
+		if (exported.specifier) {
+			specifiers.push(exported.specifier);
+		} else {
+			lines.push(comments
+				.filter(comment => comment.start >= commentStart && comment.end <= property.start)
+				.map(comment => reindent(str.slice(comment.start, comment.end), from, indent) + '\n' + indent)
+				.join('') + exported.declaration);
+		}
+	}
+
+	if (specifiers.length) {
+		lines.push(`export { ${specifiers.join(', ')} };`);
+	}
+
+	return lines.join('\n' + indent);
+}
+
+/**
+ * Returns the assignment of a statement like `a.b = value`
+ * @param {Object} node Statement node
+ * @returns {Object|null} AssignmentExpression node, null for other statements
+ */
+function getMemberAssignment (node) {
+	const expression = node.type === 'ExpressionStatement' ? node.expression : null;
+
+	if (!expression || expression.type !== 'AssignmentExpression' || expression.operator !== '='
+		|| expression.left.type !== 'MemberExpression' || expression.left.computed
+		|| expression.left.object.type !== 'Identifier') {
+		return null;
+	}
+
+	return expression;
+}
+
+/**
+ * Creates the named export of a value assigned to `exports.name`
+ * @param {String} str Source
+ * @param {String} name Exported name
+ * @param {Object} value Assigned value node
+ * @param {Array} declaredNames Names declared in the module
+ * @returns {String|null} export declaration, null if the value can not be exported by name
+ */
+function createNamedExport (str, name, value, declaredNames) {
+	if (value.type === 'Identifier') {
+		return `export { ${value.name === name ? name : `${value.name} as ${name}`} };`;
+	}
+
+	return declaredNames.indexOf(name) === -1 ? `export const ${name} = ${str.slice(value.start, value.end)};` : null;
+}
+
+/**
+ * Converts `exports.a = value` and `module.exports = value` statements of a factory
+ * @param {String} str Source
+ * @param {Object} node Statement node
+ * @param {Object} names Names of the exports and module parameters
+ * @param {Array} declaredNames Names declared in the module
+ * @returns {Object|null} export declaration replacing the statement and whether it is the default export,
+ * null if the statement is not an export
+ */
+function convertExportStatement (str, node, names, declaredNames) {
+	const assignment = getMemberAssignment(node);
+
+	if (!assignment) {
+		return null;
+	}
+
+	const objectName = assignment.left.object.name;
+	const name = assignment.left.property.name;
+	const value = assignment.right;
+
+	if (names.module && objectName === names.module && name === 'exports') {
+		return { text: `export default ${str.slice(value.start, value.end)};`, isDefault: true };
+	}
+	if (!names.exports || objectName !== names.exports || !isValidName(name)) {
+		return null;
+	}
+
+	const text = createNamedExport(str, name, value, declaredNames);
+
+	return text ? { text, isDefault: false } : null;
+}
+
+Object.assign(exports, {
+	isValidName,
+	createNamedExports,
+	convertExportStatement
+});
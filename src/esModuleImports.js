@@ -0,0 +1,216 @@
+const { isSpecialDependency } = require('./moduleAnalysis');
+const { hasParameterParentheses } = require('./dependencyEdits');
+const { getStatementLineRange, isRequireCall } = require('./moduleConversion');
+
+/**
+ * Checks whether node is a function which can be a module factory
+ * @param {Object} node Acorn AST node
+ * @returns {Boolean} true for function expressions and arrow functions
+ */
+function isFunction (node) {
+	return Boolean(node) && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression');
+}
+
+/**
+ * Converts a destructuring pattern to import specifiers, like `{ a, b: c }` to `a, b as c`
+ * @param {Object} pattern Pattern node
+ * @returns {Array|null} specifiers, null if the pattern is not a plain object pattern
+ */
+function getImportSpecifiers (pattern) {
+	const isPlain = pattern.type === 'ObjectPattern'
+		&& pattern.properties.every(property => property.type === 'Property'
+			&& !property.computed
+			&& property.key.type === 'Identifier'
+			&& property.value.type === 'Identifier');
+
+	if (!isPlain) {
+		return null;
+	}
+
+	return pattern.properties
+		.map(({ key, value }) => key.name === value.name ? key.name : `${key.name} as ${value.name}`);
+}
+
+/**
+ * Creates import declarations for a dependency
+ * @param {EsModuleConverter} converter Converter of the file
+ * @param {Object} literal String literal node of the module id
+ * @param {Object} [pattern] Parameter or variable the module is bound to
+ * @returns {Array} lines
+ */
+function createImport (converter, literal, pattern) {
+	if (literal.value.indexOf('!') !== -1) {
+		const binding = pattern ? ` bound to ${converter.text(pattern)}` : '';
+
+		converter.addProblem(literal, `Loader plugin dependency ${converter.text(literal)} can not be imported`);
+
+		return [`// TODO: import ${converter.text(literal)}${binding}, loaded by a loader plugin`];
+	}
+
+	const { source, isNamespace } = converter.getSource(literal);
+	const target = pattern && pattern.type === 'AssignmentPattern' ? pattern.left : pattern;
+	const namespace = isNamespace ? '* as ' : '';
+
+	if (!target) {
+		return [`import ${source};`];
+	}
+	if (target.type === 'Identifier') {
+		return [`import ${namespace}${target.name} from ${source};`];
+	}
+
+	const specifiers = isNamespace ? getImportSpecifiers(target) : null;
+
+	if (specifiers) {
+		return [`import { ${specifiers.join(', ')} } from ${source};`];
+	}
+
+	const name = converter.createUniqueName(literal.value);
+
+	return [`import ${namespace}${name} from ${source};`, `const ${converter.text(target)} = ${name};`];
+}
+
+/**
+ * Returns why an asynchronous require call can not be converted to import()
+ * @param {EsModuleConverter} converter Converter of the file
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @returns {String|null} message, null if the call can be converted
+ */
+function getDynamicRequireProblem (converter, statement) {
+	const callback = statement.node.arguments[1];
+	const unsupported = statement.dependencies.find(dependency => dependency.value === null
+		|| dependency.value.indexOf('!') !== -1
+		|| isSpecialDependency(dependency.value));
+
+	if (unsupported) {
+		return `require() call with dependency ${converter.text(unsupported)} can not be converted to import()`;
+	}
+	if (callback && !isFunction(callback)) {
+		return 'require() call with a callback which is not a function can not be converted to import()';
+	}
+
+	return null;
+}
+
+/**
+ * Converts an asynchronous require call to import(), resolving the callback with the default exports
+ * @param {EsModuleConverter} converter Converter of the file
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @returns {undefined}
+ */
+function convertDynamicRequire (converter, statement) {
+	const node = statement.node;
+	const callback = node.arguments[1];
+	const problem = getDynamicRequireProblem(converter, statement);
+
+	if (problem) {
+		converter.addTodo(node, problem);
+
+		return;
+	}
+
+	const dependencies = statement.node.arguments[0].elements;
+	const sources = dependencies.map(literal => converter.getSource(literal));
+	const imports = sources.map(({ source }) => `import(${source})`);
+	const head = imports.length === 1 ? imports[0] : `Promise.all([${imports.join(', ')}])`;
+
+	if (!callback) {
+		converter.edits.push({ start: node.start, end: node.end, text: head });
+
+		return;
+	}
+
+	converter.edits.push({ start: node.start, end: callback.start, text: `${head}.then(` });
+
+	if (callback.params.length) {
+		const params = callback.params
+			.slice(0, sources.length)
+			.map((param, index) => sources[index].isNamespace
+				? converter.text(param)
+				: `{ default: ${converter.text(param)} }`);
+		const param = sources.length === 1 ? params[0] : `[${params.join(', ')}]`;
+		const isWrapped = hasParameterParentheses(converter.str, callback)
+			|| param === converter.text(callback.params[0]);
+
+		converter.edits.push({
+			start: callback.params[0].start,
+			end: callback.params[callback.params.length - 1].end,
+			text: isWrapped ? param : `(${param})`
+		});
+	}
+}
+
+/**
+ * Collects imports for the `require()` declarations of a factory using the CommonJS wrapper
+ * @param {EsModuleConverter} converter Converter of the file
+ * @param {Object} factory Factory function node
+ * @param {String} requireName Name of the require parameter
+ * @param {Array} bodyEdits Edits of the factory body, removing the declarations
+ * @returns {Array} import lines
+ */
+function convertRequireDeclarations (converter, factory, requireName, bodyEdits) {
+	const imports = [];
+	const statements = factory.body.type === 'BlockStatement' ? factory.body.body : [];
+	const isRequire = node => isRequireCall(node, requireName);
+
+	statements.forEach(node => {
+		let calls = [];
+
+		if (node.type === 'ExpressionStatement' && isRequire(node.expression)) {
+			calls = [node.expression];
+			imports.push(...createImport(converter, node.expression.arguments[0]));
+		} else if (node.type === 'VariableDeclaration' && node.declarations.every(item => isRequire(item.init))) {
+			calls = node.declarations.map(declarator => declarator.init);
+			node.declarations.forEach(declarator => {
+				imports.push(...createImport(converter, declarator.init.arguments[0], declarator.id));
+			});
+		}
+		if (calls.length) {
+			converter.convertedCalls.push(...calls.map(call => call.start));
+			bodyEdits.push(Object.assign({ text: '' }, getStatementLineRange(converter.str, node)));
+		}
+	});
+
+	return imports;
+}
+
+/**
+ * Collects imports for the dependencies of a define call
+ * @param {EsModuleConverter} converter Converter of the file
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @param {Object} factory Factory function node
+ * @param {Object} names Names of the require, exports and module parameters,
+ * filled in for the dependency array
+ * @param {Array} bodyEdits Edits of the factory body, removing `require()` declarations of the CommonJS wrapper
+ * @returns {Array} import lines
+ */
+function convertDependencies (converter, statement, factory, names, bodyEdits) {
+	const imports = [];
+
+	if (!statement.dependencyList) {
+		return convertRequireDeclarations(converter, factory, names.require, bodyEdits);
+	}
+
+	statement.node.arguments.find(node => node.type === 'ArrayExpression').elements.forEach((literal, index) => {
+		const param = factory.params[index];
+
+		if (!literal || literal.type !== 'Literal' || typeof literal.value !== 'string') {
+			converter.addProblem(literal || statement.dependencyList,
+				'Dependencies which are not string literals can not be imported');
+		} else if (isSpecialDependency(literal.value)) {
+			names[literal.value] = param && param.type === 'Identifier' ? param.name : null;
+		} else {
+			imports.push(...createImport(converter, literal, param));
+		}
+	});
+	factory.params.slice(statement.dependencies.length).forEach(param => {
+		converter.addProblem(param, 'Parameter without dependency is left undefined');
+	});
+
+	return imports;
+}
+
+Object.assign(exports, {
+	isFunction,
+	convertDynamicRequire,
+	convertDependencies
+});
@@ -0,0 +1,217 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { analyzeModules, getDependencyIds } = require('./moduleAnalysis');
+const { convertToEsModule } = require('./esModuleConversion');
+const { getWorkspaceResolver, getModuleGlob } = require('./workspaceResolver');
+
+/**
+ * Migrates AMD modules of a file or a folder to ES modules, previewing the changes before they are applied
+ * and reporting what could not be converted
+ */
+class EsModuleMigration {
+	constructor () {
+		this.outputChannel = null;
+	}
+
+	/**
+	 * Reads whether a module only has named exports once converted, so it has to be imported as a namespace
+	 * @param {String} modulePath Absolute path of the module
+	 * @param {Map} exportCache Promises of previously read modules, keyed by path
+	 * @param {Array} errors Files which could not be read are added with path and message
+	 * @returns {Promise} resolves with true for modules imported as a namespace
+	 */
+	hasNamedExportsOnly (modulePath, exportCache, errors) {
+		if (!exportCache.has(modulePath)) {
+			exportCache.set(modulePath, new Promise(resolve => {
+				fs.readFile(modulePath, 'utf8', (error, str) => {
+					if (error) {
+						errors.push({ path: modulePath, message: `Could not read module: ${error.message}` });
+						resolve(false);
+					} else {
+						const { hasDefaultExport, hasNamedExports } = convertToEsModule(str);
+
+						resolve(hasNamedExports && !hasDefaultExport);
+					}
+				});
+			}));
+		}
+
+		return exportCache.get(modulePath);
+	}
+
+	/**
+	 * Creates a function returning the specifier a module id is imported with from a file.
+	 * Ids of modules found in the workspace are imported by relative path, modules which only have
+	 * named exports once converted are imported as a namespace.
+	 * @param {ModuleResolver} resolver Resolver of the workspace folder containing the file
+	 * @param {String} filePath Absolute path of the importing file
+	 * @param {Array} ids Module ids the file depends on
+	 * @param {Map} exportCache Whether modules have named exports only, keyed by path
+	 * @param {Array} errors Files which could not be read are added with path and message
+	 * @returns {Promise} resolves with the import resolver for convertToEsModule
+	 */
+	createImportResolver (resolver, filePath, ids, exportCache, errors) {
+		const imports = ids.map(id => {
+			const modulePath = resolver.resolveFile(id, filePath).path;
+			const isWorkspaceModule = Boolean(modulePath)
+				&& Boolean(resolver.findExtension(modulePath))
+				&& modulePath.split(path.sep).indexOf('node_modules') === -1;
+
+			if (!isWorkspaceModule) {
+				return { id, specifier: id, isNamespace: false };
+			}
+
+			const relative = path.relative(path.dirname(filePath), modulePath)
+				.split(path.sep)
+				.join('/');
+
+			return this.hasNamedExportsOnly(modulePath, exportCache, errors).then(isNamespace => ({
+				id,
+				specifier: (/^\.\.?\//).test(relative) ? relative : './' + relative,
+				isNamespace
+			}));
+		});
+
+		return Promise.all(imports).then(list => id => list.find(item => item.id === id)
+			|| { specifier: id, isNamespace: false });
+	}
+
+	/**
+	 * Lists module files to convert
+	 * @param {Uri} uri File or folder
+	 * @returns {Promise} resolves with uris of the files, rejects if the file or folder can not be read
+	 */
+	findFiles (uri) {
+		return new Promise((resolve, reject) => {
+			fs.stat(uri.fsPath, (error, stats) => error ? reject(error) : resolve(stats));
+		}).then(stats => {
+			if (!stats.isDirectory()) {
+				return [uri];
+			}
+
+			const pattern = new vscode.RelativePattern(uri.fsPath, getModuleGlob());
+
+			return vscode.workspace.findFiles(pattern, '**/node_modules/**');
+		});
+	}
+
+	/**
+	 * Creates an edit converting the files to ES modules
+	 * @param {Array} uris Files to convert
+	 * @returns {Promise} resolves with the WorkspaceEdit, the problems of every file, as objects with document
+	 * and problems with message and range, and the errors of files which could not be read, with path and message
+	 */
+	createEdit (uris) {
+		const exportCache = new Map();
+		const edit = new vscode.WorkspaceEdit();
+		const metadata = { needsConfirmation: true, label: 'Convert to ES modules' };
+		const reports = [];
+		const errors = [];
+		const convert = (document, resolveImport) => {
+			const { edits, problems } = convertToEsModule(document.getText(), resolveImport);
+			const toRange = item => new vscode.Range(document.positionAt(item.start), document.positionAt(item.end));
+
+			edits.forEach(item => edit.replace(document.uri, toRange(item), item.text, metadata));
+			if (problems.length) {
+				reports.push({
+					document,
+					problems: problems.map(problem => ({ message: problem.message, range: toRange(problem) }))
+				});
+			}
+		};
+		const prepareFile = uri => vscode.workspace.openTextDocument(uri).then(document => {
+			const ids = getDependencyIds(analyzeModules(document.getText()));
+
+			return this.createImportResolver(getWorkspaceResolver(uri.fsPath), uri.fsPath, ids, exportCache, errors)
+				.then(resolveImport => ({ document, resolveImport }));
+		});
+
+		return Promise.all(uris.map(uri => prepareFile(uri).then(undefined, error => {
+			errors.push({ path: uri.fsPath, message: `Could not convert file: ${error.message}` });
+		})))
+			.then(files => {
+				// Files are converted in the order they were listed once all their imports are known
+				files.filter(Boolean).forEach(({ document, resolveImport }) => convert(document, resolveImport));
+
+				return { edit, reports, errors };
+			});
+	}
+
+	/**
+	 * Writes the problems of a migration to the output channel
+	 * @param {Array} reports Documents and their problems as returned by createEdit
+	 * @param {Array} errors Files which could not be read as returned by createEdit
+	 * @param {Integer} fileCount Number of converted files
+	 * @returns {undefined}
+	 */
+	writeReport (reports, errors, fileCount) {
+		if (!this.outputChannel) {
+			this.outputChannel = vscode.window.createOutputChannel('Require Module Support');
+		}
+
+		const problemCount = reports.reduce((count, report) => count + report.problems.length, errors.length);
+
+		this.outputChannel.appendLine(`Converted ${fileCount} file(s) to ES modules, ${problemCount} problem(s) left:`);
+		errors.forEach(error => {
+			this.outputChannel.appendLine(`${vscode.workspace.asRelativePath(error.path)} ${error.message}`);
+		});
+		reports.forEach(({ document, problems }) => {
+			const filePath = vscode.workspace.asRelativePath(document.uri.fsPath);
+
+			problems.forEach(({ message, range }) => {
+				const position = `${range.start.line + 1}:${range.start.character + 1}`;
+
+				this.outputChannel.appendLine(`${filePath}:${position} ${message}`);
+			});
+		});
+		this.outputChannel.show(true);
+	}
+
+	/**
+	 * Converts a file or every file of a folder, the active editor's file by default.
+	 * Problems are reported once the edit is applied, nothing is reported if its preview is cancelled.
+	 * @param {Uri} [uri] File or folder selected in the explorer
+	 * @returns {Promise} resolves when the edit is applied
+	 */
+	migrate (uri) {
+		const editor = vscode.window.activeTextEditor;
+		const target = uri || (editor && editor.document.uri);
+
+		if (!target || target.scheme !== 'file') {
+			return vscode.window.showInformationMessage('Open a file or select a folder to convert to ES modules');
+		}
+
+		return this.findFiles(target)
+			.then(uris => this.createEdit(uris))
+			.then(({ edit, reports, errors }) => {
+				const fileCount = edit.entries().length;
+				const report = () => (reports.length || errors.length) && this.writeReport(reports, errors, fileCount);
+
+				if (!edit.size) {
+					report();
+
+					return vscode.window.showInformationMessage('There are no AMD modules to convert');
+				}
+
+				return vscode.workspace.applyEdit(edit).then(isApplied => {
+					if (isApplied) {
+						report();
+					}
+
+					return isApplied;
+				});
+			})
+			.then(undefined, error => {
+				vscode.window.showErrorMessage(`Could not convert to ES modules: ${error.message}`);
+			});
+	}
+
+	dispose () {
+		if (this.outputChannel) {
+			this.outputChannel.dispose();
+		}
+	}
+}
+
+Object.assign(exports, { EsModuleMigration });
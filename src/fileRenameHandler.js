@@ -0,0 +1,68 @@
+const vscode = require('vscode');
+const { createPathMapper, findModuleIdUpdates } = require('./moduleRenames');
+const { getWorkspaceResolver } = require('./workspaceResolver');
+const { getWorkspaceIndex, findModuleFiles } = require('./moduleIndex');
+
+/**
+ * Updates module ids referring to files which are being moved or renamed
+ */
+class FileRenameHandler {
+	/**
+	 * Lists modules which may contain ids to update: moved modules and modules depending on moved files.
+	 * Modules which are not indexed, or have unsaved changes, are always listed.
+	 * @param {Array} uris URIs of the modules of the workspace
+	 * @param {Array} renames Objects with absolute oldPath and newPath of renamed files and directories
+	 * @returns {Array} URIs of the modules to update
+	 */
+	findAffectedFiles (uris, renames) {
+		const index = getWorkspaceIndex();
+		const movePath = createPathMapper(renames);
+		const isMoved = filePath => Boolean(filePath) && movePath(filePath) !== filePath;
+
+		return uris.filter(uri => {
+			const entry = index.getFileEntry(uri.fsPath);
+
+			return !entry
+				|| isMoved(uri.fsPath)
+				|| entry.dependencies.some(id => isMoved(entry.dependencyPaths[id]));
+		});
+	}
+
+	/**
+	 * Creates an edit updating module ids in all modules of the workspace
+	 * @param {Array} renames Objects with absolute oldPath and newPath of renamed files and directories
+	 * @param {Boolean} needsConfirmation Whether the edit should be previewed before it is applied
+	 * @returns {Promise} resolves with WorkspaceEdit
+	 */
+	createEdit (renames, needsConfirmation) {
+		const edit = new vscode.WorkspaceEdit();
+		const metadata = { needsConfirmation, label: 'Update module ids' };
+
+		return findModuleFiles()
+			.then(uris => this.findAffectedFiles(uris, renames))
+			.then(uris => Promise.all(uris.map(uri => vscode.workspace.openTextDocument(uri).then(document => {
+				const resolver = getWorkspaceResolver(uri.fsPath);
+
+				findModuleIdUpdates(document.getText(), uri.fsPath, renames, resolver).forEach(update => {
+					const range = new vscode.Range(document.positionAt(update.start), document.positionAt(update.end));
+
+					edit.replace(uri, range, update.value, metadata);
+				});
+			}, () => undefined))))
+			.then(() => edit);
+	}
+
+	onWillRenameFiles (event) {
+		const setting = vscode.workspace.getConfiguration('requireModuleSupport').get('updateModuleIdsOnFileMove');
+		const renames = event.files.map(file => ({ oldPath: file.oldUri.fsPath, newPath: file.newUri.fsPath }));
+
+		if (setting === 'never') {
+			return;
+		}
+
+		// Files are still at their old location, so ids resolve the same way they did before
+		event.waitUntil(this.createEdit(renames, setting !== 'always'));
+	}
+}
+
+Object.assign(exports, { FileRenameHandler });
@@ -0,0 +1,119 @@
+const vscode = require('vscode');
+const path = require('path');
+const { analyzeModules, isSpecialDependency } = require('./moduleAnalysis');
+const { findModuleUsageAt } = require('./moduleBindings');
+const { loadModuleExports } = require('./moduleIndex');
+const { getWorkspaceRoot } = require('./workspaceResolver');
+
+const kindLabels = {
+	relative: 'relative to the current file',
+	modulePath: 'from the module path',
+	alias: 'through the RequireJS configuration',
+	package: 'from an installed package'
+};
+const specialDescriptions = {
+	require: 'Special dependency provided by the loader, loads modules relative to the current module',
+	exports: 'Special dependency provided by the loader, members assigned to it are exported by the current module',
+	module: 'Special dependency provided by the loader, `module.exports` replaces the value the current module exports'
+};
+
+/**
+ * Returns path relative to the root of its workspace folder for display, absolute for files outside of it
+ * @param {String} fullPath Absolute path
+ * @returns {String} display path
+ */
+function getDisplayPath (fullPath) {
+	const rootPath = getWorkspaceRoot(fullPath);
+	const relative = rootPath ? path.relative(rootPath, fullPath) : '';
+
+	return relative && relative.split(path.sep)[0] !== '..' ? relative : fullPath;
+}
+
+/**
+ * Shows where dependencies resolve to and the documentation of modules and their members
+ */
+class HoverProvider {
+	/**
+	 * Finds the module, and optionally the member of it, at the position
+	 * @param {Document} document VSCode document
+	 * @param {Position} position Hovered position
+	 * @returns {Object|null} module id, member name, whether the member belongs to an instance and range
+	 */
+	findTarget (document, position) {
+		const text = document.getText();
+		const usage = findModuleUsageAt(analyzeModules(text), text, document.offsetAt(position));
+
+		if (!usage) {
+			return null;
+		}
+
+		usage.range = new vscode.Range(document.positionAt(usage.start), document.positionAt(usage.end));
+
+		return usage;
+	}
+
+	/**
+	 * Describes how a module id was resolved, listing the candidates which were tried before the file was found
+	 * @param {Object} resolution Resolution as returned by ModuleResolver.resolveFile
+	 * @returns {String} markdown
+	 */
+	describeResolution (resolution) {
+		const detail = resolution.detail.map(line => `\n- ${line}`).join('');
+
+		if (!resolution.path) {
+			const candidates = resolution.candidates.map(candidate => `\n- \`${getDisplayPath(candidate)}\``).join('');
+
+			return candidates
+				? `Module file not found, resolved ${kindLabels[resolution.kind]} to:${candidates}${detail}`
+				: `Module file not found, \`${resolution.id}\` can not be resolved to a file`;
+		}
+
+		const skipped = (resolution.trace || []).filter(entry => !entry.exists);
+		const trace = skipped.length
+			? '\n\nTried before, not found:' + skipped.map(entry => `\n- \`${getDisplayPath(entry.path)}\``).join('')
+			: '';
+
+		return `Resolved ${kindLabels[resolution.kind]} to \`${getDisplayPath(resolution.path)}\`${detail}${trace}`;
+	}
+
+	provideHover (document, position) {
+		const target = this.findTarget(document, position);
+
+		if (!target) {
+			return Promise.resolve(undefined);
+		}
+
+		if (isSpecialDependency(target.moduleId)) {
+			const signature = target.member ? `${target.moduleId}.${target.member}` : target.moduleId;
+
+			return Promise.resolve(new vscode.Hover([
+				{ language: 'javascript', value: `(module) ${signature}` },
+				specialDescriptions[target.moduleId]
+			], target.range));
+		}
+
+		return loadModuleExports(target.moduleId, document.fileName).then(({ resolution, exports: moduleExports }) => {
+			const members = moduleExports ? moduleExports.members : [];
+			const usePrototype = target.isInstance && members.length > 0 && moduleExports.kind === 'constructor';
+			const member = members.find(item => item.name === target.member && item.isPrototype === usePrototype);
+			let signature = `(module) ${target.moduleId}`;
+			let documentation = moduleExports ? moduleExports.documentation : '';
+
+			if (target.member) {
+				signature = `(${member ? member.kind : 'member'}) ${target.moduleId}.${target.member}`;
+				documentation = member ? member.documentation : '';
+			}
+
+			const contents = [{ language: 'javascript', value: signature }];
+
+			if (documentation) {
+				contents.push(documentation);
+			}
+			contents.push(this.describeResolution(resolution));
+
+			return new vscode.Hover(contents, target.range);
+		});
+	}
+}
+
+Object.assign(exports, { HoverProvider });
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+
+// Folders of the workspace root containing installed packages, with the manifests naming their entry file
+const packageFolders = [
+	{ folder: 'node_modules', manifests: ['package.json'] },
+	{ folder: 'bower_components', manifests: ['bower.json', 'package.json'] }
+];
+// Manifest fields naming the entry file of a package, AMD specific ones first
+const entryFields = [['jam', 'main'], ['volo', 'main'], ['browser'], ['main']];
+
+/**
+ * Reads the entry file of an installed package from its manifest
+ * @param {String} packagePath Absolute path of the package
+ * @param {Array} manifests Manifest file names in the order they are read
+ * @returns {Object} manifest file name (null if there is none) and path of the entry file relative to the package
+ */
+function readPackageEntry (packagePath, manifests) {
+	for (let i = 0; i < manifests.length; i++) {
+		let manifest = null;
+
+		try {
+			manifest = JSON.parse(fs.readFileSync(path.join(packagePath, manifests[i]), 'utf8'));
+		} catch (e) {
+			manifest = null;
+		}
+
+		if (manifest) {
+			const entries = entryFields
+				// Bower lists the files of a package, its entry file is the script among them
+				.map(fields => [].concat(fields.reduce((value, field) => value && value[field], manifest))
+					.find(value => typeof value === 'string' && !(/\.(css|less|scss|html?)$/i).test(value)))
+				.filter(Boolean);
+
+			return { manifest: manifests[i], main: entries[0] || 'index' };
+		}
+	}
+
+	return { manifest: null, main: 'index' };
+}
+
+/**
+ * Looks up a bare module id in the packages installed in node_modules and bower_components.
+ * Ids naming a package resolve to its entry file, longer ids to files inside of the package.
+ * @param {ModuleResolver} resolver Resolver of the workspace folder the packages are installed in
+ * @param {String} moduleId Absolute module id, like lodash, lodash/debounce or @scope/name
+ * @param {String} [extension] Extension of the file, by default every candidate extension is tried
+ * @returns {Array} lookups of the packages which are installed, with detail line and candidate files
+ */
+function findInstalledPackages (resolver, moduleId, extension) {
+	const segments = moduleId.split('/');
+	const nameLength = segments[0][0] === '@' ? 2 : 1;
+	const name = segments.slice(0, nameLength).join('/');
+	const subPath = segments.slice(nameLength).join('/');
+
+	if (!resolver.rootPath || !segments[nameLength - 1]) {
+		return [];
+	}
+
+	return packageFolders
+		.map(({ folder, manifests }) => ({
+			folder,
+			manifests,
+			packagePath: path.join(resolver.rootPath, folder, name)
+		}))
+		.filter(({ packagePath }) => fs.existsSync(packagePath))
+		.map(({ folder, manifests, packagePath }) => {
+			if (subPath || extension !== undefined) {
+				return {
+					detail: `${folder}: ${name}`,
+					candidates: resolver.getCandidateFiles(path.join(packagePath, subPath), extension)
+				};
+			}
+
+			const entry = readPackageEntry(packagePath, manifests);
+			const location = path.resolve(packagePath, entry.main);
+			const entryExtension = resolver.findExtension(location);
+
+			return {
+				detail: entry.manifest ? `${folder}: ${name}/${entry.manifest} → ${entry.main}` : `${folder}: ${name}`,
+				candidates: resolver.getCandidateFiles(
+					entryExtension ? location.slice(0, -entryExtension.length) : location
+				)
+			};
+		});
+}
+
+Object.assign(exports, { findInstalledPackages });
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Built-in rules for common loader plugins. Extension is appended to the resource
+ * name unless it already ends with it, an empty extension opens the resource as-is.
+ */
+const builtInRules = {
+	text: { extension: '' },
+	json: { extension: '' },
+	css: { extension: '.css' },
+	i18n: { extension: '.js', i18n: true }
+};
+
+/**
+ * Splits a plugin-prefixed module id such as `text!templates/row.html`
+ * @param {String} id Module id
+ * @returns {Object} plugin id (null if there is none) and resource name
+ */
+function splitPluginId (id) {
+	const index = id.indexOf('!');
+
+	if (index === -1) {
+		return { plugin: null, resource: id };
+	}
+
+	return {
+		plugin: id.slice(0, index),
+		resource: id.slice(index + 1)
+	};
+}
+
+/**
+ * Returns the rule describing how resources of a plugin map to files.
+ * User rules map plugin ids to extensions and take precedence over the built-in ones.
+ * Plugins are matched by their full id first, then by the last segment of it.
+ * @param {String} plugin Plugin id
+ * @param {Object} [userRules = {}] Extensions keyed by plugin id
+ * @returns {Object|null} rule
+ */
+function getPluginRule (plugin, userRules = {}) {
+	const rules = Object.assign({}, builtInRules);
+
+	Object.keys(userRules).forEach(name => {
+		rules[name] = { extension: String(userRules[name]) };
+	});
+
+	const name = plugin.split('/').pop();
+
+	return rules[plugin] || rules[name] || null;
+}
+
+/**
+ * Lists locale specific bundles of an i18n root bundle, like nls/fr/messages.js for nls/messages.js
+ * @param {String} rootBundlePath Absolute path of the root bundle
+ * @returns {Array} absolute paths of the locale bundles
+ */
+function findLocaleVariants (rootBundlePath) {
+	const directory = path.dirname(rootBundlePath);
+	const bundle = path.basename(rootBundlePath);
+	let entries;
+
+	try {
+		entries = fs.readdirSync(directory);
+	} catch (e) {
+		return [];
+	}
+
+	return entries
+		.sort()
+		.map(locale => path.join(directory, locale, bundle))
+		.filter(variant => fs.existsSync(variant));
+}
+
+Object.assign(exports, {
+	splitPluginId,
+	getPluginRule,
+	findLocaleVariants
+});
@@ -0,0 +1,67 @@
+const vscode = require('vscode');
+const { analyzeModules } = require('./moduleAnalysis');
+const { findModuleBinding } = require('./moduleBindings');
+const { loadModuleExports } = require('./moduleIndex');
+
+/**
+ * Suggests members of dependencies after a dot, based on what the dependency module exports
+ */
+class MemberCompletionProvider {
+	/**
+	 * Returns exported members of the module a variable refers to
+	 * @param {Document} document VSCode document containing the variable
+	 * @param {String} name Name of the variable
+	 * @param {Integer} offset Offset of the variable usage
+	 * @returns {Promise} resolves with module id and members available on the variable, or undefined
+	 */
+	getMembers (document, name, offset) {
+		const binding = findModuleBinding(analyzeModules(document.getText()), name, offset);
+
+		if (!binding) {
+			return Promise.resolve(undefined);
+		}
+
+		return loadModuleExports(binding.moduleId, document.fileName).then(({ exports: moduleExports }) => {
+			if (!moduleExports) {
+				return undefined;
+			}
+
+			// Instances of an exported constructor have its prototype members, the constructor has the static ones
+			const usePrototype = binding.isInstance && moduleExports.kind === 'constructor';
+
+			return {
+				moduleId: binding.moduleId,
+				members: moduleExports.members.filter(member => member.isPrototype === usePrototype)
+			};
+		});
+	}
+
+	provideCompletionItems (document, position) {
+		const linePrefix = document.lineAt(position.line).text.slice(0, position.character);
+		const match = /([A-Za-z_$][\w$]*)\s*\.\s*[\w$]*$/.exec(linePrefix);
+
+		if (!match) {
+			return Promise.resolve([]);
+		}
+
+		return this.getMembers(document, match[1], document.offsetAt(position)).then(result => {
+			if (!result) {
+				return [];
+			}
+
+			return result.members.map(member => {
+				const kind = member.kind === 'method'
+					? vscode.CompletionItemKind.Method
+					: vscode.CompletionItemKind.Property;
+				const item = new vscode.CompletionItem(member.name, kind);
+
+				item.detail = result.moduleId;
+				item.documentation = member.documentation || undefined;
+
+				return item;
+			});
+		});
+	}
+}
+
+Object.assign(exports, { MemberCompletionProvider });
@@ -0,0 +1,350 @@
+const acorn = require('acorn');
+const looseParser = require('acorn/dist/acorn_loose');
+const walk = require('acorn/dist/walk');
+
+const parserOptions = {
+	ecmaVersion: 9,
+	allowHashBang: true,
+	allowReturnOutsideFunction: true,
+	allowImportExportEverywhere: true
+};
+
+const loaderGlobals = ['define', 'require', 'requirejs'];
+// Dependencies provided by the loader itself
+const specialDependencies = ['require', 'exports', 'module'];
+
+/**
+ * Parses source code. Falls back to the error tolerant parser for code
+ * which is being edited and is not valid at the moment.
+ * @param {String} str Source to parse
+ * @returns {Object} AST and ranges of comments
+ */
+function parse (str) {
+	let comments = [];
+	const onComment = (block, text, start, end) => comments.push({ start, end });
+	const options = Object.assign({ onComment }, parserOptions);
+	let ast;
+
+	try {
+		ast = acorn.parse(str, options);
+	} catch (e) {
+		comments = [];
+		ast = looseParser.parse_dammit(str, options);
+	}
+
+	return { ast, comments };
+}
+
+/**
+ * Checks whether node is a string literal
+ * @param {Object} node Acorn AST node
+ * @returns {Boolean} true for string literals
+ */
+function isString (node) {
+	return Boolean(node) && node.type === 'Literal' && typeof node.value === 'string';
+}
+
+/**
+ * Checks whether node is a function which can be a module factory
+ * @param {Object} node Acorn AST node
+ * @returns {Boolean} true for function expressions and arrow functions
+ */
+function isFunction (node) {
+	return Boolean(node) && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression');
+}
+
+/**
+ * Describes a string literal node
+ * @param {Object} node Acorn AST node
+ * @returns {Object} value and range including quotes
+ */
+function describeString (node) {
+	return { value: node.value, start: node.start, end: node.end };
+}
+
+/**
+ * Describes a parameter of the factory function
+ * @param {Object} node Acorn AST node
+ * @returns {Object} name and range, name is null for destructuring patterns
+ */
+function describeParam (node) {
+	const identifier = node.type === 'AssignmentPattern' ? node.left : node;
+
+	return {
+		name: identifier.type === 'Identifier' ? identifier.name : null,
+		start: identifier.start,
+		end: identifier.end
+	};
+}
+
+/**
+ * Describes elements of the dependency array
+ * @param {Object} node ArrayExpression node
+ * @returns {Array} values and ranges, elements which are not string literals have null values.
+ * Holes like `['a', , 'b']` keep their position with an empty range after the previous element.
+ */
+function describeDependencies (node) {
+	let end = node.start + 1;
+
+	return node.elements.map(element => {
+		const start = element ? element.start : end;
+
+		end = element ? element.end : end;
+
+		return isString(element) ? describeString(element) : { value: null, start, end };
+	});
+}
+
+/**
+ * Describes the factory of a module
+ * @param {Object} node Factory node
+ * @returns {Object} node type, range and range of the function body
+ */
+function describeFactory (node) {
+	const body = isFunction(node) ? node.body : node;
+
+	return {
+		type: node.type,
+		start: node.start,
+		end: node.end,
+		bodyStart: body.start,
+		bodyEnd: body.end
+	};
+}
+
+/**
+ * Splits the arguments of a define or require call into module id, dependency array and factory
+ * @param {Object} node CallExpression node
+ * @param {String} type define or require
+ * @returns {Object} nodes of the arguments, null for those which are left out
+ */
+function splitArguments (node, type) {
+	const args = node.arguments.slice();
+	const id = type === 'define' && isString(args[0]) ? args.shift() : null;
+	const dependencyList = args[0] && args[0].type === 'ArrayExpression' ? args.shift() : null;
+
+	return { id, dependencyList, factory: args[0] || null };
+}
+
+/**
+ * Describes a define or asynchronous require call
+ * @param {Object} node CallExpression node
+ * @returns {Object|null} description or null if the call is not a module definition
+ */
+function describeModule (node) {
+	const type = node.callee.name === 'define' ? 'define' : 'require';
+	const { id, dependencyList, factory } = splitArguments(node, type);
+
+	if (type === 'require' && !dependencyList) {
+		return null;
+	}
+
+	return {
+		type,
+		start: node.start,
+		end: node.end,
+		id: id ? describeString(id) : null,
+		dependencyList: dependencyList ? { start: dependencyList.start, end: dependencyList.end } : null,
+		dependencies: dependencyList ? describeDependencies(dependencyList) : [],
+		params: isFunction(factory) ? factory.params.map(describeParam) : [],
+		factory: factory ? describeFactory(factory) : null,
+		node
+	};
+}
+
+/**
+ * Describes a synchronous require call like `var a = require('a')`
+ * @param {Object} node CallExpression node
+ * @param {Object} parent Parent node of the call
+ * @returns {Object} id with range, range of the call and the variable the result is assigned to
+ */
+function describeInlineRequire (node, parent) {
+	let binding = null;
+
+	if (parent && parent.type === 'VariableDeclarator' && parent.init === node && parent.id.type === 'Identifier') {
+		binding = parent.id;
+	} else if (parent && parent.type === 'AssignmentExpression' && parent.left.type === 'Identifier') {
+		binding = parent.left;
+	}
+
+	return Object.assign(describeString(node.arguments[0]), {
+		callStart: node.start,
+		callEnd: node.end,
+		binding: binding ? { name: binding.name, start: binding.start, end: binding.end } : null
+	});
+}
+
+/**
+ * Finds define/require calls in source code and describes them
+ * @param {String} str Source to analyze
+ * @returns {Object} modules (define and asynchronous require calls sorted by position),
+ * inlineRequires (synchronous require calls), comments and the AST
+ */
+function analyzeModules (str) {
+	const { ast, comments } = parse(String(str));
+	const modules = [];
+	const inlineRequires = [];
+
+	walk.fullAncestor(ast, (node, state, ancestors) => {
+		if (node.type !== 'CallExpression'
+			|| node.callee.type !== 'Identifier'
+			|| loaderGlobals.indexOf(node.callee.name) === -1) {
+			return;
+		}
+
+		if (node.callee.name !== 'define' && isString(node.arguments[0])) {
+			inlineRequires.push(describeInlineRequire(node, ancestors[ancestors.length - 2]));
+
+			return;
+		}
+
+		const description = describeModule(node);
+
+		if (description) {
+			modules.push(description);
+		}
+	});
+
+	const byPosition = (a, b) => a.start - b.start;
+
+	return {
+		ast,
+		comments,
+		modules: modules.sort(byPosition),
+		inlineRequires: inlineRequires.sort(byPosition)
+	};
+}
+
+/**
+ * Lists the module ids a source depends on: dependencies of define/require calls and `require()` calls
+ * @param {Object} analysis Result of analyzeModules
+ * @returns {Array} unique module ids in order of appearance, without special dependencies
+ */
+function getDependencyIds (analysis) {
+	return analysis.modules
+		.reduce((list, statement) => list.concat(statement.dependencies), [])
+		.concat(analysis.inlineRequires)
+		.sort((a, b) => a.start - b.start)
+		.map(dependency => dependency.value)
+		.filter((id, index, ids) => id !== null
+			&& specialDependencies.indexOf(id) === -1
+			&& ids.indexOf(id) === index);
+}
+
+/**
+ * Creates a function converting offsets of a source to line and character
+ * @param {String} str Source
+ * @returns {Function} called with an offset, returns the position as line and character
+ */
+function createPositionFinder (str) {
+	const lineStarts = [0];
+
+	for (let index = str.indexOf('\n'); index !== -1; index = str.indexOf('\n', index + 1)) {
+		lineStarts.push(index + 1);
+	}
+
+	return offset => {
+		let line = 0;
+
+		while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+			line++;
+		}
+
+		return { line, character: offset - lineStarts[line] };
+	};
+}
+
+/**
+ * Tells whether a module id is one of the special dependencies provided by the loader
+ * @param {String} id Module id
+ * @returns {Boolean} true for require, exports and module
+ */
+function isSpecialDependency (id) {
+	return specialDependencies.indexOf(id) !== -1;
+}
+
+/**
+ * Returns the factory parameters the special dependencies are bound to. Factories of define calls
+ * without a dependency list receive them in the order of the simplified CommonJS wrapper,
+ * `define(function (require, exports, module) {})`.
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @returns {Object} parameter names keyed by require, exports and module, null if they are not bound
+ */
+function getSpecialBindings (statement) {
+	const isWrapper = statement.type === 'define' && !statement.dependencyList;
+	const ids = isWrapper ? specialDependencies : statement.dependencies.map(dependency => dependency.value);
+
+	return specialDependencies.reduce((bindings, id) => {
+		const param = ids.indexOf(id) === -1 ? null : statement.params[ids.indexOf(id)];
+
+		return Object.assign(bindings, { [id]: param && param.name ? param.name : null });
+	}, {});
+}
+
+/**
+ * Returns the dependency id string literal covering the offset
+ * @param {Object} analysis Result of analyzeModules
+ * @param {Integer} offset Offset in the source
+ * @returns {Object|null} string literal description including its range
+ */
+function findDependencyAt (analysis, offset) {
+	const strings = analysis.modules
+		.reduce((list, statement) => list.concat(statement.dependencies), [])
+		.concat(analysis.inlineRequires);
+
+	return strings.find(string => string.value !== null && offset > string.start && offset < string.end) || null;
+}
+
+/**
+ * Returns the innermost define/require statement containing the offset
+ * @param {Array} statements Statements as returned by analyzeModules
+ * @param {Integer} offset Offset in the source
+ * @returns {Object|null} statement
+ */
+function findStatementAt (statements, offset) {
+	let found = null;
+
+	statements.forEach(statement => {
+		if (offset >= statement.start && offset <= statement.end) {
+			found = statement;
+		}
+	});
+
+	return found;
+}
+
+/**
+ * Maps factory parameter names to dependency ids of a define/require statement. Parameters of
+ * the simplified CommonJS wrapper map to the special dependencies they receive.
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @returns {Object} module ids keyed by parameter names, undefined for parameters without dependency
+ */
+function getDependencyMap (statement) {
+	const moduleList = {};
+	const bindings = statement.dependencyList ? {} : getSpecialBindings(statement);
+
+	statement.params.forEach((param, index) => {
+		if (param.name) {
+			moduleList[param.name] = statement.dependencies[index] ? statement.dependencies[index].value : undefined;
+		}
+	});
+	Object.keys(bindings)
+		.filter(id => bindings[id])
+		.forEach(id => {
+			moduleList[bindings[id]] = id;
+		});
+
+	return moduleList;
+}
+
+Object.assign(exports, {
+	parse,
+	analyzeModules,
+	getDependencyIds,
+	findDependencyAt,
+	findStatementAt,
+	createPositionFinder,
+	getDependencyMap,
+	isSpecialDependency,
+	getSpecialBindings
+});
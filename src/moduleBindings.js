@@ -0,0 +1,135 @@
+const walk = require('acorn/dist/walk');
+const { findDependencyAt, findStatementAt, getDependencyMap } = require('./moduleAnalysis');
+
+/**
+ * Finds values assigned to a variable, in declarations and assignments
+ * @param {Object} ast AST to search
+ * @param {String} name Name of the variable
+ * @param {Integer} [startOffset = 0] Offset to start searching from
+ * @param {Integer} [endOffset = Infinity] Offset limiting search
+ * @returns {Array} assigned value nodes sorted by position
+ */
+function findAssignedValues (ast, name, startOffset = 0, endOffset = Infinity) {
+	const values = [];
+
+	walk.full(ast, node => {
+		let target, value;
+
+		if (node.type === 'VariableDeclarator') {
+			target = node.id;
+			value = node.init;
+		} else if (node.type === 'AssignmentExpression') {
+			target = node.left;
+			value = node.right;
+		}
+
+		if (value && target.type === 'Identifier' && target.name === name
+			&& node.start >= startOffset && node.start <= endOffset) {
+			values.push(value);
+		}
+	});
+
+	return values.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Finds the module a variable refers to inside the define/require statement containing the offset.
+ * Follows factory parameters, `var a = require('a')` and one level of `var b = a` or `var b = new a()`.
+ * @param {Object} analysis Result of analyzeModules
+ * @param {String} name Name of the variable
+ * @param {Integer} offset Offset of the usage
+ * @returns {Object|null} module id and whether the variable holds an instance created from the module
+ */
+function findModuleBinding (analysis, name, offset) {
+	const statement = findStatementAt(analysis.modules, offset);
+	const start = statement ? statement.start : 0;
+	const end = statement ? statement.end : Infinity;
+	const dependencyMap = statement ? getDependencyMap(statement) : {};
+	const lookup = identifier => {
+		if (Object.prototype.hasOwnProperty.call(dependencyMap, identifier)) {
+			return dependencyMap[identifier] || null;
+		}
+
+		const inlineRequire = analysis.inlineRequires.find(item => item.binding
+			&& item.binding.name === identifier
+			&& item.callStart >= start
+			&& item.callStart <= end);
+
+		return inlineRequire ? inlineRequire.value : null;
+	};
+	const moduleId = lookup(name);
+
+	if (moduleId) {
+		return { moduleId, isInstance: false };
+	}
+
+	const values = findAssignedValues(analysis.ast, name, start, end);
+
+	for (let i = 0; i < values.length; i++) {
+		const isInstance = values[i].type === 'NewExpression';
+		const source = isInstance ? values[i].callee : values[i];
+		const sourceId = source.type === 'Identifier' && source.name !== name ? lookup(source.name) : null;
+
+		if (sourceId) {
+			return { moduleId: sourceId, isInstance };
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Finds the module, and optionally the member of it, used at the offset: a dependency id,
+ * a variable bound to a module, `a.member` or `require('a').member`
+ * @param {Object} analysis Result of analyzeModules
+ * @param {String} str Analyzed source
+ * @param {Integer} offset Offset in the source
+ * @returns {Object|null} module id, member name (null for the module itself), whether the member
+ * is used on an instance and the range of the dependency id or the word at offset
+ */
+function findModuleUsageAt (analysis, str, offset) {
+	if (analysis.comments.some(comment => offset >= comment.start && offset < comment.end)) {
+		return null;
+	}
+
+	const dependency = findDependencyAt(analysis, offset);
+
+	if (dependency) {
+		return {
+			moduleId: dependency.value,
+			member: null,
+			isInstance: false,
+			start: dependency.start,
+			end: dependency.end
+		};
+	}
+
+	const start = offset - (/[\w$]*$/).exec(str.slice(0, offset))[0].length;
+	const end = offset + (/^[\w$]*/).exec(str.slice(offset))[0].length;
+	const name = str.slice(start, end);
+
+	if (!(/^[A-Za-z_$]/).test(name)) {
+		return null;
+	}
+
+	const textBefore = str.slice(0, start);
+	const parent = (/([A-Za-z_$][\w$]*)\s*\.\s*$/).exec(textBefore);
+	const call = (/\)\s*\.\s*$/).exec(textBefore);
+	let binding;
+
+	if (call) { // require('a').name
+		const inlineRequire = analysis.inlineRequires.find(item => item.callEnd === call.index + 1);
+
+		binding = inlineRequire ? { moduleId: inlineRequire.value, isInstance: false } : null;
+	} else {
+		binding = findModuleBinding(analysis, parent ? parent[1] : name, start);
+	}
+
+	return binding ? Object.assign({ member: call || parent ? name : null, start, end }, binding) : null;
+}
+
+Object.assign(exports, {
+	findAssignedValues,
+	findModuleBinding,
+	findModuleUsageAt
+});
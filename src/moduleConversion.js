@@ -0,0 +1,282 @@
+const walk = require('acorn/dist/walk');
+const { isSpecialDependency } = require('./moduleAnalysis');
+const { getEditableFactory, hasParameterParentheses } = require('./dependencyEdits');
+
+/**
+ * Returns the indentation of the line containing the offset
+ * @param {String} str Source
+ * @param {Integer} offset Offset in the source
+ * @returns {String} leading whitespace of the line
+ */
+function getLineIndent (str, offset) {
+	const lineStart = str.lastIndexOf('\n', offset - 1) + 1;
+
+	return (/^[ \t]*/).exec(str.slice(lineStart))[0];
+}
+
+/**
+ * Returns the indentation used for statements of a function body
+ * @param {String} str Source
+ * @param {Object} factory Factory function node
+ * @param {String} outerIndent Indentation of the define call
+ * @returns {String} indentation
+ */
+function getBodyIndent (str, factory, outerIndent) {
+	const statements = factory.body.type === 'BlockStatement' ? factory.body.body : [];
+	const first = statements[0];
+
+	// Statements on the line of the opening brace tell nothing about indentation
+	if (first && str.slice(factory.body.start, first.start).indexOf('\n') !== -1) {
+		return getLineIndent(str, first.start);
+	}
+
+	return outerIndent + ((/^ +$/).test(outerIndent) ? outerIndent : '\t');
+}
+
+/**
+ * Creates an edit replacing the parameters of a function
+ * @param {String} str Source
+ * @param {Object} factory Factory function node
+ * @param {Array} names Source of the new parameters
+ * @returns {Object} edit with range and text
+ */
+function createParamsEdit (str, factory, names) {
+	const params = factory.params;
+	const list = names.join(', ');
+
+	if (!params.length) {
+		const offset = str.indexOf('(', factory.start) + 1;
+
+		return { start: offset, end: offset, text: list };
+	}
+
+	return {
+		start: params[0].start,
+		end: params[params.length - 1].end,
+		// The only parameter of an arrow function may be left without parentheses only if it remains
+		text: hasParameterParentheses(str, factory) || names.length === 1 ? list : `(${list})`
+	};
+}
+
+/**
+ * Returns the range of a statement together with its line if nothing else is on that line
+ * @param {String} str Source
+ * @param {Object} node Statement node
+ * @returns {Object} range to remove
+ */
+function getStatementLineRange (str, node) {
+	const lineStart = str.lastIndexOf('\n', node.start - 1) + 1;
+	const lineEnd = (/^[ \t]*(\r?\n|$)/).exec(str.slice(node.end));
+
+	if (!(/^[ \t]*$/).test(str.slice(lineStart, node.start)) || !lineEnd) {
+		return { start: node.start, end: node.end };
+	}
+
+	return { start: lineStart, end: node.end + lineEnd[0].length };
+}
+
+/**
+ * Returns the factory parameters of the simplified CommonJS wrapper
+ * @param {Object} specialNames Parameter names of the special dependencies by id
+ * @returns {Array} require, followed by exports and module if they are used
+ */
+function getWrapperParams (specialNames) {
+	const params = ['require'];
+
+	if (specialNames.exports || specialNames.module) {
+		params.push(specialNames.exports || 'exports');
+	}
+	if (specialNames.module) {
+		params.push(specialNames.module);
+	}
+
+	return params;
+}
+
+/**
+ * Creates edits converting a define call with a dependency array to the simplified CommonJS wrapper,
+ * `define(function (require) { var a = require('a'); })`. Parameters become variables with the same
+ * names, dependencies without a parameter become `require()` calls, `require`, `exports` and `module`
+ * dependencies become parameters of the factory.
+ * @param {String} str Source
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @returns {Array|null} edits with range and text sorted by position, null if the statement can not be converted
+ */
+function convertToCommonJs (str, statement) {
+	const factory = statement.type === 'define' ? getEditableFactory(statement) : null;
+
+	if (!factory || statement.dependencies.some(dependency => dependency.value === null)) {
+		return null;
+	}
+
+	const text = node => str.slice(node.start, node.end);
+	const specialNames = {};
+	const lines = [];
+
+	statement.dependencies.forEach((dependency, index) => {
+		const param = factory.params[index];
+		const pattern = param && param.type === 'AssignmentPattern' ? param.left : param;
+
+		if (isSpecialDependency(dependency.value)) {
+			if (pattern) {
+				specialNames[dependency.value] = text(pattern);
+			}
+
+			return;
+		}
+
+		lines.push(pattern ? `var ${text(pattern)} = require(${text(dependency)});` : `require(${text(dependency)});`);
+	});
+
+	// The loader only finds dependencies of factories whose first parameter is named require
+	if (specialNames.require && specialNames.require !== 'require') {
+		lines.unshift(`var ${specialNames.require} = require;`);
+	}
+
+	const params = getWrapperParams(specialNames);
+	const outerIndent = getLineIndent(str, statement.start);
+	const indent = getBodyIndent(str, factory, outerIndent);
+	const declarations = lines.map(line => '\n' + indent + line).join('');
+	const edits = [
+		{ start: statement.dependencyList.start, end: factory.start, text: '' },
+		createParamsEdit(str, factory, params)
+	];
+	const body = factory.body;
+
+	if (body.type !== 'BlockStatement') {
+		edits.push({
+			start: body.start,
+			end: body.end,
+			text: `{${declarations}\n${indent}return ${text(body)};\n${outerIndent}}`
+		});
+	} else if (lines.length) {
+		const directives = body.body.filter(node => node.directive);
+		const offset = directives.length ? directives[directives.length - 1].end : body.start + 1;
+		const closing = body.body.length ? '' : '\n' + outerIndent;
+
+		edits.push({ start: offset, end: offset, text: declarations + closing });
+	}
+
+	return edits;
+}
+
+/**
+ * Checks whether node is a `require('id')` call
+ * @param {Object} node Acorn AST node
+ * @param {String} requireName Name of the require parameter
+ * @returns {Boolean} true for calls with a single string literal argument
+ */
+function isRequireCall (node, requireName) {
+	return Boolean(node)
+		&& node.type === 'CallExpression'
+		&& node.callee.type === 'Identifier'
+		&& node.callee.name === requireName
+		&& node.arguments.length === 1
+		&& node.arguments[0].type === 'Literal'
+		&& typeof node.arguments[0].value === 'string';
+}
+
+/**
+ * Returns the factory of a define call using the simplified CommonJS wrapper
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @returns {Object|null} function node whose parameters are all identifiers, null for other statements
+ */
+function getWrapperFactory (statement) {
+	const factory = statement.node.arguments[statement.node.arguments.length - 1];
+	const isFunction = factory && (factory.type === 'FunctionExpression' || factory.type === 'ArrowFunctionExpression');
+
+	if (statement.type !== 'define' || statement.dependencyList || !isFunction
+		|| !factory.params.length || factory.params.some(param => param.type !== 'Identifier')) {
+		return null;
+	}
+
+	return factory;
+}
+
+/**
+ * Creates edits converting a define call using the simplified CommonJS wrapper to a dependency array.
+ * Top level `var a = require('a')` declarations become dependencies with parameters of the same names,
+ * top level `require('a')` calls become dependencies without parameters. Other `require()` calls are kept,
+ * their ids are added to the end of the dependency array so that the modules are loaded beforehand.
+ * `require`, `exports` and `module` are kept as dependencies if they are still used.
+ * @param {String} str Source
+ * @param {Object} statement Statement as returned by analyzeModules
+ * @returns {Array|null} edits with range and text sorted by position, null if the statement can not be converted
+ */
+function convertToDependencyArray (str, statement) {
+	const factory = getWrapperFactory(statement);
+
+	if (!factory) {
+		return null;
+	}
+
+	const text = node => str.slice(node.start, node.end);
+	const [requireName, exportsName, moduleName] = factory.params.map(param => param.name);
+	const statements = factory.body.type === 'BlockStatement' ? factory.body.body : [];
+	const declared = [];
+	const sideEffects = [];
+	const removed = [];
+
+	statements.forEach(node => {
+		if (node.type === 'ExpressionStatement' && isRequireCall(node.expression, requireName)) {
+			sideEffects.push(node.expression.arguments[0]);
+			removed.push(node);
+		} else if (node.type === 'VariableDeclaration'
+			&& node.declarations.every(declarator => isRequireCall(declarator.init, requireName))) {
+			node.declarations.forEach(declarator => declared.push({
+				dependency: declarator.init.arguments[0],
+				param: text(declarator.id)
+			}));
+			removed.push(node);
+		}
+	});
+
+	const isRemoved = node => removed.some(item => node.start >= item.start && node.end <= item.end);
+	const usedNames = [];
+	const remaining = [];
+
+	walk.full(factory.body, node => {
+		if (isRemoved(node)) {
+			return;
+		}
+		if (node.type === 'Identifier') {
+			usedNames.push(node.name);
+		} else if (isRequireCall(node, requireName)) {
+			remaining.push(node.arguments[0]);
+		}
+	});
+
+	const firstId = declared.length ? declared[0].dependency : sideEffects.concat(remaining)[0];
+	const quote = firstId && (/^["'`]/).test(str[firstId.start]) ? str[firstId.start] : '\'';
+	const specials = [['require', requireName], ['exports', exportsName], ['module', moduleName]]
+		.filter(([, name]) => name && usedNames.indexOf(name) !== -1);
+	const dependencies = specials.map(([id]) => quote + id + quote)
+		.concat(declared.map(item => text(item.dependency)));
+	const values = [];
+
+	sideEffects.concat(remaining).forEach(node => {
+		if (values.indexOf(node.value) === -1 && !declared.some(item => item.dependency.value === node.value)) {
+			values.push(node.value);
+			dependencies.push(text(node));
+		}
+	});
+
+	const params = specials.map(([, name]) => name).concat(declared.map(item => item.param));
+	const dependencyList = `[${dependencies.join(', ')}], `;
+	const paramsEdit = createParamsEdit(str, factory, params);
+	// Parameters of arrow functions without parentheses start where the list is inserted
+	const edits = paramsEdit.start === factory.start
+		? [Object.assign(paramsEdit, { text: dependencyList + paramsEdit.text })]
+		: [{ start: factory.start, end: factory.start, text: dependencyList }, paramsEdit];
+
+	return edits.concat(removed.map(node => Object.assign({ text: '' }, getStatementLineRange(str, node))));
+}
+
+Object.assign(exports, {
+	getLineIndent,
+	getBodyIndent,
+	getStatementLineRange,
+	isRequireCall,
+	convertToCommonJs,
+	convertToDependencyArray
+});
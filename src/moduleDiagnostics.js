@@ -0,0 +1,93 @@
+const { analyzeModules, isSpecialDependency } = require('./moduleAnalysis');
+
+/**
+ * Finds commented out lines starting with a define/require call
+ * @param {String} str Source
+ * @param {Array} comments Comment ranges
+ * @returns {Array} ranges of the calls
+ */
+function findCommentedModules (str, comments) {
+	const ranges = [];
+	const call = /(^|\n)([\s*/]*)((define|require|requirejs)\s*\(\s*(\[|['"]|function\b|\())/g;
+
+	comments.forEach(comment => {
+		const text = str.slice(comment.start, comment.end);
+		let match;
+
+		// Documentation comments describe code instead of disabling it
+		if (text.slice(0, 3) === '/**') {
+			return;
+		}
+		while ((match = call.exec(text))) {
+			const start = comment.start + match.index + match[1].length + match[2].length;
+
+			ranges.push({ start, end: start + match[4].length });
+		}
+	});
+
+	return ranges;
+}
+
+/**
+ * Finds problems of define/require calls: unresolvable and duplicate dependencies,
+ * factory parameters without dependency and define/require calls inside comments
+ * @param {String} str Source to check
+ * @param {Function} isResolvable Called with module ids, returns whether the id resolves to a file
+ * @returns {Array} problems with range, severity (warning or information), code and message
+ */
+function findModuleProblems (str, isResolvable) {
+	const analysis = analyzeModules(str);
+	const problems = [];
+	const addProblem = (node, severity, code, message) => problems.push({
+		start: node.start,
+		end: node.end,
+		severity,
+		code,
+		message
+	});
+	const checkId = string => {
+		if (!isSpecialDependency(string.value) && !isResolvable(string.value)) {
+			const message = `Module '${string.value}' can not be resolved to a file`;
+
+			addProblem(string, 'warning', 'unresolved-module', message);
+		}
+	};
+
+	analysis.modules.forEach(statement => {
+		const seen = [];
+
+		statement.dependencies
+			.filter(dependency => dependency.value !== null)
+			.forEach(dependency => {
+				if (seen.indexOf(dependency.value) !== -1) {
+					const message = `Duplicate dependency '${dependency.value}'`;
+
+					addProblem(dependency, 'warning', 'duplicate-dependency', message);
+				}
+				seen.push(dependency.value);
+				checkId(dependency);
+			});
+
+		// Factories without dependency list receive require, exports and module
+		if (statement.dependencyList) {
+			statement.params.slice(statement.dependencies.length).forEach(param => {
+				const name = param.name ? `'${param.name}'` : '';
+
+				addProblem(param, 'warning', 'missing-dependency', `Parameter ${name} has no matching dependency`);
+			});
+		}
+	});
+
+	analysis.inlineRequires.forEach(checkId);
+
+	findCommentedModules(str, analysis.comments).forEach(range => addProblem(
+		range,
+		'information',
+		'commented-module',
+		'Module definition is commented out'
+	));
+
+	return problems.sort((a, b) => a.start - b.start);
+}
+
+Object.assign(exports, { findModuleProblems });
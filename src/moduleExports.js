@@ -0,0 +1,387 @@
+const walk = require('acorn/dist/walk');
+const { analyzeModules, findStatementAt, getSpecialBindings } = require('./moduleAnalysis');
+const { collectScope } = require('./scopeAnalysis');
+
+/**
+ * Checks whether node is a function or class
+ * @param {Object} node Acorn AST node
+ * @returns {Boolean} true for functions and classes
+ */
+function isFunctionOrClass (node) {
+	return Boolean(node) && [
+		'FunctionExpression',
+		'ArrowFunctionExpression',
+		'FunctionDeclaration',
+		'ClassExpression',
+		'ClassDeclaration'
+	].indexOf(node.type) !== -1;
+}
+
+/**
+ * Checks whether node is a class
+ * @param {Object} node Acorn AST node
+ * @returns {Boolean} true for class declarations and expressions
+ */
+function isClass (node) {
+	return Boolean(node) && (node.type === 'ClassDeclaration' || node.type === 'ClassExpression');
+}
+
+/**
+ * Returns the name of a non-computed property key
+ * @param {Object} node Key node
+ * @returns {String|null} name
+ */
+function getKeyName (node) {
+	if (node.type === 'Identifier') {
+		return node.name;
+	}
+
+	return node.type === 'Literal' ? String(node.value) : null;
+}
+
+/**
+ * Returns the name of a non-computed member expression property
+ * @param {Object} node MemberExpression node
+ * @returns {String|null} name
+ */
+function getPropertyName (node) {
+	return node.type === 'MemberExpression' && !node.computed ? getKeyName(node.property) : null;
+}
+
+/**
+ * Checks whether node is `object.property` with the given names
+ * @param {Object} node Acorn AST node
+ * @param {String} object Name of the object
+ * @param {String} property Name of the property
+ * @returns {Boolean} true on match
+ */
+function isMember (node, object, property) {
+	return node.type === 'MemberExpression'
+		&& node.object.type === 'Identifier'
+		&& node.object.name === object
+		&& getPropertyName(node) === property;
+}
+
+/**
+ * Returns the JSDoc text of the block comment directly preceding a node
+ * @param {String} str Source
+ * @param {Array} comments Comment ranges
+ * @param {Integer} start Start of the commented node
+ * @returns {String} cleaned up comment text, empty if there is none
+ */
+function getLeadingComment (str, comments, start) {
+	const comment = comments.find(range => range.end <= start && !str.slice(range.end, start).trim());
+
+	if (!comment || str.slice(comment.start, comment.start + 2) !== '/*') {
+		return '';
+	}
+
+	return str
+		.slice(comment.start + 2, comment.end - 2)
+		.replace(/^\*/, '')
+		.split('\n')
+		.map(line => line.replace(/^\s*\* ?/, '').trim())
+		.join('\n')
+		.trim();
+}
+
+/**
+ * Describes the members of a module's return value or exports
+ */
+class ExportsCollector {
+	/**
+	 * @param {String} str Source of the module
+	 * @param {Array} comments Comment ranges
+	 */
+	constructor (str, comments) {
+		this.str = str;
+		this.comments = comments;
+		this.members = [];
+	}
+
+	/**
+	 * Adds a member unless one with the same name was already added
+	 * @param {Object} key Node of the member name
+	 * @param {Object} value Node of the member value
+	 * @param {Object} anchor Node the documentation comment precedes
+	 * @param {Boolean} isPrototype Whether the member belongs to instances
+	 * @returns {undefined}
+	 */
+	add (key, value, anchor, isPrototype) {
+		const name = key.type === 'MemberExpression' ? getPropertyName(key) : getKeyName(key);
+		const nameNode = key.type === 'MemberExpression' ? key.property : key;
+
+		if (!name || this.members.some(member => member.name === name && member.isPrototype === isPrototype)) {
+			return;
+		}
+
+		this.members.push({
+			name,
+			start: nameNode.start,
+			end: nameNode.end,
+			kind: isFunctionOrClass(value) ? 'method' : 'property',
+			isPrototype,
+			shorthand: anchor.type === 'Property' && anchor.shorthand,
+			documentation: getLeadingComment(this.str, this.comments, anchor.start)
+		});
+	}
+
+	/**
+	 * Adds properties of an object literal
+	 * @param {Object} node ObjectExpression node
+	 * @param {Boolean} isPrototype Whether the members belong to instances
+	 * @returns {undefined}
+	 */
+	addObject (node, isPrototype) {
+		node.properties
+			.filter(property => !property.computed && property.key)
+			.forEach(property => this.add(property.key, property.value, property, isPrototype));
+	}
+
+	/**
+	 * Adds methods of a class, static ones as members of the constructor
+	 * @param {Object} node Class node
+	 * @param {Boolean} isInstance Whether only methods of an instance should be added as direct members
+	 * @returns {undefined}
+	 */
+	addClass (node, isInstance) {
+		node.body.body
+			.filter(method => method.kind !== 'constructor' && !method.computed && !(isInstance && method.static))
+			.forEach(method => this.add(method.key, method.value, method, !isInstance && !method.static));
+	}
+
+	/**
+	 * Adds members assigned to the exported value, its prototype or to exports
+	 * @param {Array} assignments Member assignments with their anchor nodes
+	 * @param {String|null} localName Name of the variable holding the exported value or its constructor
+	 * @param {Boolean} isInstance Whether the exported value is an instance of localName
+	 * @param {Function} [isExportsObject] Called with the object of an assignment, tells whether
+	 * the assignment adds a member to the exports
+	 * @returns {undefined}
+	 */
+	addAssignments (assignments, localName, isInstance, isExportsObject) {
+		const addsToExports = target => Boolean(isExportsObject) && isExportsObject(target.object);
+
+		assignments.forEach(({ node, anchor }) => {
+			const target = node.left;
+			const isAssignedTo = name => target.object.type === 'Identifier' && target.object.name === name;
+
+			if (localName && isMember(target.object, localName, 'prototype')) {
+				this.add(target, node.right, anchor, !isInstance);
+			} else if (localName && isMember(target, localName, 'prototype')) {
+				if (node.right.type === 'ObjectExpression') {
+					this.addObject(node.right, !isInstance);
+				}
+			} else if (localName && !isInstance && isAssignedTo(localName)) {
+				this.add(target, node.right, anchor, false);
+			} else if (addsToExports(target)) {
+				this.add(target, node.right, anchor, false);
+			}
+		});
+	}
+}
+
+/**
+ * Returns the node defining a module: its factory function body, object literal or the whole program
+ * @param {Object} analysis Result of analyzeModules
+ * @param {String} [moduleId] Name of the define call in files with multiple named modules
+ * @returns {Object|null} node
+ */
+function findModuleBody (analysis, moduleId) {
+	const defines = analysis.modules.filter(statement => statement.type === 'define');
+	const statement = defines.find(item => item.id && item.id.value === moduleId) || defines[0];
+
+	if (!statement) {
+		return analysis.ast;
+	}
+
+	const factory = statement.node.arguments[statement.node.arguments.length - 1];
+
+	if (!factory || factory.type === 'ArrayExpression' || factory.type === 'Literal') {
+		return null;
+	}
+
+	return factory.type === 'FunctionExpression' || factory.type === 'ArrowFunctionExpression'
+		? factory.body
+		: factory;
+}
+
+/**
+ * Finds the value a module body exports, following the returned variable to its declaration
+ * @param {Object} body Factory body
+ * @param {Object} scope Result of collectScope
+ * @param {String|null} moduleName Name the module special dependency is bound to
+ * @returns {Object} exported node (null if there is none), the name of its variable, whether it is
+ * assigned to module.exports and the statements which may be preceded by its documentation, closest first
+ */
+function findExportedValue (body, { declarations, declarationStatements, assignments, returns }, moduleName) {
+	const isBlock = body.type === 'BlockStatement' || body.type === 'Program';
+	const lastReturn = returns[returns.length - 1];
+	// Arrow functions with expression bodies return the expression
+	let exported = isBlock ? lastReturn && lastReturn.argument : body;
+	let anchors = isBlock && lastReturn ? [lastReturn] : [];
+	let localName = null;
+	let viaModuleExports = false;
+
+	assignments.forEach(({ node, anchor }) => {
+		if (moduleName && isMember(node.left, moduleName, 'exports')) {
+			exported = node.right;
+			anchors = [anchor];
+			viaModuleExports = true;
+		}
+	});
+
+	if (exported && exported.type === 'Identifier' && declarations[exported.name]) {
+		localName = exported.name;
+		exported = declarations[exported.name];
+		anchors.unshift(declarationStatements[localName]);
+	}
+
+	return { exported: exported || null, localName, viaModuleExports, anchors };
+}
+
+/**
+ * Returns the names the exports and module dependencies are bound to
+ * @param {Object|undefined} statement Define call of the module
+ * @returns {Object} names keyed by dependency id
+ */
+function getExportBindings (statement) {
+	// Files without define calls are CommonJS modules with the usual names
+	return statement ? getSpecialBindings(statement) : { exports: 'exports', module: 'module' };
+}
+
+/**
+ * Tells what kind of value a module exports and which constructor describes its members
+ * @param {Object} exported Node of the exported value
+ * @param {Object} declarations Declarations of the factory scope keyed by name
+ * @param {String|null} localName Name of the variable holding the exported value
+ * @returns {Object} kind (instance, constructor, object or value), name and node of the constructor
+ */
+function describeExportedValue (exported, declarations, localName) {
+	if (exported.type === 'NewExpression' && exported.callee.type === 'Identifier') {
+		return {
+			kind: 'instance',
+			constructorName: exported.callee.name,
+			constructor: declarations[exported.callee.name]
+		};
+	}
+	if (isFunctionOrClass(exported) && exported.type !== 'ArrowFunctionExpression') {
+		return {
+			kind: 'constructor',
+			constructorName: localName || (exported.id && exported.id.name),
+			constructor: exported
+		};
+	}
+
+	return {
+		kind: exported.type === 'ObjectExpression' ? 'object' : 'value',
+		constructorName: localName,
+		constructor: null
+	};
+}
+
+/**
+ * Finds the exported shape of an AMD module: members of the returned object literal,
+ * static and prototype members of a returned constructor, and exports.x assignments
+ * @param {String} str Source of the module
+ * @param {String} [moduleId] Name of the define call to analyze in files with multiple named modules
+ * @returns {Object} kind of the exported value (object, constructor, instance or value), its range,
+ * its documentation and the list of members with name, range, kind, isPrototype, shorthand and documentation
+ */
+function getModuleExports (str, moduleId) {
+	const text = String(str);
+	const analysis = analyzeModules(text);
+	const body = findModuleBody(analysis, moduleId);
+	const collector = new ExportsCollector(text, analysis.comments);
+	const statement = findStatementAt(analysis.modules, body && body.type !== 'Program' ? body.start : -1);
+	const result = { kind: 'value', start: null, end: null, documentation: '', members: collector.members };
+	// Modules without a documented return value may be documented above the define call
+	const addDocumentation = anchors => {
+		result.documentation = anchors
+			.concat(statement || [])
+			.map(node => getLeadingComment(text, analysis.comments, node.start))
+			.find(Boolean) || '';
+	};
+
+	if (!body) {
+		addDocumentation([]);
+
+		return result;
+	}
+
+	if (body.type === 'ObjectExpression') {
+		collector.addObject(body, false);
+		addDocumentation([]);
+
+		return Object.assign(result, { kind: 'object', start: body.start, end: body.end });
+	}
+
+	const scope = collectScope(body);
+	const bindings = getExportBindings(statement);
+	const isModuleExports = node => Boolean(bindings.module) && isMember(node, bindings.module, 'exports');
+	const isExportsObject = node => (node.type === 'Identifier' && node.name === bindings.exports)
+		|| isModuleExports(node);
+	const { exported, localName, viaModuleExports, anchors } = findExportedValue(body, scope, bindings.module);
+
+	addDocumentation(anchors);
+
+	if (!exported) {
+		collector.addAssignments(scope.assignments, null, false, isExportsObject);
+		result.kind = collector.members.length ? 'object' : 'value';
+
+		return result;
+	}
+
+	const { kind, constructorName, constructor } = describeExportedValue(exported, scope.declarations, localName);
+	const isInstance = kind === 'instance';
+
+	Object.assign(result, { kind, start: exported.start, end: exported.end });
+
+	if (kind === 'object') {
+		collector.addObject(exported, false);
+	} else if (isClass(constructor)) {
+		collector.addClass(constructor, isInstance);
+	}
+	// Members added to module.exports belong to whatever value was assigned to it
+	collector.addAssignments(scope.assignments, constructorName, isInstance, viaModuleExports ? isModuleExports : null);
+
+	return result;
+}
+
+/**
+ * Finds usages of an exported member inside of the module itself, like `exports.a` or `api.a`
+ * where api is the variable holding the exported value
+ * @param {String} str Source of the module
+ * @param {String} name Name of the member
+ * @param {String} [moduleId] Name of the define call to search in files with multiple named modules
+ * @returns {Array} ranges of the member names sorted by position, including assignments declaring the member
+ */
+function findMemberUsages (str, name, moduleId) {
+	const analysis = analyzeModules(String(str));
+	const body = findModuleBody(analysis, moduleId);
+
+	if (!body || body.type === 'ObjectExpression') {
+		return [];
+	}
+
+	const statement = findStatementAt(analysis.modules, body.type !== 'Program' ? body.start : -1);
+	const bindings = getExportBindings(statement);
+	const { localName } = findExportedValue(body, collectScope(body), bindings.module);
+	const names = [localName, bindings.exports].filter(Boolean);
+	const isExportsObject = node => (node.type === 'Identifier' && names.indexOf(node.name) !== -1)
+		|| (Boolean(bindings.module) && isMember(node, bindings.module, 'exports'));
+	const ranges = [];
+
+	walk.full(body, node => {
+		if (getPropertyName(node) === name && isExportsObject(node.object)) {
+			ranges.push({ start: node.property.start, end: node.property.end });
+		}
+	});
+
+	return ranges.sort((a, b) => a.start - b.start);
+}
+
+Object.assign(exports, {
+	getModuleExports,
+	findMemberUsages
+});
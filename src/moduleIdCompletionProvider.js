@@ -0,0 +1,161 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { analyzeModules, findDependencyAt } = require('./moduleAnalysis');
+const { getWorkspaceResolver, getWorkspaceRoot } = require('./workspaceResolver');
+const { findModuleFiles } = require('./moduleIndex');
+
+/**
+ * Suggests module ids inside dependency arrays and require() calls
+ */
+class ModuleIdCompletionProvider {
+	/**
+	 * Returns the string literal the caret is in, including unterminated ones being typed
+	 * @param {Document} document VSCode document
+	 * @param {Integer} offset Offset of the caret
+	 * @returns {Object|null} string literal description
+	 */
+	findStringAt (document, offset) {
+		const text = document.getText();
+		const analysis = analyzeModules(text);
+		const string = findDependencyAt(analysis, offset);
+
+		if (string) {
+			return string;
+		}
+
+		// An unterminated string ends at the caret
+		const isUnterminated = item => item.value !== null
+			&& item.end === offset
+			&& text[item.end - 1] !== text[item.start];
+
+		return analysis.modules
+			.reduce((list, statement) => list.concat(statement.dependencies), [])
+			.concat(analysis.inlineRequires)
+			.find(isUnterminated) || null;
+	}
+
+	/**
+	 * Lists modules and directories next to the current file for relative ids
+	 * @param {ModuleResolver} resolver Resolver of the workspace
+	 * @param {String} currentFilePath Absolute path of the current file
+	 * @param {String} typed Id typed so far, starting with ./ or ../
+	 * @returns {Array} objects with id, absolute path and whether it is a directory
+	 */
+	getRelativeEntries (resolver, currentFilePath, typed) {
+		const prefix = typed.slice(0, typed.lastIndexOf('/') + 1);
+		const directory = path.resolve(path.dirname(currentFilePath), prefix);
+		let names;
+
+		try {
+			names = fs.readdirSync(directory);
+		} catch (e) {
+			return [];
+		}
+
+		return names
+			.map(name => {
+				const fullPath = path.join(directory, name);
+				const extension = resolver.findExtension(name);
+				let isDirectory;
+
+				try {
+					isDirectory = fs.statSync(fullPath).isDirectory();
+				} catch (e) {
+					// Broken symbolic links
+					return null;
+				}
+
+				if (!isDirectory && !extension) {
+					return null;
+				}
+
+				const id = prefix + (isDirectory ? name + '/' : name.slice(0, name.length - extension.length));
+
+				return { id, fullPath, isDirectory };
+			})
+			.filter(entry => entry && entry.fullPath !== currentFilePath);
+	}
+
+	/**
+	 * Lists indexed modules of the workspace folder under the module roots and directories of path aliases,
+	 * and the aliases themselves
+	 * @param {ModuleResolver} resolver Resolver of the workspace
+	 * @param {String} currentFilePath Absolute path of the current file
+	 * @returns {Promise} resolves with objects containing id and absolute path
+	 */
+	getModuleEntries (resolver, currentFilePath) {
+		const aliases = Object.keys(resolver.paths)
+			.concat(Object.keys(resolver.map['*'] || {}))
+			.map(id => ({ id, fullPath: resolver.resolveFile(id, currentFilePath).path, isAlias: true }));
+		const isListed = filePath => filePath !== currentFilePath
+			&& path.relative(resolver.rootPath, filePath).split(path.sep)[0] !== '..'
+			&& Boolean(resolver.findExtension(filePath));
+
+		return findModuleFiles().then(uris => uris
+			.map(uri => uri.fsPath)
+			.filter(isListed)
+			.map(filePath => ({ id: resolver.getModuleId(filePath), fullPath: filePath }))
+			.filter(entry => entry.id)
+			.concat(aliases));
+	}
+
+	/**
+	 * Returns path relative to the root of its workspace folder for display
+	 * @param {String} fullPath Absolute path
+	 * @returns {String} relative path
+	 */
+	getDisplayPath (fullPath) {
+		const rootPath = getWorkspaceRoot(fullPath);
+
+		return rootPath ? path.relative(rootPath, fullPath) : fullPath;
+	}
+
+	provideCompletionItems (document, position) {
+		const offset = document.offsetAt(position);
+		const string = this.findStringAt(document, offset);
+
+		if (!string) {
+			return Promise.resolve([]);
+		}
+
+		const currentFilePath = document.fileName;
+		const typed = document.getText().slice(string.start + 1, offset);
+		const range = new vscode.Range(document.positionAt(string.start + 1), position);
+		const resolver = getWorkspaceResolver(currentFilePath);
+		const entries = (/^\.\.?\//).test(typed)
+			? Promise.resolve(this.getRelativeEntries(resolver, currentFilePath, typed))
+			: this.getModuleEntries(resolver, currentFilePath);
+
+		return entries.then(list => {
+			const items = new Map();
+
+			list.forEach(entry => {
+				if (items.has(entry.id)) {
+					return;
+				}
+
+				let kind = vscode.CompletionItemKind.Module;
+
+				if (entry.isDirectory) {
+					kind = vscode.CompletionItemKind.Folder;
+				} else if (entry.isAlias) {
+					kind = vscode.CompletionItemKind.Reference;
+				}
+
+				const item = new vscode.CompletionItem(entry.id, kind);
+
+				item.detail = entry.fullPath ? this.getDisplayPath(entry.fullPath) : undefined;
+				item.textEdit = vscode.TextEdit.replace(range, entry.id);
+				if (entry.isDirectory) {
+					item.command = { title: 'Suggest', command: 'editor.action.triggerSuggest' };
+				}
+				items.set(entry.id, item);
+			});
+
+			return Array.from(items.values());
+		});
+	}
+}
+
+Object.assign(exports, { ModuleIdCompletionProvider });
@@ -0,0 +1,420 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { analyzeModules, getDependencyIds, createPositionFinder } = require('./moduleAnalysis');
+const { getModuleExports } = require('./moduleExports');
+const { getWorkspaceResolver, getFolderResolvers, getModuleGlob } = require('./workspaceResolver');
+const { readIndexCache, writeIndexCache } = require('./moduleIndexCache');
+
+let workspaceIndex = null;
+
+/**
+ * Creates a VSCode range from a range of the index
+ * @param {Object} range Start and end with line and character
+ * @returns {Range} VSCode range
+ */
+function createRange (range) {
+	return new vscode.Range(range.start.line, range.start.character, range.end.line, range.end.character);
+}
+
+/**
+ * Lists the modules a file defines with what they export
+ * @param {String} str Source of the file
+ * @returns {Array} modules with name (null for anonymous modules), range of the name (or of the define call
+ * for anonymous modules) and exports as returned by getModuleExports, null if they can not be told apart
+ */
+function findModuleSymbols (str) {
+	const defines = analyzeModules(str).modules.filter(statement => statement.type === 'define');
+
+	return defines.map((statement, index) => {
+		const range = statement.id || { start: statement.start, end: statement.start + 'define'.length };
+		// Exports of anonymous modules can only be told apart from named ones when they come first
+		const hasExports = Boolean(statement.id) || index === 0;
+
+		return {
+			name: statement.id ? statement.id.value : null,
+			start: range.start,
+			end: range.end,
+			exports: hasExports ? getModuleExports(str, statement.id ? statement.id.value : undefined) : null
+		};
+	});
+}
+
+/**
+ * Parsed structure of every module file of the workspace: the module ids it depends on, the modules
+ * it defines and their exported members. The index is built once, kept current by a file watcher and
+ * optionally cached in extension storage between sessions.
+ */
+class ModuleIndex {
+	constructor () {
+		this.files = new Map();
+		this.loading = null;
+		this.watcher = null;
+		this.configurationListener = null;
+		this.resolvers = [];
+		this.cachePath = null;
+		this.isCacheOutdated = false;
+	}
+
+	/**
+	 * Derives the id of anonymous modules of a file
+	 * @param {String} filePath Absolute path of the file
+	 * @param {ModuleResolver} [resolver] Resolver of the workspace folder containing the file
+	 * @returns {String} module id, or the path relative to the workspace folder without extension
+	 */
+	getDefaultId (filePath, resolver = getWorkspaceResolver(filePath)) {
+		const relative = resolver.rootPath ? path.relative(resolver.rootPath, filePath) : path.basename(filePath);
+
+		return resolver.getModuleId(filePath) || relative
+			.slice(0, relative.length - resolver.findExtension(filePath).length)
+			.split(path.sep)
+			.join('/');
+	}
+
+	/**
+	 * Resolves the dependencies of a file
+	 * @param {String} filePath Absolute path of the file
+	 * @param {Array} ids Module ids the file depends on
+	 * @returns {Object} absolute paths of the module files keyed by id, null for ids which do not resolve
+	 */
+	resolveDependencies (filePath, ids) {
+		const resolver = getWorkspaceResolver(filePath);
+
+		return ids.reduce((paths, id) => {
+			paths[id] = resolver.resolveFile(id, filePath).path || null;
+
+			return paths;
+		}, {});
+	}
+
+	/**
+	 * Resolves the dependencies of indexed files again when a file they may resolve to is created or deleted
+	 * @param {Function} isAffected Called with the entry and path of a file, returns whether its resolutions
+	 * may have changed
+	 * @returns {undefined}
+	 */
+	updateResolutions (isAffected) {
+		this.files.forEach((entry, filePath) => {
+			if (isAffected(entry, filePath)) {
+				entry.dependencyPaths = this.resolveDependencies(filePath, entry.dependencies);
+				this.isCacheOutdated = true;
+			}
+		});
+	}
+
+	/**
+	 * Indexes a file, replacing what was indexed for it before
+	 * @param {String} filePath Absolute path of the file
+	 * @param {String} str Source of the file
+	 * @param {Number} [mtime = 0] Modification time of the file in milliseconds
+	 * @returns {Object} entry of the file with mtime, dependencies, their resolved paths, modules
+	 * and the id of anonymous modules
+	 */
+	addFile (filePath, str, mtime = 0) {
+		const getPosition = createPositionFinder(str);
+		const toRange = item => ({ start: getPosition(item.start), end: getPosition(item.end) });
+		const addRange = member => Object.assign({ range: toRange(member) }, member);
+		const dependencies = getDependencyIds(analyzeModules(str));
+		const entry = {
+			mtime,
+			defaultId: this.getDefaultId(filePath),
+			dependencies,
+			dependencyPaths: this.resolveDependencies(filePath, dependencies),
+			modules: findModuleSymbols(str).map(module => ({
+				name: module.name,
+				range: toRange(module),
+				exports: module.exports
+					&& Object.assign({}, module.exports, { members: module.exports.members.map(addRange) })
+			}))
+		};
+
+		this.files.set(filePath, entry);
+		this.isCacheOutdated = true;
+
+		return entry;
+	}
+
+	/**
+	 * Indexes a file with an entry read before, resolving its dependencies and the id of anonymous modules
+	 * again as the configuration may have changed since
+	 * @param {String} filePath Absolute path of the file
+	 * @param {Object} previous Entry of the file
+	 * @returns {Object} entry of the file
+	 */
+	reuseEntry (filePath, previous) {
+		const entry = Object.assign({}, previous, {
+			defaultId: this.getDefaultId(filePath),
+			dependencyPaths: this.resolveDependencies(filePath, previous.dependencies)
+		});
+
+		if (entry.defaultId !== previous.defaultId
+			|| JSON.stringify(entry.dependencyPaths) !== JSON.stringify(previous.dependencyPaths)) {
+			this.isCacheOutdated = true;
+		}
+		this.files.set(filePath, entry);
+
+		return entry;
+	}
+
+	/**
+	 * Indexes a file from disk unless the cached entry is as recent as the file,
+	 * removing it from the index if it can not be read
+	 * @param {String} filePath Absolute path of the file
+	 * @param {Object} [cached] Entry of the file read from the cache
+	 * @returns {Promise} resolves when the file is indexed
+	 */
+	updateFile (filePath, cached) {
+		return new Promise(resolve => {
+			fs.stat(filePath, (statError, stats) => {
+				if (statError) {
+					this.removeFile(filePath);
+					resolve();
+				} else if (cached && cached.mtime === stats.mtimeMs) {
+					this.reuseEntry(filePath, cached);
+					resolve();
+				} else {
+					fs.readFile(filePath, 'utf8', (error, str) => {
+						if (error) {
+							this.removeFile(filePath);
+						} else {
+							this.addFile(filePath, str, stats.mtimeMs);
+						}
+						resolve();
+					});
+				}
+			});
+		});
+	}
+
+	/**
+	 * Removes a file from the index
+	 * @param {String} filePath Absolute path of the file
+	 * @returns {undefined}
+	 */
+	removeFile (filePath) {
+		if (this.files.delete(filePath)) {
+			this.isCacheOutdated = true;
+		}
+	}
+
+	/**
+	 * Returns what is indexed for a file. Files with unsaved changes are left out, as the content
+	 * of their editor differs from the index.
+	 * @param {String} filePath Absolute path of the file
+	 * @returns {Object|undefined} entry with mtime, dependencies, their resolved paths and modules
+	 */
+	getFileEntry (filePath) {
+		const isUnsaved = vscode.workspace.textDocuments
+			.some(document => document.isDirty && document.fileName === filePath);
+
+		return isUnsaved ? undefined : this.files.get(filePath);
+	}
+
+	/**
+	 * Returns a module of a file, picked like getModuleExports does: the one named moduleId, otherwise the first
+	 * @param {String} filePath Absolute path of the file
+	 * @param {String} [moduleId] Name of the module in files with multiple named modules
+	 * @returns {Object|undefined} module with name, range and exports, undefined if the file is not indexed
+	 * or defines no module
+	 */
+	getModule (filePath, moduleId) {
+		const entry = this.getFileEntry(filePath);
+
+		return entry && (entry.modules.find(module => module.name === moduleId) || entry.modules[0]);
+	}
+
+	/**
+	 * Lists every indexed module
+	 * @returns {Array} modules with the path of their file, id, range of the id and exported members,
+	 * sorted by path
+	 */
+	getModules () {
+		return Array.from(this.files.keys())
+			.sort()
+			.reduce((list, filePath) => list.concat(this.files.get(filePath).modules.map(module => ({
+				path: filePath,
+				id: module.name || this.files.get(filePath).defaultId,
+				range: module.range,
+				members: module.exports ? module.exports.members : []
+			}))), []);
+	}
+
+	/**
+	 * Starts watching module files outside of node_modules, replacing the watcher of extensions configured before
+	 * @returns {undefined}
+	 */
+	watch () {
+		const isIndexed = uri => uri.fsPath.split(path.sep).indexOf('node_modules') === -1;
+		const values = paths => Object.keys(paths).map(id => paths[id]);
+
+		if (this.watcher) {
+			this.watcher.dispose();
+		}
+		this.watcher = vscode.workspace.createFileSystemWatcher(getModuleGlob());
+		this.watcher.onDidCreate(uri => {
+			// Only dependencies which do not resolve yet and have the new file as candidate can change
+			this.updateResolutions((entry, filePath) => entry.dependencies.some(id => entry.dependencyPaths[id] === null
+				&& getWorkspaceResolver(filePath).resolve(id, filePath).candidates.indexOf(uri.fsPath) !== -1));
+
+			return isIndexed(uri) && this.updateFile(uri.fsPath);
+		});
+		// RequireJS configuration files are module files as well
+		this.watcher.onDidChange(uri => {
+			this.updateConfiguration();
+
+			return isIndexed(uri) && this.updateFile(uri.fsPath);
+		});
+		this.watcher.onDidDelete(uri => {
+			this.removeFile(uri.fsPath);
+			this.updateResolutions(entry => values(entry.dependencyPaths).indexOf(uri.fsPath) !== -1);
+		});
+	}
+
+	/**
+	 * Indexes the module files of the workspace and removes files which are no longer module files
+	 * @param {Object} cached Entries keyed by file path, reused for files which did not change since
+	 * @returns {Promise} resolves when every file is indexed
+	 */
+	indexFiles (cached) {
+		return vscode.workspace.findFiles(getModuleGlob(), '**/node_modules/**').then(uris => {
+			const filePaths = new Set(uris.map(uri => uri.fsPath));
+
+			Array.from(this.files.keys())
+				.filter(filePath => !filePaths.has(filePath))
+				.forEach(filePath => this.removeFile(filePath));
+
+			return Promise.all(Array.from(filePaths)
+				.map(filePath => this.updateFile(filePath, cached[filePath] || this.files.get(filePath))));
+		});
+	}
+
+	/**
+	 * Follows the settings and RequireJS configuration of the workspace folders. Once the resolver of a folder
+	 * was rebuilt, the watcher and the indexed files follow the configured extensions and every file is resolved
+	 * again.
+	 * @returns {Promise} resolves with the index once it is updated
+	 */
+	updateConfiguration () {
+		const resolvers = getFolderResolvers();
+		const isUnchanged = resolvers.length === this.resolvers.length
+			&& resolvers.every((resolver, index) => resolver === this.resolvers[index]);
+
+		if (!this.loading || isUnchanged) {
+			return Promise.resolve(this);
+		}
+		this.resolvers = resolvers;
+		this.watch();
+		// Providers waiting for the index get it once the files are resolved again
+		this.loading = this.loading.then(() => this.indexFiles({})).then(() => this);
+
+		return this.loading;
+	}
+
+	/**
+	 * Writes the index to extension storage if it changed since it was last written
+	 * @returns {undefined}
+	 */
+	writeCache () {
+		if (this.cachePath && this.isCacheOutdated && writeIndexCache(this.cachePath, this.files)) {
+			this.isCacheOutdated = false;
+		}
+	}
+
+	/**
+	 * Builds the index on first use, reusing cached entries of files which did not change since
+	 * @param {String} [storagePath] Extension storage folder of the workspace, the index is cached in it
+	 * unless requireModuleSupport.cacheIndex is disabled
+	 * @returns {Promise} resolves with the index once every file is indexed
+	 */
+	load (storagePath) {
+		if (!this.loading) {
+			const useCache = vscode.workspace.getConfiguration('requireModuleSupport').get('cacheIndex') !== false;
+
+			this.cachePath = storagePath && useCache ? path.join(storagePath, 'moduleIndex.json') : null;
+			this.resolvers = getFolderResolvers();
+			this.watch();
+			this.configurationListener = vscode.workspace.onDidChangeConfiguration(event => {
+				if (event.affectsConfiguration('requireModuleSupport')) {
+					this.updateConfiguration();
+				}
+			});
+			this.loading = readIndexCache(this.cachePath)
+				.then(cached => this.indexFiles(cached))
+				.then(() => {
+					this.writeCache();
+
+					return this;
+				});
+		}
+
+		return this.loading;
+	}
+
+	dispose () {
+		if (this.watcher) {
+			this.watcher.dispose();
+		}
+		if (this.configurationListener) {
+			this.configurationListener.dispose();
+		}
+		this.writeCache();
+	}
+}
+
+/**
+ * Returns the module index shared by the providers of the workspace
+ * @returns {ModuleIndex} index, loaded when the extension is activated
+ */
+function getWorkspaceIndex () {
+	if (!workspaceIndex) {
+		workspaceIndex = new ModuleIndex();
+	}
+
+	return workspaceIndex;
+}
+
+/**
+ * Lists the module files of the workspace outside of node_modules, once the index is loaded
+ * @returns {Promise} resolves with URIs of the indexed files
+ */
+function findModuleFiles () {
+	return getWorkspaceIndex()
+		.load()
+		.then(index => Array.from(index.files.keys()).map(filePath => vscode.Uri.file(filePath)));
+}
+
+/**
+ * Resolves a module id and reads what the module exports, from the index when the file is indexed
+ * @param {String} moduleId Module id as written in the dependency list
+ * @param {String} currentFilePath Absolute path of the file containing the dependency
+ * @returns {Promise} resolves with the resolution and exports as returned by getModuleExports,
+ * exports are null if the module file is not found or has none of the module extensions
+ */
+function loadModuleExports (moduleId, currentFilePath) {
+	const resolver = getWorkspaceResolver(currentFilePath);
+	const resolution = resolver.resolveFile(moduleId, currentFilePath);
+
+	if (!resolution.path || !resolver.findExtension(resolution.path)) {
+		return Promise.resolve({ resolution, exports: null });
+	}
+
+	const indexed = getWorkspaceIndex().getModule(resolution.path, resolution.id);
+
+	if (indexed && indexed.exports) {
+		return Promise.resolve({ resolution, exports: indexed.exports });
+	}
+
+	return vscode.workspace.openTextDocument(vscode.Uri.file(resolution.path)).then(
+		document => ({ resolution, exports: getModuleExports(document.getText(), resolution.id) }),
+		() => ({ resolution, exports: null })
+	);
+}
+
+Object.assign(exports, {
+	createRange,
+	findModuleSymbols,
+	ModuleIndex,
+	getWorkspaceIndex,
+	findModuleFiles,
+	loadModuleExports
+});
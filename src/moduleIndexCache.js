@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Cached indexes written by another version of the extension are ignored
+const cacheVersion = 5;
+
+/**
+ * Reads the index of the previous session
+ * @param {String} [cachePath] Absolute path of the cache file
+ * @returns {Promise} resolves with entries keyed by file path, empty if there is no usable cache
+ */
+function readIndexCache (cachePath) {
+	if (!cachePath) {
+		return Promise.resolve({});
+	}
+
+	return new Promise(resolve => {
+		fs.readFile(cachePath, 'utf8', (error, str) => {
+			let cache = null;
+
+			try {
+				cache = error ? null : JSON.parse(str);
+			} catch (e) {
+				cache = null;
+			}
+			resolve(cache && cache.version === cacheVersion ? cache.files : {});
+		});
+	});
+}
+
+/**
+ * Writes the index for the next session
+ * @param {String} cachePath Absolute path of the cache file
+ * @param {Map} files Entries keyed by file path
+ * @returns {Boolean} true if the cache was written
+ */
+function writeIndexCache (cachePath, files) {
+	const entries = {};
+
+	files.forEach((entry, filePath) => {
+		entries[filePath] = entry;
+	});
+
+	try {
+		fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+		fs.writeFileSync(cachePath, JSON.stringify({ version: cacheVersion, files: entries }));
+
+		return true;
+	} catch (e) {
+		// Without a cache the index is built from the files in the next session
+		return false;
+	}
+}
+
+Object.assign(exports, {
+	readIndexCache,
+	writeIndexCache
+});
@@ -0,0 +1,125 @@
+const vscode = require('vscode');
+const path = require('path');
+const { analyzeModules } = require('./moduleAnalysis');
+const { findModuleUsageAt } = require('./moduleBindings');
+const { getModuleExports } = require('./moduleExports');
+const { findModuleReferences } = require('./moduleReferences');
+const { getWorkspaceResolver } = require('./workspaceResolver');
+const { getWorkspaceIndex, findModuleFiles, createRange } = require('./moduleIndex');
+
+/**
+ * Finds modules depending on a module, usages of its factory parameters and of its members across the workspace
+ */
+class ModuleReferenceProvider {
+	/**
+	 * Finds the module, and optionally the member of it, to search references of.
+	 * Dependencies used at the position are searched for, otherwise the module of the document itself.
+	 * @param {Document} document VSCode document
+	 * @param {Position} position Position references are requested at
+	 * @returns {Object|null} absolute path of the module file and member name, null for the module itself
+	 */
+	findTarget (document, position) {
+		const text = document.getText();
+		const offset = document.offsetAt(position);
+		const analysis = analyzeModules(text);
+		const usage = findModuleUsageAt(analysis, text, offset);
+
+		if (usage) {
+			const resolution = getWorkspaceResolver(document.fileName).resolveFile(usage.moduleId, document.fileName);
+
+			return resolution.path ? { path: resolution.path, member: usage.member } : null;
+		}
+
+		if (!analysis.modules.some(statement => statement.type === 'define')) {
+			return null;
+		}
+
+		const member = getModuleExports(text).members.find(item => offset >= item.start && offset <= item.end);
+
+		return { path: document.fileName, member: member ? member.name : null };
+	}
+
+	/**
+	 * Searches files for references to a module or its member. Files which the module index
+	 * lists without a dependency on the module are skipped.
+	 * @param {Object} target Module file path and member name as returned by findTarget
+	 * @param {Array} uris URIs of the files to search
+	 * @returns {Promise} resolves with locations
+	 */
+	findReferences (target, uris) {
+		const index = getWorkspaceIndex();
+		const targetPath = path.normalize(target.path);
+		const resolvesToTarget = (id, filePath) => {
+			const resolved = getWorkspaceResolver(filePath).resolveFile(id, filePath).path;
+
+			return Boolean(resolved) && path.normalize(resolved) === targetPath;
+		};
+		const mayReference = uri => {
+			const entry = index.getFileEntry(uri.fsPath);
+
+			return !entry || entry.dependencies.some(id => entry.dependencyPaths[id]
+				&& path.normalize(entry.dependencyPaths[id]) === targetPath);
+		};
+		const searches = uris
+			.filter(uri => path.normalize(uri.fsPath) !== targetPath && mayReference(uri))
+			.map(uri => vscode.workspace.openTextDocument(uri).then(document => {
+				const isTarget = id => resolvesToTarget(id, uri.fsPath);
+
+				return findModuleReferences(document.getText(), isTarget, target.member)
+					.map(range => new vscode.Location(uri, new vscode.Range(
+						document.positionAt(range.start),
+						document.positionAt(range.end)
+					)));
+			}, () => []));
+
+		return Promise.all(searches).then(results => results.reduce((list, locations) => list.concat(locations), []));
+	}
+
+	/**
+	 * Returns the location of the searched member in the module file
+	 * @param {Object} target Module file path and member name as returned by findTarget
+	 * @returns {Promise} resolves with location, undefined for modules and members which are not found
+	 */
+	findDeclaration (target) {
+		if (!target.member) {
+			return Promise.resolve(undefined);
+		}
+
+		const uri = vscode.Uri.file(target.path);
+		const indexed = getWorkspaceIndex().getModule(target.path);
+
+		if (indexed && indexed.exports) {
+			const member = indexed.exports.members.find(item => item.name === target.member);
+
+			return Promise.resolve(member ? new vscode.Location(uri, createRange(member.range)) : undefined);
+		}
+
+		return vscode.workspace.openTextDocument(uri).then(document => {
+			const member = getModuleExports(document.getText()).members.find(item => item.name === target.member);
+
+			if (!member) {
+				return undefined;
+			}
+
+			return new vscode.Location(uri, new vscode.Range(
+				document.positionAt(member.start),
+				document.positionAt(member.end)
+			));
+		}, () => undefined);
+	}
+
+	provideReferences (document, position, context) {
+		const target = this.findTarget(document, position);
+
+		if (!target) {
+			return Promise.resolve([]);
+		}
+
+		return Promise.all([
+			context && context.includeDeclaration ? this.findDeclaration(target) : undefined,
+			findModuleFiles().then(uris => this.findReferences(target, uris))
+		]).then(([declaration, references]) => [].concat(declaration || [], references));
+	}
+}
+
+Object.assign(exports, { ModuleReferenceProvider });
@@ -0,0 +1,108 @@
+const walk = require('acorn/dist/walk');
+const { analyzeModules } = require('./moduleAnalysis');
+const { findModuleBinding } = require('./moduleBindings');
+const { findDeclaringScope, findVariableReferences } = require('./scopeAnalysis');
+
+/**
+ * Finds dependency ids referring to the module and variables bound to them
+ * @param {Object} analysis Result of analyzeModules
+ * @param {Function} isTarget Checks whether a module id refers to the searched module
+ * @returns {Object} ranges of the ids without quotes and of the variables bound to them,
+ * and the variables with the offset they are declared at
+ */
+function findDependencies (analysis, isTarget) {
+	const ranges = [];
+	const bindings = [];
+	const addId = dependency => ranges.push({ start: dependency.start + 1, end: dependency.end - 1 });
+
+	analysis.modules.forEach(statement => {
+		statement.dependencies.forEach((dependency, index) => {
+			const param = statement.params[index];
+
+			if (dependency.value === null || !isTarget(dependency.value)) {
+				return;
+			}
+			addId(dependency);
+			if (param && param.name) {
+				ranges.push({ start: param.start, end: param.end });
+				bindings.push({ name: param.name, start: param.start });
+			}
+		});
+	});
+
+	analysis.inlineRequires
+		.filter(inlineRequire => isTarget(inlineRequire.value))
+		.forEach(inlineRequire => {
+			addId(inlineRequire);
+			if (inlineRequire.binding) {
+				ranges.push({ start: inlineRequire.binding.start, end: inlineRequire.binding.end });
+				bindings.push({ name: inlineRequire.binding.name, start: inlineRequire.binding.start });
+			}
+		});
+
+	return { ranges, bindings };
+}
+
+/**
+ * Finds references to a module, or to a member of it, in the source of another module.
+ * Module references are dependency ids and usages of the factory parameters and variables
+ * they are bound to, member references are `a.member` and `require('a').member` expressions.
+ * @param {String} str Source to search
+ * @param {Function} isTarget Called with module ids, returns whether the id refers to the searched module
+ * @param {String|null} member Name of the member to search for, null to search for the module itself
+ * @returns {Array} ranges sorted by position
+ */
+function findModuleReferences (str, isTarget, member) {
+	const analysis = analyzeModules(str);
+	const resolved = {};
+	// Resolve each id once, files usually refer to a module several times
+	const isCachedTarget = id => {
+		if (!Object.prototype.hasOwnProperty.call(resolved, id)) {
+			resolved[id] = Boolean(isTarget(id));
+		}
+
+		return resolved[id];
+	};
+	let ranges = [];
+
+	if (member) {
+		walk.full(analysis.ast, node => {
+			if (node.type !== 'MemberExpression' || node.computed || node.property.name !== member) {
+				return;
+			}
+
+			const object = node.object;
+			let moduleId = null;
+
+			if (object.type === 'Identifier') {
+				const binding = findModuleBinding(analysis, object.name, node.start);
+
+				moduleId = binding ? binding.moduleId : null;
+			} else if (object.type === 'CallExpression') {
+				const inlineRequire = analysis.inlineRequires.find(item => item.callStart === object.start);
+
+				moduleId = inlineRequire ? inlineRequire.value : null;
+			}
+
+			if (moduleId && isCachedTarget(moduleId)) {
+				ranges.push({ start: node.property.start, end: node.property.end });
+			}
+		});
+	} else {
+		const dependencies = findDependencies(analysis, isCachedTarget);
+
+		ranges = dependencies.ranges;
+		// Usages are searched in the scope of each variable, skipping nested scopes declaring the name again
+		dependencies.bindings.forEach(binding => {
+			const scope = findDeclaringScope(analysis.ast, binding.name, binding.start);
+
+			findVariableReferences(scope, binding.name)
+				.filter(reference => !ranges.some(range => range.start === reference.start))
+				.forEach(reference => ranges.push({ start: reference.start, end: reference.end }));
+		});
+	}
+
+	return ranges.sort((a, b) => a.start - b.start);
+}
+
+Object.assign(exports, { findModuleReferences });
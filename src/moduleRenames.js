@@ -0,0 +1,130 @@
+const path = require('path');
+const { analyzeModules } = require('./moduleAnalysis');
+const { splitPluginId } = require('./loaderPlugins');
+
+/**
+ * Creates a function mapping paths of renamed files, and of files inside renamed directories, to their new location
+ * @param {Array} renames Objects with absolute oldPath and newPath
+ * @returns {Function} mapper returning the new path, or the same path for files which are not moved
+ */
+function createPathMapper (renames) {
+	const moves = renames.map(({ oldPath, newPath }) => ({
+		oldPath: path.normalize(oldPath),
+		newPath: path.normalize(newPath)
+	}));
+
+	return filePath => {
+		const normalized = path.normalize(filePath);
+		const move = moves.find(({ oldPath }) => normalized === oldPath
+			|| normalized.indexOf(oldPath + path.sep) === 0);
+
+		return move ? move.newPath + normalized.slice(move.oldPath.length) : filePath;
+	};
+}
+
+/**
+ * Checks whether a file name or id ends with the extension
+ * @param {String} name File name or id
+ * @param {String} extension Extension, empty for none
+ * @returns {Boolean} true if extension is not empty and name ends with it
+ */
+function hasExtension (name, extension) {
+	return Boolean(extension) && name.slice(-extension.length).toLowerCase() === extension.toLowerCase();
+}
+
+/**
+ * Creates a relative id of a module file, starting with `./` or `../`
+ * @param {String} targetPath Absolute path of the module file
+ * @param {String} referrerPath Absolute path of the file containing the id
+ * @param {String} extension Extension of the module file, left out of the id
+ * @returns {String} relative module id
+ */
+function createRelativeId (targetPath, referrerPath, extension) {
+	const file = hasExtension(targetPath, extension) ? targetPath.slice(0, -extension.length) : targetPath;
+	const relativeId = path
+		.relative(path.dirname(referrerPath), file)
+		.split(path.sep)
+		.join('/');
+
+	return (/^\./).test(relativeId) ? relativeId : './' + relativeId;
+}
+
+/**
+ * Creates the id a moved module should be referred to with, in the same form as the original id
+ * @param {String} id Original module id, may be prefixed by a loader plugin
+ * @param {Object} resolution Resolution of the original id as returned by ModuleResolver.resolveFile
+ * @param {String} targetPath New absolute path of the module file
+ * @param {String} referrerPath New absolute path of the file containing the id
+ * @param {ModuleResolver} resolver Resolver of the workspace
+ * @returns {String|null} updated id, null if the module can not be referred to with the original form
+ */
+function createModuleId (id, resolution, targetPath, referrerPath, resolver) {
+	const { plugin, resource } = splitPluginId(id);
+	const name = plugin !== null && resource ? resource : id.replace(/!$/, '');
+	const extension = resolution.rule ? resolution.rule.extension : resolver.findExtension(targetPath);
+	let newName = (/^\./).test(name)
+		? createRelativeId(targetPath, referrerPath, extension)
+		: resolver.getModuleId(targetPath, extension);
+
+	if (!newName) {
+		return null;
+	}
+	// Keep extensions written in the original id
+	newName += hasExtension(name, extension) ? extension : '';
+
+	if (plugin === null) {
+		return newName;
+	}
+
+	return resource ? `${plugin}!${newName}` : `${newName}!`;
+}
+
+/**
+ * Finds module ids in the source of a module which have to be updated when files are renamed.
+ * Ids of moved modules are updated, as well as relative ids in moved modules.
+ * Quotes are kept as they are, only the ids between them are replaced.
+ * @param {String} str Source of the module
+ * @param {String} filePath Absolute path of the module before renaming
+ * @param {Array} renames Objects with absolute oldPath and newPath of renamed files and directories
+ * @param {ModuleResolver} resolver Resolver of the workspace, resolving files at their location before renaming
+ * @returns {Array} objects with range of the id without quotes and the new id
+ */
+function findModuleIdUpdates (str, filePath, renames, resolver) {
+	const movePath = createPathMapper(renames);
+	const referrerPath = movePath(filePath);
+	const analysis = analyzeModules(str);
+	const updates = [];
+
+	analysis.modules
+		.reduce((list, statement) => list.concat(statement.dependencies), [])
+		.concat(analysis.inlineRequires)
+		.filter(string => string.value)
+		.forEach(string => {
+			const resolution = resolver.resolveFile(string.value, filePath);
+
+			if (!resolution.path) {
+				return;
+			}
+
+			const targetPath = movePath(resolution.path);
+			const isMoved = targetPath !== resolution.path;
+
+			// Ids which are not relative do not depend on the location of the referring module
+			if (!isMoved && !(/^\.|!\./).test(string.value)) {
+				return;
+			}
+
+			const value = createModuleId(string.value, resolution, targetPath, referrerPath, resolver);
+
+			if (value && value !== string.value) {
+				updates.push({ start: string.start + 1, end: string.end - 1, value });
+			}
+		});
+
+	return updates;
+}
+
+Object.assign(exports, {
+	createPathMapper,
+	findModuleIdUpdates
+});
@@ -0,0 +1,397 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveConfigPath } = require('./requireConfig');
+const { splitPluginId, getPluginRule, findLocaleVariants } = require('./loaderPlugins');
+const { findInstalledPackages } = require('./installedPackages');
+
+/**
+ * Finds the longest key matching the beginning of the module id by whole path segments
+ * @param {String} id Module id
+ * @param {Object} object Object keyed by module id prefixes
+ * @returns {String|null} matching key
+ */
+function findLongestPrefix (id, object) {
+	const segments = id.split('/');
+
+	for (let i = segments.length; i > 0; i--) {
+		const prefix = segments.slice(0, i).join('/');
+
+		if (Object.prototype.hasOwnProperty.call(object, prefix)) {
+			return prefix;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Resolves "." and ".." segments of a relative id against the id of the referencing module
+ * @param {String} id Relative module id
+ * @param {String} referrerId Id of the module containing the dependency
+ * @returns {String} absolute module id
+ */
+function normalizeRelativeId (id, referrerId) {
+	const segments = referrerId
+		.split('/')
+		.slice(0, -1)
+		.concat(id.split('/'));
+	const result = [];
+
+	segments.forEach(segment => {
+		if (segment === '..' && result.length && result[result.length - 1] !== '..') {
+			result.pop();
+		} else if (segment !== '.' && segment !== '') {
+			result.push(segment);
+		}
+	});
+
+	return result.join('/');
+}
+
+/**
+ * Appends an extension to a path unless it already has it
+ * @param {String} filePath Path to process
+ * @param {String} [extension = '.js'] Extension to append, empty to keep the path as-is
+ * @returns {String} path with extension
+ */
+function addExtension (filePath, extension = '.js') {
+	const hasExtension = filePath.slice(-extension.length).toLowerCase() === extension.toLowerCase();
+
+	return !extension || hasExtension ? filePath : filePath + extension;
+}
+
+/**
+ * Resolves module ids to files following RequireJS rules for baseUrl, paths, map and packages.
+ * Ids outside of paths and packages are searched in every module root, and each location is tried
+ * with every candidate extension, then as a directory containing an index file.
+ */
+class ModuleResolver {
+	/**
+	 * @param {Object} config Configuration as returned by loadRequireConfig, with optional plugins and extensions
+	 */
+	constructor (config) {
+		this.rootPath = config.rootPath;
+		this.baseUrl = config.baseUrl;
+		this.moduleRoots = config.moduleRoots || (config.baseUrl ? [config.baseUrl] : []);
+		this.extensions = config.extensions && config.extensions.length ? config.extensions : ['.js'];
+		this.map = config.map || {};
+		this.plugins = config.plugins || {};
+		this.packages = {};
+		this.paths = Object.assign({}, config.paths);
+
+		(config.packages || []).forEach(pkg => {
+			const { name, location = name, main = 'main' } = typeof pkg === 'string' ? { name: pkg } : pkg;
+
+			if (name) {
+				this.packages[name] = main.replace(/^\.\//, '').replace(/\.js$/i, '');
+				this.paths[name] = location;
+			}
+		});
+	}
+
+	/**
+	 * Returns absolute locations a paths entry points to
+	 * @param {String} key Key of the paths entry
+	 * @returns {Array} absolute paths without extension, fallbacks in order
+	 */
+	getPathLocations (key) {
+		return []
+			.concat(this.paths[key])
+			.filter(location => typeof location === 'string' && !(/^[a-z]+:|^\/\//i).test(location))
+			.map(location => resolveConfigPath(this.rootPath, this.baseUrl, location));
+	}
+
+	/**
+	 * Returns the candidate extension a file name ends with
+	 * @param {String} filePath File path
+	 * @returns {String} extension, empty if the file has none of the candidate extensions
+	 */
+	findExtension (filePath) {
+		const hasExtension = extension => filePath.slice(-extension.length).toLowerCase() === extension.toLowerCase();
+
+		return this.extensions.find(hasExtension) || '';
+	}
+
+	/**
+	 * Lists the files a location without extension may be, in the order they are tried
+	 * @param {String} location Absolute path
+	 * @param {String} [extension] Extension of the file, by default every candidate extension
+	 * is tried followed by index files of a directory at the location
+	 * @returns {Array} absolute file paths
+	 */
+	getCandidateFiles (location, extension) {
+		if (extension !== undefined) {
+			return [addExtension(location, extension)];
+		}
+
+		return this.extensions
+			.map(candidate => addExtension(location, candidate))
+			.concat(this.extensions.map(candidate => path.join(location, 'index' + candidate)));
+	}
+
+	/**
+	 * Derives the module id of a file from the module roots and paths
+	 * @param {String} filePath Absolute file path
+	 * @param {String} [extension] Extension which is not part of the id, empty to keep the file name as-is,
+	 * by default the candidate extension the file ends with
+	 * @returns {String|null} module id or null if the file is outside of the module tree
+	 */
+	getModuleId (filePath, extension = this.findExtension(filePath)) {
+		if (!this.baseUrl) {
+			return null;
+		}
+
+		const file = extension && filePath.slice(-extension.length).toLowerCase() === extension.toLowerCase()
+			? filePath.slice(0, -extension.length)
+			: filePath;
+		const roots = this.moduleRoots.map(location => ({ prefix: '', location }));
+		let best = null;
+
+		Object.keys(this.paths).forEach(key => {
+			this.getPathLocations(key).forEach(location => roots.push({ prefix: key, location }));
+		});
+
+		roots.forEach(({ prefix, location }) => {
+			const relative = path.relative(location, file);
+
+			if (relative.split(path.sep)[0] === '..' || path.isAbsolute(relative)) {
+				return;
+			}
+			if (!best || location.length > best.location.length) {
+				best = {
+					location,
+					id: [prefix]
+						.concat(relative.split(path.sep))
+						.filter(Boolean)
+						.join('/')
+				};
+			}
+		});
+
+		return best && best.id ? best.id : null;
+	}
+
+	/**
+	 * Applies map configuration to a module id
+	 * @param {String} id Absolute module id
+	 * @param {String|null} referrerId Id of the module containing the dependency
+	 * @returns {String} mapped module id
+	 */
+	applyMap (id, referrerId) {
+		const scopes = [];
+
+		if (referrerId) {
+			const scope = findLongestPrefix(referrerId, this.map);
+
+			if (scope) {
+				scopes.push(this.map[scope]);
+			}
+		}
+		if (this.map['*']) {
+			scopes.push(this.map['*']);
+		}
+
+		for (let i = 0; i < scopes.length; i++) {
+			const prefix = findLongestPrefix(id, scopes[i]);
+
+			if (prefix) {
+				return scopes[i][prefix] + id.slice(prefix.length);
+			}
+		}
+
+		return id;
+	}
+
+	/**
+	 * Returns the module roots with the one containing a file first, so that relative ids are
+	 * found next to the file before they are searched in other roots
+	 * @param {String} filePath Absolute file path
+	 * @returns {Array} absolute paths of the module roots
+	 */
+	getRootsFor (filePath) {
+		const isInside = root => path.relative(root, filePath).split(path.sep)[0] !== '..';
+		const own = this.moduleRoots.filter(isInside).sort((a, b) => b.length - a.length)[0];
+
+		return own ? [own].concat(this.moduleRoots.filter(root => root !== own)) : this.moduleRoots;
+	}
+
+	/**
+	 * Resolves a module id to candidate files
+	 * @param {String} id Module id as written in the dependency list
+	 * @param {String} currentFilePath Absolute path of the file containing the dependency
+	 * @param {String} [extension] Extension of the file, empty if the id already contains it,
+	 * by default every candidate extension and index files are tried
+	 * @returns {Object} resolution containing normalized id, kind (relative, modulePath or alias),
+	 * human readable detail lines, candidate files in the order they should be tried and, for bare ids,
+	 * the installed packages the candidates after the module roots belong to
+	 */
+	resolve (id, currentFilePath, extension) {
+		const { plugin, resource } = splitPluginId(id);
+
+		if (plugin !== null) {
+			return this.resolvePluginResource(plugin, resource, currentFilePath);
+		}
+
+		const referrerId = currentFilePath ? this.getModuleId(currentFilePath) : null;
+		const result = { id, kind: 'modulePath', detail: [], candidates: [] };
+		const isRelative = (/^\./).test(id);
+		const aliasKind = isRelative ? 'relative' : 'alias';
+		let moduleId = id;
+
+		if (isRelative) {
+			result.kind = 'relative';
+			if (!referrerId) {
+				result.candidates = this.getCandidateFiles(path.resolve(path.dirname(currentFilePath), id), extension);
+
+				return result;
+			}
+			moduleId = normalizeRelativeId(id, referrerId);
+		}
+
+		if (!this.baseUrl || (/^[a-z]+:|^\/\//i).test(moduleId)) {
+			return result;
+		}
+
+		// Ids ending with .js or starting with a slash are plain paths and skip the configuration
+		if ((/\.js$|^\//i).test(moduleId)) {
+			const location = resolveConfigPath(this.rootPath, this.baseUrl, moduleId);
+
+			result.candidates.push(addExtension(location, extension || '.js'));
+
+			return result;
+		}
+
+		result.id = this.applyAliases(result, moduleId, referrerId, aliasKind);
+
+		return this.addCandidates(result, currentFilePath, extension, aliasKind);
+	}
+
+	/**
+	 * Applies map and packages configuration to an absolute module id
+	 * @param {Object} result Resolution to add detail lines to
+	 * @param {String} moduleId Absolute module id
+	 * @param {String|null} referrerId Id of the module containing the dependency
+	 * @param {String} aliasKind Kind the resolution gets when the id is changed
+	 * @returns {String} module id to look up in paths and module roots
+	 */
+	applyAliases (result, moduleId, referrerId, aliasKind) {
+		const mappedId = this.applyMap(moduleId, referrerId);
+
+		if (mappedId !== moduleId) {
+			result.kind = aliasKind;
+			result.detail.push(`map: ${moduleId} → ${mappedId}`);
+		}
+
+		if (!Object.prototype.hasOwnProperty.call(this.packages, mappedId)) {
+			return mappedId;
+		}
+
+		result.kind = aliasKind;
+		result.detail.push(`package: ${mappedId}`);
+
+		return mappedId + '/' + this.packages[mappedId];
+	}
+
+	/**
+	 * Adds the candidate files of the resolved id: the locations of its paths entry, otherwise
+	 * the module roots followed by installed packages for bare ids
+	 * @param {Object} result Resolution with the absolute module id
+	 * @param {String} currentFilePath Absolute path of the file containing the dependency
+	 * @param {String} [extension] Extension of the file, by default every candidate extension is tried
+	 * @param {String} aliasKind Kind the resolution gets when a paths entry is used, relative for relative ids
+	 * @returns {Object} result
+	 */
+	addCandidates (result, currentFilePath, extension, aliasKind) {
+		const moduleId = result.id;
+		const isRelative = aliasKind === 'relative';
+		const prefix = findLongestPrefix(moduleId, this.paths);
+
+		if (prefix) {
+			const locations = [].concat(this.paths[prefix]);
+
+			result.kind = aliasKind;
+			result.detail.push(`paths: ${prefix} → ${locations.join(', ')}`);
+			this.getPathLocations(prefix).forEach(location => {
+				result.candidates.push(...this.getCandidateFiles(location + moduleId.slice(prefix.length), extension));
+			});
+
+			return result;
+		}
+
+		const roots = isRelative ? this.getRootsFor(currentFilePath) : this.moduleRoots;
+
+		roots.forEach(root => {
+			result.candidates.push(...this.getCandidateFiles(path.resolve(root, moduleId), extension));
+		});
+
+		// Bare ids which are not found in the module roots fall back to installed packages
+		if (!isRelative) {
+			result.packages = findInstalledPackages(this, moduleId, extension);
+			result.packages.forEach(lookup => result.candidates.push(...lookup.candidates));
+		}
+
+		return result;
+	}
+
+	/**
+	 * Resolves the resource of a loader plugin to candidate files
+	 * @param {String} plugin Plugin id
+	 * @param {String} resource Resource name following the exclamation mark
+	 * @param {String} currentFilePath Absolute path of the file containing the dependency
+	 * @returns {Object} resolution like resolve, with plugin id and rule
+	 */
+	resolvePluginResource (plugin, resource, currentFilePath) {
+		// Plugins used without a resource, like domReady!, resolve to the plugin itself
+		if (!resource) {
+			return Object.assign(this.resolve(plugin, currentFilePath), { plugin, rule: null });
+		}
+
+		const rule = getPluginRule(plugin, this.plugins);
+		const extensions = rule ? [rule.extension] : ['', '.js'];
+		const results = extensions.map(extension => this.resolve(resource, currentFilePath, extension));
+		const result = results[0];
+
+		results.slice(1).forEach(other => {
+			result.candidates = result.candidates.concat(other.candidates);
+		});
+		result.detail.unshift(`plugin: ${plugin}`);
+
+		return Object.assign(result, { plugin, rule });
+	}
+
+	/**
+	 * Resolves a module id to the first existing candidate file
+	 * @param {String} id Module id as written in the dependency list
+	 * @param {String} currentFilePath Absolute path of the file containing the dependency
+	 * @returns {Object} resolution with path set to the found file, undefined if none exists, and trace
+	 * listing the candidates which were checked in order with whether they exist. The kind is package
+	 * for files found in an installed package.
+	 */
+	resolveFile (id, currentFilePath) {
+		const result = this.resolve(id, currentFilePath);
+
+		result.trace = [];
+		result.path = result.candidates.find(candidate => {
+			const exists = fs.existsSync(candidate);
+
+			result.trace.push({ path: candidate, exists });
+
+			return exists;
+		});
+
+		const lookup = (result.packages || []).find(item => item.candidates.indexOf(result.path) !== -1);
+
+		if (lookup) {
+			result.kind = 'package';
+			result.detail.push(lookup.detail);
+		}
+
+		if (result.path && result.rule && result.rule.i18n) {
+			result.variants = findLocaleVariants(result.path);
+		}
+
+		return result;
+	}
+}
+
+Object.assign(exports, { ModuleResolver });
@@ -0,0 +1,138 @@
+const vscode = require('vscode');
+const { analyzeModules, getDependencyMap } = require('./moduleAnalysis');
+const { getModuleExports, findMemberUsages } = require('./moduleExports');
+const { findModuleFiles } = require('./moduleIndex');
+const { ModuleReferenceProvider } = require('./moduleReferenceProvider');
+const { findDeclaringScope, findVariableReferences } = require('./scopeAnalysis');
+
+/**
+ * Renames factory parameters inside their factory and members of modules across the workspace
+ */
+class RenameProvider {
+	constructor () {
+		this.referenceProvider = new ModuleReferenceProvider();
+	}
+
+	/**
+	 * Finds the define/require statement declaring a factory parameter used at the offset
+	 * @param {Object} analysis Result of analyzeModules
+	 * @param {String} name Name of the variable
+	 * @param {Integer} offset Offset of the variable
+	 * @returns {Object|null} innermost statement containing the offset which has a parameter with the name
+	 */
+	findParameterStatement (analysis, name, offset) {
+		const statements = analysis.modules
+			.filter(statement => offset >= statement.start && offset <= statement.end)
+			.reverse();
+
+		return statements.find(statement => Object.prototype.hasOwnProperty.call(getDependencyMap(statement), name))
+			|| null;
+	}
+
+	/**
+	 * Finds ranges of a factory parameter and its usages, skipping nested scopes declaring the same name
+	 * @param {Object} analysis Result of analyzeModules
+	 * @param {Object} statement Statement declaring the parameter
+	 * @param {String} name Name of the parameter
+	 * @returns {Array} ranges sorted by position, shorthand properties are flagged with shorthand
+	 */
+	findParameterRanges (analysis, statement, name) {
+		const param = statement.params.find(item => item.name === name);
+
+		return findVariableReferences(findDeclaringScope(analysis.ast, name, param.start), name);
+	}
+
+	/**
+	 * Finds what is renamed at the position
+	 * @param {Document} document VSCode document
+	 * @param {Position} position Position of the renamed symbol
+	 * @returns {Object|null} parameter with its ranges, or module file path and member name
+	 */
+	findRenameTarget (document, position) {
+		const range = document.getWordRangeAtPosition(position);
+
+		if (!range) {
+			return null;
+		}
+
+		const text = document.getText();
+		const analysis = analyzeModules(text);
+		const name = document.getText(range);
+		const start = document.offsetAt(range.start);
+		const target = this.referenceProvider.findTarget(document, position);
+
+		if (target && target.member === name) {
+			return { range, path: target.path, member: target.member };
+		}
+
+		const isProperty = (/\.\s*$/).test(text.slice(0, start));
+		const statement = isProperty ? null : this.findParameterStatement(analysis, name, start);
+
+		if (statement && statement.factory) {
+			return { range, parameter: name, ranges: this.findParameterRanges(analysis, statement, name) };
+		}
+
+		return null;
+	}
+
+	/**
+	 * Creates an edit renaming a member in the module file and in dependent modules
+	 * @param {Object} target Module file path and member name
+	 * @param {String} newName New name of the member
+	 * @returns {Promise} resolves with WorkspaceEdit
+	 */
+	renameMember (target, newName) {
+		const edit = new vscode.WorkspaceEdit();
+		const uri = vscode.Uri.file(target.path);
+		const declarations = vscode.workspace.openTextDocument(uri).then(document => {
+			const text = document.getText();
+			const members = getModuleExports(text).members.filter(member => member.name === target.member);
+			const usages = findMemberUsages(text, target.member)
+				.filter(usage => !members.some(member => member.start === usage.start));
+
+			// Shorthand properties keep their value, `{ a }` becomes `{ b: a }`
+			members.concat(usages).forEach(range => edit.replace(uri, new vscode.Range(
+				document.positionAt(range.start),
+				document.positionAt(range.end)
+			), range.shorthand ? `${newName}: ${target.member}` : newName));
+		});
+		const references = findModuleFiles()
+			.then(uris => this.referenceProvider.findReferences(target, uris))
+			.then(locations => locations.forEach(location => edit.replace(location.uri, location.range, newName)));
+
+		return Promise.all([declarations, references]).then(() => edit);
+	}
+
+	prepareRename (document, position) {
+		const target = this.findRenameTarget(document, position);
+
+		// Other rename providers handle symbols which are not parameters or members of modules
+		return target ? target.range : undefined;
+	}
+
+	provideRenameEdits (document, position, newName) {
+		const target = this.findRenameTarget(document, position);
+
+		if (!target) {
+			return Promise.resolve(undefined);
+		}
+		if (!(/^[A-Za-z_$][\w$]*$/).test(newName)) {
+			return Promise.reject(new Error(`${newName} is not a valid identifier`));
+		}
+		if (target.member) {
+			return this.renameMember(target, newName);
+		}
+
+		const edit = new vscode.WorkspaceEdit();
+
+		// Shorthand properties keep their key, `{ a }` becomes `{ a: b }`
+		target.ranges.forEach(range => edit.replace(document.uri, new vscode.Range(
+			document.positionAt(range.start),
+			document.positionAt(range.end)
+		), range.shorthand ? `${target.parameter}: ${newName}` : newName));
+
+		return Promise.resolve(edit);
+	}
+}
+
+Object.assign(exports, { RenameProvider });
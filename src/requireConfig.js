@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const acorn = require('acorn');
+const walk = require('acorn/dist/walk');
+
+const configGlobals = ['require', 'requirejs'];
+
+/**
+ * Returns the value of an AST node if it can be evaluated without running code
+ * @param {Object} node Acorn AST node
+ * @returns {*} Evaluated value or undefined
+ */
+function getStaticValue (node) {
+	if (!node) {
+		return undefined;
+	}
+
+	if (node.type === 'Literal') {
+		return node.value;
+	}
+
+	if (node.type === 'TemplateLiteral' && !node.expressions.length) {
+		return node.quasis[0].value.cooked;
+	}
+
+	if (node.type === 'ArrayExpression') {
+		return node.elements
+			.map(getStaticValue)
+			.filter(value => value !== undefined);
+	}
+
+	if (node.type === 'ObjectExpression') {
+		const result = {};
+
+		node.properties.forEach(property => {
+			const key = property.computed ? undefined : property.key.name || property.key.value;
+			const value = getStaticValue(property.value);
+
+			if (key !== undefined && value !== undefined) {
+				result[key] = value;
+			}
+		});
+
+		return result;
+	}
+
+	return undefined;
+}
+
+/**
+ * Checks whether node is the `require`/`requirejs` global or `window.require`
+ * @param {Object} node Acorn AST node
+ * @returns {Boolean} true if node references the loader global
+ */
+function isLoaderGlobal (node) {
+	if (node.type === 'Identifier') {
+		return configGlobals.indexOf(node.name) !== -1;
+	}
+
+	return node.type === 'MemberExpression'
+		&& !node.computed
+		&& node.object.type === 'Identifier'
+		&& node.object.name === 'window'
+		&& configGlobals.indexOf(node.property.name) !== -1;
+}
+
+/**
+ * Checks whether a call configures the loader: `require.config()`, `requirejs.config()` or `require()`
+ * @param {Object} node CallExpression node
+ * @returns {Boolean} true if the call passes configuration to the loader
+ */
+function isConfigCall (node) {
+	const callee = node.callee;
+	const isConfigMethod = callee.type === 'MemberExpression'
+		&& isLoaderGlobal(callee.object)
+		&& callee.property.name === 'config';
+
+	return isConfigMethod || isLoaderGlobal(callee);
+}
+
+/**
+ * Returns the config object node passed to the loader by the given node, if any.
+ * Recognizes `require.config({})`, `requirejs.config({})`, `require({})`
+ * and `var require = {}` pre-configuration.
+ * @param {Object} node Acorn AST node
+ * @returns {Object|null} ObjectExpression node
+ */
+function getConfigNode (node) {
+	let candidate = null;
+
+	if (node.type === 'CallExpression' && isConfigCall(node)) {
+		candidate = node.arguments[0];
+	} else if (node.type === 'VariableDeclarator' && isLoaderGlobal(node.id)) {
+		candidate = node.init;
+	} else if (node.type === 'AssignmentExpression' && isLoaderGlobal(node.left)) {
+		candidate = node.right;
+	}
+
+	return candidate && candidate.type === 'ObjectExpression' ? candidate : null;
+}
+
+/**
+ * Merges config into target the same way RequireJS merges consecutive configuration calls
+ * @param {Object} target Config to merge into
+ * @param {Object} config Config to merge
+ * @returns {Object} target
+ */
+function mergeConfig (target, config) {
+	Object.keys(config).forEach(key => {
+		const value = config[key];
+
+		if (key === 'paths') {
+			target.paths = Object.assign(target.paths || {}, value);
+		} else if (key === 'map') {
+			target.map = target.map || {};
+			Object.keys(value).forEach(scope => {
+				target.map[scope] = Object.assign(target.map[scope] || {}, value[scope]);
+			});
+		} else if (key === 'packages') {
+			target.packages = (target.packages || []).concat(value);
+		} else {
+			target[key] = value;
+		}
+	});
+
+	return target;
+}
+
+/**
+ * Extracts RequireJS configuration from the source of a main/config file
+ * @param {String} str Source to process
+ * @returns {Object|null} merged configuration or null if none is found
+ */
+function parseRequireConfig (str) {
+	let ast;
+
+	try {
+		ast = acorn.parse(String(str), {
+			ecmaVersion: 9,
+			allowHashBang: true,
+			allowReturnOutsideFunction: true
+		});
+	} catch (e) {
+		return null;
+	}
+
+	let config = null;
+
+	walk.full(ast, node => {
+		const configNode = getConfigNode(node);
+
+		if (configNode) {
+			config = mergeConfig(config || {}, getStaticValue(configNode));
+		}
+	});
+
+	return config;
+}
+
+/**
+ * Returns the data-main attribute of the require.js script tag
+ * @param {String} html HTML source to process
+ * @returns {String|null} data-main value
+ */
+function findDataMain (html) {
+	const dataMain = /<script\b[^>]*\sdata-main\s*=\s*(['"])([^'"]+)\1/i.exec(String(html));
+
+	return dataMain ? dataMain[2] : null;
+}
+
+/**
+ * Reads a file, returning null instead of failing
+ * @param {String} filePath Absolute file path
+ * @returns {String|null} file contents
+ */
+function readFile (filePath) {
+	try {
+		return fs.readFileSync(filePath, 'utf8');
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Resolves a path from the configuration. Paths beginning with a slash are
+ * relative to the web root, which is assumed to be the workspace root.
+ * @param {String} rootPath Workspace root
+ * @param {String} from Directory the path is relative to
+ * @param {String} to Configured path
+ * @returns {String} absolute path
+ */
+function resolveConfigPath (rootPath, from, to) {
+	return to[0] === '/' ? path.join(rootPath, to) : path.resolve(from, to);
+}
+
+/**
+ * Finds an HTML page in workspace root that loads require.js with data-main
+ * @param {String} rootPath Workspace root
+ * @returns {String|null} absolute path of the page
+ */
+function findHtmlEntry (rootPath) {
+	let files;
+
+	try {
+		files = fs.readdirSync(rootPath);
+	} catch (e) {
+		return null;
+	}
+
+	const pages = files.filter(file => /\.html?$/i.test(file));
+
+	for (let i = 0; i < pages.length; i++) {
+		const page = path.join(rootPath, pages[i]);
+
+		if (findDataMain(readFile(page))) {
+			return page;
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Reads the configuration of the main/config file, following the data-main attribute of an HTML entry page
+ * @param {String} rootPath Workspace root
+ * @param {String} [configFile] Main/config file or HTML entry page relative to workspace root
+ * @returns {Object} config, directories of the page and of the data-main script and the files read
+ */
+function readEntryConfig (rootPath, configFile) {
+	const files = [];
+	let entry = configFile ? path.resolve(rootPath, configFile) : findHtmlEntry(rootPath);
+	let pageDirectory = rootPath;
+	let mainDirectory = null;
+
+	if (entry && /\.html?$/i.test(entry)) {
+		const dataMain = findDataMain(readFile(entry));
+
+		files.push(entry);
+		pageDirectory = path.dirname(entry);
+		entry = null;
+
+		if (dataMain) {
+			entry = resolveConfigPath(rootPath, pageDirectory, dataMain.replace(/(\.js)?$/i, '.js'));
+			mainDirectory = path.dirname(entry);
+		}
+	}
+
+	let config = null;
+
+	if (entry) {
+		files.push(entry);
+		config = parseRequireConfig(readFile(entry));
+	}
+
+	return { config: config || {}, pageDirectory, mainDirectory, files };
+}
+
+/**
+ * Discovers and loads the RequireJS configuration of a workspace
+ * @param {Object} options Settings
+ * @param {String} options.rootPath Workspace root
+ * @param {String} [options.configFile] Main/config file or HTML entry page relative to workspace root
+ * @param {String|Array} [options.modulePath] Module path relative to workspace root, overrides baseUrl.
+ * A list of module roots is searched in order, the first one replaces baseUrl.
+ * @returns {Object} configuration with absolute baseUrl, module roots and list of files it was read from
+ */
+function loadRequireConfig ({ rootPath, configFile, modulePath }) {
+	const { config, pageDirectory, mainDirectory, files } = readEntryConfig(rootPath, configFile);
+	const moduleRoots = [].concat(modulePath || [])
+		.filter(Boolean)
+		.map(root => path.resolve(rootPath, root));
+	let baseUrl = mainDirectory || rootPath;
+
+	if (moduleRoots.length) {
+		baseUrl = moduleRoots[0];
+	} else if (typeof config.baseUrl === 'string') {
+		baseUrl = resolveConfigPath(rootPath, pageDirectory, config.baseUrl);
+	}
+
+	return {
+		rootPath,
+		baseUrl,
+		moduleRoots: moduleRoots.length ? moduleRoots : [baseUrl],
+		paths: config.paths || {},
+		map: config.map || {},
+		packages: config.packages || [],
+		files
+	};
+}
+
+Object.assign(exports, {
+	getStaticValue,
+	parseRequireConfig,
+	findDataMain,
+	resolveConfigPath,
+	loadRequireConfig
+});
@@ -0,0 +1,239 @@
+const walk = require('acorn/dist/walk');
+const { addPatternNames } = require('./declarations');
+
+/**
+ * Checks whether a declaration pattern binds the name
+ * @param {Object} node Identifier or destructuring pattern node
+ * @param {String} name Name of the variable
+ * @returns {Boolean} true if the pattern declares a variable with the name
+ */
+function declaresName (node, name) {
+	return addPatternNames(node, []).indexOf(name) !== -1;
+}
+
+/**
+ * Checks whether a variable declaration binds the name
+ * @param {Object} node Acorn AST node
+ * @param {String} name Name of the variable
+ * @param {Boolean} lexical true to check let and const, false to check var declarations
+ * @returns {Boolean} true if the node is a matching declaration of the name
+ */
+function isVariableDeclaration (node, name, lexical) {
+	return Boolean(node)
+		&& node.type === 'VariableDeclaration'
+		&& (node.kind !== 'var') === lexical
+		&& node.declarations.some(declarator => declaresName(declarator.id, name));
+}
+
+/**
+ * Checks whether statements of a block declare the name with let, const, class or function
+ * @param {Array} statements Statement nodes of the block
+ * @param {String} name Name of the variable
+ * @returns {Boolean} true if the block has its own variable with the name
+ */
+function declaresInBlock (statements, name) {
+	return statements.some(statement => isVariableDeclaration(statement, name, true)
+		|| ((statement.type === 'FunctionDeclaration' || statement.type === 'ClassDeclaration')
+			&& statement.id.name === name));
+}
+
+/**
+ * Checks whether a function declares the name: as its own name, a parameter or a var declaration
+ * anywhere in its body outside of nested functions
+ * @param {Object} node Function node
+ * @param {String} name Name of the variable
+ * @returns {Boolean} true if the function has its own variable with the name
+ */
+function declaresInFunction (node, name) {
+	let found = false;
+
+	if ((node.type === 'FunctionExpression' && node.id && node.id.name === name)
+		|| node.params.some(param => declaresName(param, name))) {
+		return true;
+	}
+	if (!node.expression) {
+		walk.recursive(node.body, null, {
+			Function: () => null,
+			VariableDeclaration: (declaration, state, c) => {
+				found = found || isVariableDeclaration(declaration, name, false);
+				walk.base.VariableDeclaration.call(null, declaration, state, c);
+			}
+		});
+	}
+
+	return found;
+}
+
+/**
+ * Finds the node a variable declared at the offset is visible in
+ * @param {Object} ast AST of the source
+ * @param {String} name Name of the variable
+ * @param {Integer} offset Offset of the declaration
+ * @returns {Object} innermost function or block declaring the name with let, const or class,
+ * the program otherwise
+ */
+function findDeclaringScope (ast, name, offset) {
+	const found = walk.findNodeAround(ast, offset, (type, node) => type === 'Function'
+		|| (type === 'BlockStatement' && declaresInBlock(node.body, name)));
+
+	return found ? found.node : ast;
+}
+
+/**
+ * Finds references to a variable in the scope declaring it. Nested functions and blocks which
+ * declare the same name again are skipped, so are property names and labels.
+ * @param {Object} scope Function, block or program node declaring the variable
+ * @param {String} name Name of the variable
+ * @returns {Array} ranges sorted by position, shorthand properties like `{ a }` are flagged with shorthand
+ */
+function findVariableReferences (scope, name) {
+	const ranges = [];
+	const add = (node, shorthand) => {
+		if (node.name === name) {
+			ranges.push({ start: node.start, end: node.end, shorthand });
+		}
+	};
+	const visitShorthand = (property, state, c) => {
+		add(property.key, true);
+		if (property.value.type === 'AssignmentPattern') {
+			c(property.value.right, state, 'Expression');
+		}
+	};
+	const isOwnScope = node => node === scope;
+	const declaresInFor = node => isVariableDeclaration(node.type === 'ForStatement' ? node.init : node.left,
+		name, true);
+
+	walk.recursive(scope, null, {
+		Identifier: node => add(node, false),
+		VariablePattern: node => add(node, false),
+		Function: (node, state, c) => {
+			if (isOwnScope(node) || !declaresInFunction(node, name)) {
+				walk.base.Function.call(null, node, state, c);
+			}
+		},
+		BlockStatement: (node, state, c) => {
+			if (isOwnScope(node) || !declaresInBlock(node.body, name)) {
+				walk.base.BlockStatement.call(null, node, state, c);
+			}
+		},
+		SwitchStatement: (node, state, c) => {
+			if (node.cases.some(switchCase => declaresInBlock(switchCase.consequent, name))) {
+				c(node.discriminant, state, 'Expression');
+			} else {
+				walk.base.SwitchStatement.call(null, node, state, c);
+			}
+		},
+		ForStatement: (node, state, c) => {
+			if (!declaresInFor(node)) {
+				walk.base.ForStatement.call(null, node, state, c);
+			}
+		},
+		ForInStatement: (node, state, c) => {
+			if (!declaresInFor(node)) {
+				walk.base.ForInStatement.call(null, node, state, c);
+			}
+		},
+		ForOfStatement: (node, state, c) => {
+			if (!declaresInFor(node)) {
+				walk.base.ForOfStatement.call(null, node, state, c);
+			}
+		},
+		CatchClause: (node, state, c) => {
+			if (!declaresName(node.param, name)) {
+				walk.base.CatchClause.call(null, node, state, c);
+			}
+		},
+		Property: (node, state, c) => {
+			if (node.shorthand) {
+				visitShorthand(node, state, c);
+			} else {
+				walk.base.Property.call(null, node, state, c);
+			}
+		},
+		ObjectPattern: (node, state, c) => {
+			node.properties.forEach(property => {
+				if (property.type === 'RestElement') {
+					c(property.argument, state, 'Pattern');
+				} else if (property.shorthand) {
+					visitShorthand(property, state, c);
+				} else {
+					if (property.computed) {
+						c(property.key, state, 'Expression');
+					}
+					c(property.value, state, 'Pattern');
+				}
+			});
+		}
+	});
+
+	return ranges.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Returns what a node declares in the scope of a factory
+ * @param {Object} node Acorn AST node
+ * @param {Object} parent Parent node
+ * @returns {Object|null} name, declared value and declaring statement, null if the node declares nothing
+ */
+function getDeclaration (node, parent) {
+	if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+		return { name: node.id.name, value: node.init, statement: parent };
+	}
+	if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) {
+		return { name: node.id.name, value: node, statement: node };
+	}
+
+	return null;
+}
+
+/**
+ * Collects declarations, member assignments and return values of a factory,
+ * without descending into nested functions for declarations and returns
+ * @param {Object} body Factory body node
+ * @returns {Object} declarations and their statements keyed by name, assignments and return statements
+ */
+function collectScope (body) {
+	const declarations = {};
+	const declarationStatements = {};
+	const assignments = [];
+	const returns = [];
+	const nestedFunctions = [];
+
+	walk.fullAncestor(body, (node, state, ancestors) => {
+		const isNested = nestedFunctions.some(fn => ancestors.indexOf(fn) !== -1 && fn !== node);
+		const parent = ancestors[ancestors.length - 2];
+
+		if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+			assignments.push({ node, anchor: parent && parent.type === 'ExpressionStatement' ? parent : node });
+		}
+		if (isNested) {
+			return;
+		}
+
+		const declaration = getDeclaration(node, parent);
+
+		if (node.type === 'ReturnStatement' && node.argument) {
+			returns.push(node);
+		} else if (declaration) {
+			declarations[declaration.name] = declaration.value;
+			declarationStatements[declaration.name] = declaration.statement;
+		}
+	}, Object.assign({}, walk.base, {
+		Function (node, state, callback) {
+			nestedFunctions.push(node);
+			walk.base.Function.call(null, node, state, callback);
+		},
+		Class (node, state, callback) {
+			nestedFunctions.push(node);
+			walk.base.Class.call(null, node, state, callback);
+		}
+	}));
+
+	return { declarations, declarationStatements, assignments, returns };
+}
+
+Object.assign(exports, {
+	collectScope,
+	findDeclaringScope,
+	findVariableReferences
+});
@@ -0,0 +1,119 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const { loadRequireConfig } = require('./requireConfig');
+const { ModuleResolver } = require('./moduleResolver');
+
+// Resolvers keyed by the root of the workspace folder they belong to
+const cachedResolvers = new Map();
+
+/**
+ * Finds the workspace folder containing a file. Files outside of the workspace belong to the first folder.
+ * @param {String} [filePath] Absolute path of the file
+ * @returns {WorkspaceFolder|undefined} folder, undefined if no folder is open
+ */
+function getWorkspaceFolder (filePath) {
+	const folder = filePath && vscode.workspace.getWorkspaceFolder(vscode.Uri.file(filePath));
+
+	return folder || (vscode.workspace.workspaceFolders || [])[0];
+}
+
+/**
+ * Returns the root of the workspace folder containing a file
+ * @param {String} [filePath] Absolute path of the file
+ * @returns {String|undefined} absolute path of the folder, undefined if no folder is open
+ */
+function getWorkspaceRoot (filePath) {
+	const folder = getWorkspaceFolder(filePath);
+
+	return folder ? folder.uri.fsPath : vscode.workspace.rootPath;
+}
+
+/**
+ * Returns a resolver for the settings and RequireJS configuration of the workspace folder containing a file.
+ * Each folder has its own resolver, rebuilt when its settings or configuration files change.
+ * @param {String} [filePath] Absolute path of the file, the first folder is used if it is omitted
+ * @returns {ModuleResolver} resolver
+ */
+function getWorkspaceResolver (filePath) {
+	const folder = getWorkspaceFolder(filePath);
+	const settings = vscode.workspace.getConfiguration('requireModuleSupport', folder && folder.uri);
+	const options = {
+		rootPath: getWorkspaceRoot(filePath),
+		configFile: settings.get('configFile') || '',
+		modulePath: settings.get('modulePath') || '',
+		plugins: settings.get('plugins') || {},
+		extensions: settings.get('extensions') || []
+	};
+	const key = JSON.stringify(options);
+	const cachedResolver = cachedResolvers.get(options.rootPath);
+	const getTimestamps = files => files.map(file => {
+		try {
+			return fs.statSync(file).mtime.getTime();
+		} catch (e) {
+			return 0;
+		}
+	}).join();
+
+	if (cachedResolver
+		&& cachedResolver.key === key
+		&& cachedResolver.timestamps === getTimestamps(cachedResolver.config.files)) {
+		return cachedResolver.resolver;
+	}
+
+	const config = options.rootPath ? loadRequireConfig(options) : { files: [] };
+	const resolver = new ModuleResolver(Object.assign({
+		plugins: options.plugins,
+		extensions: options.extensions
+	}, config));
+
+	cachedResolvers.set(options.rootPath, {
+		key,
+		config,
+		timestamps: getTimestamps(config.files),
+		resolver
+	});
+
+	return resolver;
+}
+
+/**
+ * Returns the resolvers of every workspace folder
+ * @returns {Array} resolvers in the order of the folders, the resolver of the first folder if none is open
+ */
+function getFolderResolvers () {
+	const folders = vscode.workspace.workspaceFolders || [];
+
+	return (folders.length ? folders.map(folder => folder.uri.fsPath) : [undefined])
+		.map(folderPath => getWorkspaceResolver(folderPath));
+}
+
+/**
+ * Creates a glob pattern matching module files with the extensions configured in any workspace folder
+ * @returns {String} pattern matching every file name ending with one of the extensions, like *.{js,jsx}
+ */
+function getModuleGlob () {
+	const extensions = getFolderResolvers()
+		.reduce((list, resolver) => list.concat(resolver.extensions), [])
+		.map(extension => extension.replace(/^\./, ''))
+		.filter((extension, index, list) => extension && list.indexOf(extension) === index);
+
+	return extensions.length === 1 ? `**/*.${extensions[0]}` : `**/*.{${extensions.join(',')}}`;
+}
+
+/**
+ * Checks whether a file has one of the module extensions of its workspace folder
+ * @param {String} filePath Absolute path of the file
+ * @returns {Boolean} true for module files
+ */
+function isModuleFile (filePath) {
+	return Boolean(getWorkspaceResolver(filePath).findExtension(filePath));
+}
+
+Object.assign(exports, {
+	getWorkspaceFolder,
+	getWorkspaceRoot,
+	getWorkspaceResolver,
+	getFolderResolvers,
+	getModuleGlob,
+	isModuleFile
+});
@@ -0,0 +1,69 @@
+const vscode = require('vscode');
+const { createRange } = require('./moduleIndex');
+
+/**
+ * Tells whether the characters of a query appear in a name in the same order, ignoring case
+ * @param {String} name Symbol name
+ * @param {String} query Text typed by the user
+ * @returns {Boolean} whether the name matches
+ */
+function matchesQuery (name, query) {
+	const lowerName = name.toLowerCase();
+	let position = 0;
+
+	return Array.from(query.toLowerCase()).every(character => {
+		position = lowerName.indexOf(character, position) + 1;
+
+		return position > 0;
+	});
+}
+
+/**
+ * Finds modules and their exported members in the whole workspace, like `moduleA` or `moduleA.baz`
+ */
+class WorkspaceSymbolProvider {
+	/**
+	 * @param {ModuleIndex} index Index of the workspace modules
+	 */
+	constructor (index) {
+		this.index = index;
+	}
+
+	/**
+	 * Creates a location from a range of the index
+	 * @param {String} filePath Absolute path of the file
+	 * @param {Object} range Start and end with line and character
+	 * @returns {Location} VSCode location
+	 */
+	createLocation (filePath, range) {
+		return new vscode.Location(vscode.Uri.file(filePath), createRange(range));
+	}
+
+	/**
+	 * Creates symbols for a module and its members
+	 * @param {Object} module Module as listed by ModuleIndex.getModules
+	 * @returns {Array} SymbolInformation of the module followed by its members
+	 */
+	createSymbols (module) {
+		const moduleLocation = this.createLocation(module.path, module.range);
+		const symbols = [new vscode.SymbolInformation(module.id, vscode.SymbolKind.Module, '', moduleLocation)];
+
+		module.members.forEach(member => {
+			const name = `${module.id}.${member.isPrototype ? 'prototype.' : ''}${member.name}`;
+			const kind = member.kind === 'method' ? vscode.SymbolKind.Method : vscode.SymbolKind.Property;
+			const location = this.createLocation(module.path, member.range);
+
+			symbols.push(new vscode.SymbolInformation(name, kind, module.id, location));
+		});
+
+		return symbols;
+	}
+
+	provideWorkspaceSymbols (query) {
+		return this.index.load().then(index => index.getModules()
+			.reduce((symbols, module) => symbols.concat(this.createSymbols(module)), [])
+			.filter(symbol => matchesQuery(symbol.name, query)));
+	}
+}
+
+Object.assign(exports, { WorkspaceSymbolProvider });
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { analyzeModules, getDependencyIds } = require('../src/moduleAnalysis');
+
+suite('analyzeModules', () => {
+	test('should return synchronous require calls with their bindings', () => {
+		const input = `define(function(require) {
+    var moduleA = require('moduleA');
+    require('moduleB').prop;
+});`;
+		const { modules, inlineRequires } = analyzeModules(input);
+
+		assert.equal(modules.length, 1);
+		assert.deepEqual(inlineRequires, [
+			{
+				value: 'moduleA',
+				start: 53,
+				end: 62,
+				callStart: 45,
+				callEnd: 63,
+				binding: { name: 'moduleA', start: 35, end: 42 }
+			},
+			{
+				value: 'moduleB',
+				start: 77,
+				end: 86,
+				callStart: 69,
+				callEnd: 87,
+				binding: null
+			}
+		]);
+	});
+
+	test('should not treat require without dependency array as module', () => {
+		const { modules, inlineRequires } = analyzeModules('require(name);');
+
+		assert.deepEqual(modules, []);
+		assert.deepEqual(inlineRequires, []);
+	});
+
+	test('should describe define with object factory', () => {
+		const { modules } = analyzeModules('define({ foo: 1 });');
+
+		assert.equal(modules[0].factory.type, 'ObjectExpression');
+		assert.deepEqual(modules[0].params, []);
+	});
+
+	test('should keep holes of the dependency array aligned with parameters', () => {
+		const { modules } = analyzeModules('define([\'a\', , \'b\'], function (a, x, b) {});');
+
+		assert.deepEqual(modules[0].dependencies, [
+			{ value: 'a', start: 8, end: 11 },
+			{ value: null, start: 11, end: 11 },
+			{ value: 'b', start: 15, end: 18 }
+		]);
+		assert.deepEqual(modules[0].params.map(param => param.name), ['a', 'x', 'b']);
+	});
+});
+
+suite('getDependencyIds', () => {
+	test('should list unique dependencies and required ids without special dependencies', () => {
+		assert.deepEqual(
+			getDependencyIds(analyzeModules('define([\'require\', \'a\', \'b\'], function (require) {\n'
+				+ '\trequire(\'c\');\n\trequire(\'a\');\n});')),
+			['a', 'b', 'c']
+		);
+	});
+});
@@ -0,0 +1,18 @@
+const assert = require('assert');
+const { parse } = require('../src/moduleAnalysis');
+const { findDeclaredNames } = require('../src/declarations');
+
+suite('findDeclaredNames', () => {
+	test('should find names of variables, functions, classes, parameters and catch clauses', () => {
+		const input = `var a = 1, { b, c: [d, ...e] } = {};
+			function f (g, h = 1, ...i) {}
+			class J {}
+			const k = function l () {}, m = n => n;
+			try {} catch (o) {}`;
+
+		assert.deepEqual(
+			findDeclaredNames(parse(input).ast).sort(),
+			['J', 'a', 'b', 'd', 'e', 'f', 'g', 'h', 'i', 'k', 'l', 'm', 'n', 'o']
+		);
+	});
+});
@@ -0,0 +1,85 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const modules = ['moduleA', 'moduleB', 'vendor/underscore', 'scripts/moduleB'].map(id => ({ id, path: `/${id}.js` }));
+const resolverStub = {
+	paths: { lodash: 'lib/lodash' },
+	map: { '*': { vendorUnderscore: 'vendor/underscore' } },
+	// Ids of anonymous modules outside of the module roots are workspace paths which do not resolve
+	resolveFile: id => ({ path: id.indexOf('scripts/') === 0 ? null : `/${id}.js` })
+};
+const indexStub = { getModules: () => modules };
+const { DependencyCodeActionProvider } = proxyquire('../src/dependencyCodeActionProvider', {
+	'./workspaceResolver': { getWorkspaceResolver: () => resolverStub },
+	'./moduleIndex': { getWorkspaceIndex: () => ({ load: () => Promise.resolve(indexStub) }) }
+});
+const codeActionProvider = new DependencyCodeActionProvider();
+const provideCodeActions = (line, character, name = 'missingDependency.js', context = {}) => vscode.workspace
+	.openTextDocument(path.join(__dirname, '../testFiles', name))
+	.then(document => {
+		const position = new vscode.Position(line, character);
+
+		return codeActionProvider.provideCodeActions(document, new vscode.Range(position, position), context);
+	});
+
+suite('DependencyCodeActionProvider', () => {
+	test('should offer adding dependency matching undeclared variable', () =>
+		provideCodeActions(2, 3).then(actions => {
+			const [[, edits]] = actions[0].edit.entries();
+
+			assert.deepEqual(actions.map(action => action.title), ['Add dependency \'moduleB\'']);
+			assert.equal(actions[0].kind, vscode.CodeActionKind.QuickFix);
+			assert.deepEqual(edits.map(edit => edit.newText), [', \'moduleB\'', ', moduleB']);
+			assert.equal(edits[0].range.start.character, 17);
+			assert.equal(edits[1].range.start.character, 31);
+		})
+	);
+
+	test('should offer modules conventionally imported with variable name', () =>
+		provideCodeActions(3, 1).then(actions => {
+			assert.deepEqual(
+				actions.map(action => action.title),
+				['Add dependency \'vendor/underscore\'', 'Add dependency \'lodash\'']
+			);
+		})
+	);
+
+	test('should not offer anything for declared variables in organized module', () =>
+		provideCodeActions(1, 1).then(actions => {
+			assert.deepEqual(actions, []);
+		})
+	);
+
+	test('should offer organizing dependencies', () =>
+		provideCodeActions(1, 9, 'unorganized.js').then(actions => {
+			const [[, edits]] = actions[0].edit.entries();
+
+			assert.deepEqual(actions.map(action => action.title), ['Organize AMD dependencies']);
+			assert.equal(actions[0].kind, DependencyCodeActionProvider.organizeKind);
+			assert.deepEqual(edits.map(edit => edit.newText), ['\'moduleA\', \'moduleB\'', 'a, b']);
+		})
+	);
+
+	test('should offer converting between module forms at the head of define calls', () =>
+		Promise.all([
+			provideCodeActions(0, 3, 'inlineRequire.js'),
+			provideCodeActions(0, 5),
+			provideCodeActions(2, 3, 'unorganized.js')
+		]).then(([commonJs, dependencyArray, body]) => {
+			const [[, edits]] = commonJs[0].edit.entries();
+
+			assert.deepEqual(commonJs.map(action => action.title), ['Convert to dependency array']);
+			assert.equal(commonJs[0].kind, vscode.CodeActionKind.RefactorRewrite);
+			assert.deepEqual(edits.map(edit => edit.newText), ['[\'moduleA\'], ', 'moduleA', '']);
+			assert.deepEqual(dependencyArray.map(action => action.title), ['Convert to simplified CommonJS wrapper']);
+			assert.deepEqual(body, []);
+		})
+	);
+
+	test('should only offer requested kinds of actions', () =>
+		provideCodeActions(1, 9, 'unorganized.js', { only: vscode.CodeActionKind.QuickFix }).then(actions => {
+			assert.deepEqual(actions, []);
+		})
+	);
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { analyzeModules } = require('../src/moduleAnalysis');
+const { createDependencyEdits, createOrganizeEdits } = require('../src/dependencyEdits');
+const applyEdits = (str, edits) => edits && edits
+	.slice()
+	.sort((a, b) => b.start - a.start)
+	.reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), str);
+const firstModule = str => analyzeModules(str).modules[0];
+const addDependency = (str, id, name) => applyEdits(str, createDependencyEdits(str, firstModule(str), id, name));
+const organize = (str, order) => applyEdits(str, createOrganizeEdits(str, firstModule(str), order));
+
+suite('createDependencyEdits', () => {
+	test('should add dependency and parameter at the end', () => {
+		assert.equal(
+			addDependency('define(["a"], function (a) {});', 'b', 'b'),
+			'define(["a", "b"], function (a, b) {});'
+		);
+	});
+
+	test('should keep multiline formatting', () => {
+		const input = fs.readFileSync(path.join(__dirname, '../testFiles/basicMultiline.js'), 'utf8');
+
+		assert.equal(
+			addDependency(input, 'moduleC', 'c').split('\n')
+				.slice(0, 3)
+				.join('\n'),
+			'require([\'moduleA\', \n            \'moduleB\',\n            \'moduleC\'], function(a, b, c) {'
+		);
+	});
+
+	test('should add to empty lists', () => {
+		assert.equal(addDependency('define([], function () {});', 'a', 'a'), 'define([\'a\'], function (a) {});');
+		assert.equal(addDependency('require([], () => {});', 'a', 'a'), 'require([\'a\'], (a) => {});');
+	});
+
+	test('should wrap single arrow function parameter', () => {
+		assert.equal(addDependency('define(["a"], a => a);', 'b', 'b'), 'define(["a", "b"], (a, b) => a);');
+	});
+
+	test('should insert before dependencies without parameter', () => {
+		assert.equal(
+			addDependency('define([\'a\', \'css!b\'], function (a) {});', 'c', 'c'),
+			'define([\'a\', \'c\', \'css!b\'], function (a, c) {});'
+		);
+	});
+
+	test('should not add to modules without dependency array or with more parameters than dependencies', () => {
+		assert.equal(addDependency('define(function (require) {});', 'a', 'a'), null);
+		assert.equal(addDependency('define([\'a\'], function (a, b) {});', 'c', 'c'), null);
+	});
+});
+
+suite('createOrganizeEdits', () => {
+	test('should remove unused dependencies and sort the others with their parameters', () => {
+		assert.equal(
+			organize('define([\'c\', \'unused\', \'B\', \'a\'], function (c, unused, b, a) { a(b, c); });'),
+			'define([\'a\', \'B\', \'c\'], function (a, b, c) { a(b, c); });'
+		);
+	});
+
+	test('should keep dependencies without parameter at the end', () => {
+		assert.equal(
+			organize('require([\'b\', \'a\', \'domReady!\', \'css!a\'], (b, a) => [a, b]);'),
+			'require([\'a\', \'b\', \'domReady!\', \'css!a\'], (a, b) => [a, b]);'
+		);
+	});
+
+	test('should sort relative ids last', () => {
+		const input = 'define([\'./b\', \'c\', \'../a\'], function (b, c, a) { return [a, b, c]; });';
+
+		assert.equal(
+			organize(input, 'relativeLast'),
+			'define([\'c\', \'../a\', \'./b\'], function (c, a, b) { return [a, b, c]; });'
+		);
+		assert.equal(
+			organize(input, 'alphabetical'),
+			'define([\'../a\', \'./b\', \'c\'], function (a, b, c) { return [a, b, c]; });'
+		);
+	});
+
+	test('should keep multiline formatting and destructured parameters', () => {
+		assert.equal(
+			organize('define([\n\t\'b\',\n\t\'a\'\n], function ({ x }, a) { a(); });'),
+			'define([\n\t\'a\',\n\t\'b\'\n], function (a, { x }) { a(); });'
+		);
+	});
+
+	test('should wrap remaining arrow function parameters', () => {
+		assert.equal(organize('define([\'a\'], a => 1);'), 'define([], () => 1);');
+	});
+
+	test('should not change organized dependencies', () => {
+		assert.equal(organize('define([\'a\', \'b\'], function (a, b) { a(b); });'), null);
+		assert.equal(organize('define([\'a\'], function (a, b) { a(b); });'), null);
+	});
+});
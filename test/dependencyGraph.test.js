@@ -0,0 +1,65 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { ModuleResolver } = require('../src/moduleResolver');
+const { DependencyGraph } = require('../src/dependencyGraph');
+const rootPath = path.join(__dirname, '../testFiles/dependencyGraph');
+const resolver = new ModuleResolver({ rootPath, baseUrl: rootPath });
+const createGraph = () => {
+	const graph = new DependencyGraph(resolver);
+
+	['a', 'b', 'c', 'd', 'main'].forEach(name => {
+		const filePath = path.join(rootPath, name + '.js');
+
+		graph.addModule(filePath, fs.readFileSync(filePath, 'utf8'));
+	});
+
+	return graph;
+};
+const toIds = (graph, paths) => paths.map(filePath => graph.nodes.get(filePath).id);
+
+suite('DependencyGraph', () => {
+	test('should link modules to their dependencies and dependents', () => {
+		const graph = createGraph();
+		const node = graph.nodes.get(path.join(rootPath, 'c.js'));
+
+		assert.equal(node.id, 'c');
+		assert.deepEqual(toIds(graph, node.dependencies), ['a', 'd']);
+		assert.deepEqual(toIds(graph, node.dependents), ['b']);
+		assert.deepEqual(node.unresolved, ['missing']);
+	});
+
+	test('should leave out loader plugin resources', () => {
+		const graph = createGraph();
+
+		assert.deepEqual(toIds(graph, graph.nodes.get(path.join(rootPath, 'a.js')).dependencies), ['b']);
+		assert.equal(graph.nodes.size, 5);
+	});
+
+	test('should list every module of a cycle in a chain', () => {
+		const graph = createGraph();
+
+		assert.deepEqual(graph.findCycles().map(chain => toIds(graph, chain)), [
+			['a', 'b', 'c', 'a'],
+			['d', 'a', 'b', 'c', 'd']
+		]);
+	});
+
+	test('should return modules reachable from a module within a depth', () => {
+		const graph = createGraph();
+		const subgraph = graph.getSubgraph(path.join(rootPath, 'b.js'), 2);
+
+		assert.deepEqual(toIds(subgraph, Array.from(subgraph.nodes.keys())), ['b', 'c', 'a', 'd']);
+		assert.deepEqual(toIds(subgraph, subgraph.nodes.get(path.join(rootPath, 'a.js')).dependents), ['c', 'd']);
+		assert.deepEqual(toIds(subgraph, subgraph.nodes.get(path.join(rootPath, 'd.js')).dependencies), ['a']);
+		assert.equal(graph.getSubgraph(path.join(rootPath, 'main.js'), 1).nodes.size, 2);
+	});
+
+	test('should find modules depending on themselves', () => {
+		const graph = new DependencyGraph(resolver);
+
+		graph.addModule(path.join(rootPath, 'a.js'), 'define([\'./a\'], function () {});');
+
+		assert.deepEqual(graph.findCycles().map(chain => toIds(graph, chain)), [['a', 'a']]);
+	});
+});
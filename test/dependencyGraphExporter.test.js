@@ -0,0 +1,84 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '../testFiles/dependencyGraph');
+const resolver = new ModuleResolver({ rootPath, baseUrl: rootPath });
+const outputPath = path.join(os.tmpdir(), 'requirejs-dependency-graph.json');
+const vscodeStub = {
+	workspace: {
+		rootPath,
+		findFiles: () => Promise.resolve(['a.js', 'b.js', 'c.js', 'd.js', 'main.js']
+			.map(file => vscode.Uri.file(path.join(rootPath, file)))),
+		textDocuments: [],
+		getConfiguration: vscode.workspace.getConfiguration,
+		createFileSystemWatcher: vscode.workspace.createFileSystemWatcher,
+		onDidChangeConfiguration: vscode.workspace.onDidChangeConfiguration,
+		asRelativePath: filePath => filePath
+	},
+	window: {
+		activeTextEditor: { document: { uri: vscode.Uri.file(path.join(rootPath, 'd.js')) } },
+		showQuickPick: sinon.stub(),
+		showInputBox: sinon.stub(),
+		showSaveDialog: sinon.stub(),
+		showInformationMessage: sinon.stub(),
+		showErrorMessage: sinon.stub()
+	}
+};
+const resolverStub = { getWorkspaceResolver: () => resolver, getWorkspaceRoot: () => rootPath };
+const dependencyGraph = proxyquire('../src/dependencyGraph', {
+	'vscode': vscodeStub,
+	'./workspaceResolver': resolverStub,
+	'./moduleIndex': proxyquire('../src/moduleIndex', { 'vscode': vscodeStub, './workspaceResolver': resolverStub })
+});
+const { DependencyGraphExporter } = proxyquire('../src/dependencyGraphExporter', {
+	'vscode': vscodeStub,
+	'./dependencyGraph': dependencyGraph,
+	'./workspaceResolver': resolverStub
+});
+const exporter = new DependencyGraphExporter();
+const readIds = () => JSON.parse(fs.readFileSync(outputPath, 'utf8')).map(node => node.id);
+
+suite('DependencyGraphExporter', () => {
+	teardown(() => {
+		if (fs.existsSync(outputPath)) {
+			fs.unlinkSync(outputPath);
+		}
+	});
+
+	test('should ask for format, scope, depth and file', () => {
+		vscodeStub.window.showQuickPick.onCall(0).callsFake(items => Promise.resolve(items[1]));
+		vscodeStub.window.showQuickPick.onCall(1).callsFake(items => Promise.resolve(items[1]));
+		vscodeStub.window.showInputBox.resolves('1');
+		vscodeStub.window.showSaveDialog.resolves(vscode.Uri.file(outputPath));
+
+		return exporter.exportGraph().then(filePath => {
+			assert.equal(filePath, outputPath);
+			assert.deepEqual(readIds(), ['a', 'd']);
+			assert.equal(
+				vscodeStub.window.showSaveDialog.lastCall.args[0].defaultUri.fsPath,
+				path.join(rootPath, 'dependency-graph.json')
+			);
+		});
+	});
+
+	test('should export without asking when options are given', () =>
+		exporter.exportGraph({ format: 'json', scope: 'workspace', path: outputPath }).then(() => {
+			assert.deepEqual(readIds(), ['a', 'b', 'c', 'd', 'main']);
+			assert.equal(vscodeStub.window.showQuickPick.callCount, 2);
+		})
+	);
+
+	test('should stop when cancelled', () => {
+		vscodeStub.window.showQuickPick.resolves(undefined);
+
+		return exporter.exportGraph().then(filePath => {
+			assert.equal(filePath, undefined);
+			assert.ok(!fs.existsSync(outputPath));
+		});
+	});
+});
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const path = require('path');
+const { ModuleResolver } = require('../src/moduleResolver');
+const { DependencyGraph } = require('../src/dependencyGraph');
+const { toJson, toDot, toMermaid } = require('../src/dependencyGraphFormats');
+const rootPath = path.join(__dirname, '../testFiles/dependencyGraph');
+const createGraph = () => {
+	const graph = new DependencyGraph(new ModuleResolver({ rootPath, baseUrl: rootPath }));
+
+	graph.addModule(path.join(rootPath, 'main.js'), 'require([\'b\'], function () {});');
+	graph.addModule(path.join(rootPath, 'b.js'), 'define([\'c\'], function () {});');
+	graph.addModule(path.join(rootPath, 'c.js'), 'define([\'b\'], function () {});');
+
+	return graph;
+};
+
+suite('dependencyGraphFormats', () => {
+	test('should write JSON adjacency list', () => {
+		assert.deepEqual(JSON.parse(toJson(createGraph())), [
+			{ id: 'b', path: 'b.js', dependencies: ['c'], dependents: ['main', 'c'] },
+			{ id: 'c', path: 'c.js', dependencies: ['b'], dependents: ['b'] },
+			{ id: 'main', path: 'main.js', dependencies: ['b'], dependents: [] }
+		]);
+	});
+
+	test('should write DOT digraph with cycles in red', () => {
+		assert.equal(
+			toDot(createGraph()),
+			'digraph dependencies {\n\tnode [shape=box];\n'
+				+ '\tm0 [label="b"];\n\tm1 [label="c"];\n\tm2 [label="main"];\n'
+				+ '\tm0 -> m1 [color=red];\n\tm1 -> m0 [color=red];\n\tm2 -> m0;\n}\n'
+		);
+	});
+
+	test('should write Mermaid flowchart with cycles in red', () => {
+		assert.equal(
+			toMermaid(createGraph()),
+			'graph TD\n\tm0["b"]\n\tm1["c"]\n\tm2["main"]\n'
+				+ '\tm0 --> m1\n\tm1 --> m0\n\tm2 --> m0\n\tlinkStyle 0,1 stroke:red\n'
+		);
+	});
+});
@@ -0,0 +1,79 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '../testFiles/dependencyGraph');
+const resolver = new ModuleResolver({ rootPath, baseUrl: rootPath });
+const disposable = { dispose: sinon.stub() };
+const panel = {
+	webview: { html: '', onDidReceiveMessage: () => disposable, postMessage: sinon.stub() },
+	onDidDispose: sinon.stub(),
+	reveal: sinon.stub()
+};
+const activeTextEditor = { document: { uri: vscode.Uri.file(path.join(rootPath, 'b.js')) } };
+const vscodeStub = {
+	workspace: {
+		findFiles: () => Promise.resolve(['a.js', 'b.js', 'c.js', 'd.js', 'main.js']
+			.map(file => vscode.Uri.file(path.join(rootPath, file)))),
+		textDocuments: [],
+		getConfiguration: vscode.workspace.getConfiguration,
+		createFileSystemWatcher: vscode.workspace.createFileSystemWatcher,
+		onDidChangeConfiguration: vscode.workspace.onDidChangeConfiguration
+	},
+	window: {
+		activeTextEditor,
+		createWebviewPanel: sinon.stub().returns(panel),
+		onDidChangeActiveTextEditor: () => disposable,
+		showTextDocument: sinon.stub().resolves()
+	}
+};
+const resolverStub = { getWorkspaceResolver: () => resolver };
+const dependencyGraph = proxyquire('../src/dependencyGraph', {
+	'vscode': vscodeStub,
+	'./workspaceResolver': resolverStub,
+	'./moduleIndex': proxyquire('../src/moduleIndex', { 'vscode': vscodeStub, './workspaceResolver': resolverStub })
+});
+const { DependencyGraphView } = proxyquire('../src/dependencyGraphView', {
+	'vscode': vscodeStub,
+	'./dependencyGraph': dependencyGraph
+});
+const dependencyGraphView = new DependencyGraphView();
+
+suite('DependencyGraphView', () => {
+	test('should show modules, edges and cycles in a webview', () =>
+		dependencyGraphView.show().then(() => {
+			const html = panel.webview.html;
+
+			assert.equal(vscodeStub.window.createWebviewPanel.callCount, 1);
+			assert.equal((html.match(/<g class="node"/g) || []).length, 5);
+			assert.equal((html.match(/<line class="edge cycle"/g) || []).length, 5);
+			assert.equal((html.match(/<line class="edge"/g) || []).length, 1);
+			assert.ok(html.indexOf(`data-current="${path.join(rootPath, 'b.js')}"`) !== -1);
+			assert.ok((/<li><a [^>]+>a<\/a> → <a [^>]+>b<\/a> → <a [^>]+>c<\/a> → <a [^>]+>a<\/a><\/li>/).test(html));
+		})
+	);
+
+	test('should reuse the panel and highlight the module of the active editor', () =>
+		dependencyGraphView.show().then(() => {
+			dependencyGraphView.highlight(activeTextEditor);
+
+			assert.equal(vscodeStub.window.createWebviewPanel.callCount, 1);
+			assert.equal(panel.reveal.callCount, 1);
+			assert.deepEqual(panel.webview.postMessage.lastCall.args, [
+				{ command: 'highlight', path: path.join(rootPath, 'b.js') }
+			]);
+		})
+	);
+
+	test('should open modules of the graph clicked in the webview', () => {
+		const filePath = path.join(rootPath, 'c.js');
+
+		dependencyGraphView.onDidReceiveMessage({ command: 'open', path: filePath });
+		dependencyGraphView.onDidReceiveMessage({ command: 'open', path: '/etc/passwd' });
+
+		assert.equal(vscodeStub.window.showTextDocument.callCount, 1);
+		assert.equal(vscodeStub.window.showTextDocument.lastCall.args[0].fsPath, filePath);
+	});
+});
@@ -0,0 +1,52 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '..');
+const testFiles = path.join(rootPath, 'testFiles');
+const resolver = new ModuleResolver({ rootPath, baseUrl: testFiles });
+const vscodeStub = { workspace: { getConfiguration: () => ({ get: () => undefined }) } };
+const resolverStub = { getWorkspaceResolver: () => resolver };
+const { DiagnosticsProvider } = proxyquire('../src/diagnosticsProvider', {
+	'vscode': vscodeStub,
+	'./workspaceResolver': resolverStub
+});
+
+suite('DiagnosticsProvider', () => {
+	test('should set diagnostics of document', () => {
+		const diagnosticsProvider = new DiagnosticsProvider();
+
+		return vscode.workspace.openTextDocument(path.join(testFiles, 'hover.js')).then(document => {
+			diagnosticsProvider.updateDiagnostics(document);
+
+			const diagnostics = diagnosticsProvider.collection.get(document.uri);
+
+			assert.equal(diagnostics.length, 1);
+			assert.equal(diagnostics[0].message, 'Module \'missingModule\' can not be resolved to a file');
+			assert.equal(diagnostics[0].severity, vscode.DiagnosticSeverity.Warning);
+			assert.equal(diagnostics[0].code, 'unresolved-module');
+			assert.equal(diagnostics[0].source, 'requirejs');
+			assert.equal(diagnostics[0].range.start.character, 28);
+
+			diagnosticsProvider.deleteDiagnostics(document);
+			assert.equal(diagnosticsProvider.collection.get(document.uri), undefined);
+			diagnosticsProvider.dispose();
+		});
+	});
+
+	test('should skip documents which are not files', () => {
+		const diagnosticsProvider = new DiagnosticsProvider();
+		const document = {
+			languageId: 'javascript',
+			uri: vscode.Uri.parse('untitled:Untitled-1'),
+			fileName: 'Untitled-1',
+			getText: () => 'define([\'missingModule\'], function () {});'
+		};
+
+		diagnosticsProvider.updateDiagnostics(document);
+
+		assert.equal(diagnosticsProvider.collection.get(document.uri), undefined);
+		diagnosticsProvider.dispose();
+	});
+});
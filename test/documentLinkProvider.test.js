@@ -0,0 +1,44 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '..');
+const testFiles = path.join(rootPath, 'testFiles');
+const resolver = new ModuleResolver({ rootPath, baseUrl: testFiles });
+const resolverStub = { getWorkspaceResolver: () => resolver };
+const { DocumentLinkProvider } = proxyquire('../src/documentLinkProvider', { './workspaceResolver': resolverStub });
+
+suite('DocumentLinkProvider', () => {
+	test('should link module ids to the files they resolve to', () => {
+		const linkProvider = new DocumentLinkProvider();
+
+		return vscode.workspace.openTextDocument(path.join(testFiles, 'documentLinks.js')).then(document => {
+			const links = linkProvider.provideDocumentLinks(document);
+
+			assert.deepEqual(links.map(link => document.getText(link.range)), [
+				'moduleA',
+				'dependencyGraph/b',
+				'text!dependencyGraph/template.html',
+				'./moduleB'
+			]);
+			assert.deepEqual(links.map(link => path.relative(testFiles, link.target.fsPath)), [
+				'moduleA.js',
+				path.join('dependencyGraph', 'b.js'),
+				path.join('dependencyGraph', 'template.html'),
+				'moduleB.js'
+			]);
+		});
+	});
+
+	test('should not link module ids which do not resolve', () => {
+		const linkProvider = new DocumentLinkProvider();
+
+		return vscode.workspace.openTextDocument(path.join(testFiles, 'documentLinks.js')).then(document => {
+			const links = linkProvider.provideDocumentLinks(document);
+
+			assert.ok(links.every(link => document.getText(link.range) !== 'missing/module.name'));
+			assert.ok(links.every(link => link.tooltip === undefined));
+		});
+	});
+});
@@ -0,0 +1,77 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const { DocumentSymbolProvider } = require('../src/documentSymbolProvider');
+const { analyzeModules } = require('../src/moduleAnalysis');
+const testFiles = path.join(__dirname, '../testFiles');
+const describe = symbol => [symbol.name, symbol.detail, symbol.kind];
+const getChildNames = symbol => symbol.children.map(child => child.name);
+
+suite('DocumentSymbolProvider', () => {
+	test('should show one node per block with dependencies as id and parameter pairs', () => {
+		const symbolProvider = new DocumentSymbolProvider();
+
+		return vscode.workspace.openTextDocument(path.join(testFiles, 'multipleModules.js')).then(document => {
+			const symbols = symbolProvider.provideDocumentSymbols(document);
+
+			assert.deepEqual(symbols.map(describe), [
+				['require', '', vscode.SymbolKind.Namespace],
+				['myName', 'define', vscode.SymbolKind.Module],
+				['define', '', vscode.SymbolKind.Module]
+			]);
+			assert.deepEqual(symbols.map(getChildNames), [
+				['moduleA → a', 'moduleB → b'],
+				['moduleC → c', 'moduleD → d'],
+				['moduleB → moduleA']
+			]);
+			assert.equal(symbols[1].range.start.line, 6);
+			assert.equal(symbols[1].range.end.line, 9);
+			assert.equal(document.getText(symbols[1].selectionRange), '\'myName\'');
+			assert.equal(document.getText(symbols[1].children[0].range), '\'moduleC\'');
+		});
+	});
+
+	test('should pair parameters with their dependencies when ids are not string literals', () => {
+		const analysis = analyzeModules('define([prefix + \'a\', \'b\'], function (a, b) {});');
+		const dependencies = new DocumentSymbolProvider().getDependencies(analysis, analysis.modules[0]);
+
+		assert.deepEqual(dependencies.map(dependency => [dependency.id, dependency.param]), [['b', 'b']]);
+	});
+
+	test('should list exported members of the returned object', () => {
+		const symbolProvider = new DocumentSymbolProvider();
+
+		return vscode.workspace.openTextDocument(path.join(testFiles, 'moduleA.js')).then(document => {
+			const symbols = symbolProvider.provideDocumentSymbols(document);
+
+			assert.deepEqual(symbols[0].children.map(describe), [
+				['foo', '', vscode.SymbolKind.Method],
+				['bar', '', vscode.SymbolKind.Method],
+				['baz', '', vscode.SymbolKind.Method]
+			]);
+		});
+	});
+
+	test('should nest blocks and list prototype members of constructors', () => {
+		const symbolProvider = new DocumentSymbolProvider();
+		const document = new vscode.TextDocument(path.join(testFiles, 'outline.js'), [
+			'define([\'a\', \'require\'], function (a, require) {',
+			'\tfunction View () {}',
+			'\tView.prototype.render = function () {',
+			'\t\trequire([\'b\'], function () {});',
+			'\t};',
+			'\treturn View;',
+			'});'
+		].join('\n'));
+		const symbols = symbolProvider.provideDocumentSymbols(document);
+
+		assert.equal(symbols.length, 1);
+		assert.deepEqual(symbols[0].children.map(describe), [
+			['a → a', 'dependency', vscode.SymbolKind.Variable],
+			['require → require', 'dependency', vscode.SymbolKind.Variable],
+			['render', 'prototype', vscode.SymbolKind.Method],
+			['require', '', vscode.SymbolKind.Namespace]
+		]);
+		assert.deepEqual(getChildNames(symbols[0].children[3]), ['b']);
+	});
+});
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const { convertToEsModule } = require('../src/esModuleConversion');
+const applyEdits = (str, edits) => edits
+	.slice()
+	.sort((a, b) => b.start - a.start)
+	.reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), str);
+const convert = (str, resolveImport) => {
+	const result = convertToEsModule(str, resolveImport);
+
+	return Object.assign(result, {
+		text: applyEdits(str, result.edits),
+		messages: result.problems.map(problem => problem.message)
+	});
+};
+
+suite('convertToEsModule', () => {
+	test('should import dependencies and export the returned value by default', () => {
+		const result = convert('define([\'a\', "b", \'polyfill\'], function (a, b) {\n\t\'use strict\';\n\n'
+			+ '\tvar c = a(b);\n\n\treturn c;\n});\n');
+
+		assert.equal(
+			result.text,
+			'import a from \'a\';\nimport b from "b";\nimport \'polyfill\';\n\nvar c = a(b);\n\nexport default c;\n'
+		);
+		assert.deepEqual([result.hasDefaultExport, result.hasNamedExports], [true, false]);
+		assert.deepEqual(result.messages, []);
+	});
+
+	test('should export members of returned object literals by name', () => {
+		const result = convert('define([], function () {\n\tfunction a () {}\n\n\treturn {\n\t\ta: a,\n'
+			+ '\t\t/** Doc */\n\t\tb: function () {\n\t\t\treturn 1;\n\t\t},\n\t\tc() {}\n\t};\n});');
+
+		assert.equal(
+			result.text,
+			'function a () {}\n\n/** Doc */\nexport const b = function () {\n\treturn 1;\n};\n'
+				+ 'export function c() {}\nexport { a };'
+		);
+		assert.deepEqual([result.hasDefaultExport, result.hasNamedExports], [false, true]);
+	});
+
+	test('should export object literals using this by default', () => {
+		assert.equal(
+			convert('define({ a () { return this.b; }, b: 1 });').text,
+			'export default { a () { return this.b; }, b: 1 };'
+		);
+	});
+
+	test('should convert the simplified CommonJS wrapper and exports assignments', () => {
+		const result = convert('define(function (require, exports) {\n    var a = require(\'a\');\n'
+			+ '    var { b, c: d } = require(\'b\');\n    exports.e = a;\n    exports.f = d + 1;\n});',
+		id => ({ specifier: `./${id}.js`, isNamespace: id === 'b' }));
+
+		assert.equal(
+			result.text,
+			'import a from \'./a.js\';\nimport { b, c as d } from \'./b.js\';\n\n'
+				+ 'export { a as e };\nexport const f = d + 1;'
+		);
+	});
+
+	test('should convert asynchronous require calls to import()', () => {
+		assert.equal(
+			convert('require([\'a\', \'b\'], function (a, b) {\n\ta(b);\n});\nrequire([\'c\'], c => c());').text,
+			'Promise.all([import(\'a\'), import(\'b\')])'
+				+ '.then(function ([{ default: a }, { default: b }]) {\n\ta(b);\n});\n'
+				+ 'import(\'c\').then(({ default: c }) => c());'
+		);
+	});
+
+	test('should mark loader plugins and report what can not be converted', () => {
+		const result = convert('define(\'name\', [\'text!a.html\'], function (a) {\n'
+			+ '\tif (a) {\n\t\trequire(\'b\');\n\t\trequire([\'css!c\']);\n\t}\n\treturn a;\n});');
+
+		assert.equal(
+			result.text,
+			'// TODO: import \'text!a.html\' bound to a, loaded by a loader plugin\n\n'
+				+ 'if (a) {\n\trequire(\'b\');\n'
+				+ '\t// TODO: require() call with dependency \'css!c\' can not be converted to import()\n'
+				+ '\trequire([\'css!c\']);\n}\nexport default a;'
+		);
+		assert.deepEqual(result.messages, [
+			'Module name \'name\' is dropped',
+			'Loader plugin dependency \'text!a.html\' can not be imported',
+			'Synchronous require(\'b\') can not be converted',
+			'require() call with dependency \'css!c\' can not be converted to import()'
+		]);
+	});
+
+	test('should not convert factories returning before their end', () => {
+		const result = convert('define([], function () {\n\tif (a) {\n\t\treturn 1;\n\t}\n\treturn 2;\n});');
+
+		assert.deepEqual(result.edits, []);
+		assert.deepEqual(result.messages, ['Return statements before the end of the factory can not be converted']);
+	});
+});
@@ -0,0 +1,103 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { loadRequireConfig } = require('../src/requireConfig');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '../testFiles/requireConfig');
+const resolver = new ModuleResolver(loadRequireConfig({ rootPath }));
+const appliedEdits = [];
+const outputLines = [];
+let isEditApplied = true;
+const outputChannel = { appendLine: line => outputLines.push(line), show: sinon.stub(), dispose: sinon.stub() };
+const vscodeStub = {
+	workspace: {
+		findFiles: () => Promise.resolve(['scripts/app/main.js', 'scripts/main.js']
+			.map(file => vscode.Uri.file(path.join(rootPath, file)))),
+		openTextDocument: vscode.workspace.openTextDocument,
+		asRelativePath: filePath => path.basename(filePath),
+		applyEdit: edit => {
+			appliedEdits.push(edit);
+
+			return Promise.resolve(isEditApplied);
+		}
+	},
+	window: { createOutputChannel: () => outputChannel, showErrorMessage: sinon.stub() }
+};
+const { EsModuleMigration } = proxyquire('../src/esModuleMigration', {
+	'vscode': vscodeStub,
+	'./workspaceResolver': { getWorkspaceResolver: () => resolver }
+});
+const esModuleMigration = new EsModuleMigration();
+
+suite('EsModuleMigration', () => {
+	test('should import modules of the workspace by relative path, modules with named exports as namespace', () => {
+		const mainUri = vscode.Uri.file(path.join(rootPath, 'scripts/app/main.js'));
+
+		return esModuleMigration.createEdit([mainUri]).then(({ edit, reports }) => {
+			const [[, edits]] = edit.entries();
+
+			assert.equal(
+				edits[0].newText,
+				'import * as $ from \'../lib/vendor/jquery.js\';\nimport widgets from \'../widgets/index.js\';\n'
+					+ 'import legacy from \'./legacy.js\';\n\n$.ajax();'
+			);
+			assert.equal(edits[0].meta.needsConfirmation, true);
+			assert.deepEqual(reports, []);
+		});
+	});
+
+	test('should convert every file of a folder', () =>
+		esModuleMigration.migrate(vscode.Uri.file(path.join(rootPath, 'scripts'))).then(() => {
+			const entries = appliedEdits.pop().entries();
+
+			assert.deepEqual(entries.map(([uri]) => path.relative(rootPath, uri.fsPath)), [
+				path.join('scripts', 'app', 'main.js'),
+				path.join('scripts', 'main.js')
+			]);
+			assert.equal(entries[1][1][0].newText, 'import(\'./app/main.js\')');
+		})
+	);
+
+	test('should report what could not be converted', () =>
+		esModuleMigration.migrate(vscode.Uri.file(path.join(__dirname, '../testFiles/multipleModules.js'))).then(() => {
+			assert.deepEqual(outputLines, [
+				'Converted 1 file(s) to ES modules, 4 problem(s) left:',
+				'multipleModules.js:7:1 Files with several define() calls can not be converted',
+				'multipleModules.js:11:1 Synchronous require(\'moduleA\') can not be converted',
+				'multipleModules.js:12:1 Files with several define() calls can not be converted',
+				'multipleModules.js:13:19 Synchronous require(\'moduleB\') can not be converted'
+			]);
+		})
+	);
+
+	test('should not report problems when the preview is cancelled', () => {
+		outputLines.length = 0;
+		isEditApplied = false;
+
+		return esModuleMigration.migrate(vscode.Uri.file(path.join(__dirname, '../testFiles/multipleModules.js')))
+			.then(() => {
+				isEditApplied = true;
+				assert.deepEqual(outputLines, []);
+			});
+	});
+
+	test('should show an error for files which can not be read', () =>
+		esModuleMigration.migrate(vscode.Uri.file(path.join(rootPath, 'missing.js'))).then(() => {
+			assert.ok(vscodeStub.window.showErrorMessage.calledOnce);
+			assert.ok(vscodeStub.window.showErrorMessage.firstCall.args[0].indexOf('Could not convert') === 0);
+		})
+	);
+
+	test('should report dependencies which can not be read', () => {
+		const errors = [];
+
+		return esModuleMigration.hasNamedExportsOnly(path.join(rootPath, 'missing.js'), new Map(), errors)
+			.then(isNamespace => {
+				assert.equal(isNamespace, false);
+				assert.equal(errors.length, 1);
+				assert.equal(errors[0].path, path.join(rootPath, 'missing.js'));
+			});
+	});
+});
@@ -2,8 +2,48 @@ const sinon = require('sinon');
 const proxyquire = require('proxyquire');
 const assert = require('assert');
 const registerDefinitionProviderStub = sinon.stub();
-const vscodeStub = { languages: { registerDefinitionProvider: registerDefinitionProviderStub } };
-const extension = proxyquire('../extension', { vscode: vscodeStub });
+const registerCompletionItemProviderStub = sinon.stub();
+const registerHoverProviderStub = sinon.stub();
+const registerReferenceProviderStub = sinon.stub();
+const registerRenameProviderStub = sinon.stub();
+const registerCodeActionsProviderStub = sinon.stub();
+const registerDocumentLinkProviderStub = sinon.stub();
+const registerDocumentSymbolProviderStub = sinon.stub();
+const registerWorkspaceSymbolProviderStub = sinon.stub();
+const registerTextEditorCommandStub = sinon.stub();
+const registerCommandStub = sinon.stub();
+const onWillRenameFilesStub = sinon.stub();
+const diagnosticCollectionStub = { set: sinon.stub(), delete: sinon.stub() };
+const moduleIndexStub = { load: sinon.stub(), dispose: sinon.stub() };
+const vscodeStub = {
+	languages: {
+		registerDefinitionProvider: registerDefinitionProviderStub,
+		registerCompletionItemProvider: registerCompletionItemProviderStub,
+		registerHoverProvider: registerHoverProviderStub,
+		registerReferenceProvider: registerReferenceProviderStub,
+		registerRenameProvider: registerRenameProviderStub,
+		registerCodeActionsProvider: registerCodeActionsProviderStub,
+		registerDocumentLinkProvider: registerDocumentLinkProviderStub,
+		registerDocumentSymbolProvider: registerDocumentSymbolProviderStub,
+		registerWorkspaceSymbolProvider: registerWorkspaceSymbolProviderStub,
+		createDiagnosticCollection: () => diagnosticCollectionStub
+	},
+	commands: {
+		registerTextEditorCommand: registerTextEditorCommandStub,
+		registerCommand: registerCommandStub
+	},
+	workspace: {
+		textDocuments: [],
+		onWillRenameFiles: onWillRenameFilesStub,
+		onDidOpenTextDocument: sinon.stub(),
+		onDidSaveTextDocument: sinon.stub(),
+		onDidCloseTextDocument: sinon.stub()
+	}
+};
+const extension = proxyquire('../extension', {
+	'vscode': vscodeStub,
+	'./src/moduleIndex': { getWorkspaceIndex: () => moduleIndexStub }
+});
 
 suite('extension', () => {
 	test('should export activate method', () => {
@@ -11,11 +51,11 @@ suite('extension', () => {
 	});
 
 	test('activate should register definition provider', () => {
-		const context = { subscriptions: [] };
+		const context = { subscriptions: [], storagePath: '/storage' };
 
 		extension.activate(context);
 
-		assert.equal(context.subscriptions.length, 1);
+		assert.equal(context.subscriptions.length, 22);
 		assert.deepEqual(
 			registerDefinitionProviderStub.getCall(0).args,
 			[
@@ -24,4 +64,72 @@ suite('extension', () => {
 			]
 		);
 	});
+
+	test('activate should register module id completion provider', () => {
+		assert.equal(registerCompletionItemProviderStub.getCall(0).args[0], 'javascript');
+		assert.deepEqual(registerCompletionItemProviderStub.getCall(0).args.slice(2), ['\'', '"', '/']);
+	});
+
+	test('activate should register member completion provider', () => {
+		assert.equal(registerCompletionItemProviderStub.getCall(1).args[0], 'javascript');
+		assert.deepEqual(registerCompletionItemProviderStub.getCall(1).args.slice(2), ['.']);
+	});
+
+	test('activate should register hover provider', () => {
+		assert.equal(registerHoverProviderStub.getCall(0).args[0], 'javascript');
+	});
+
+	test('activate should register reference provider', () => {
+		assert.equal(registerReferenceProviderStub.getCall(0).args[0], 'javascript');
+	});
+
+	test('activate should register rename provider', () => {
+		assert.equal(registerRenameProviderStub.getCall(0).args[0], 'javascript');
+	});
+
+	test('activate should register document link provider', () => {
+		assert.equal(registerDocumentLinkProviderStub.getCall(0).args[0], 'javascript');
+	});
+
+	test('activate should register document symbol provider', () => {
+		assert.equal(registerDocumentSymbolProviderStub.getCall(0).args[0], 'javascript');
+	});
+
+	test('activate should register workspace symbol provider', () => {
+		assert.equal(registerWorkspaceSymbolProviderStub.callCount, 1);
+	});
+
+	test('activate should build the module index', () => {
+		assert.deepEqual(moduleIndexStub.load.getCall(0).args, ['/storage']);
+	});
+
+	test('activate should register quick fix provider', () => {
+		assert.equal(registerCodeActionsProviderStub.getCall(0).args[0], 'javascript');
+	});
+
+	test('activate should register organize dependencies command', () => {
+		assert.equal(registerTextEditorCommandStub.getCall(0).args[0], 'requireModuleSupport.organizeDependencies');
+	});
+
+	test('activate should register ES module conversion command', () => {
+		assert.equal(registerCommandStub.getCall(0).args[0], 'requireModuleSupport.convertToEsModules');
+	});
+
+	test('activate should register dependency graph command', () => {
+		assert.equal(registerCommandStub.getCall(1).args[0], 'requireModuleSupport.showDependencyGraph');
+	});
+
+	test('activate should register dependency graph export command', () => {
+		assert.equal(registerCommandStub.getCall(2).args[0], 'requireModuleSupport.exportDependencyGraph');
+	});
+
+	test('activate should listen for file renames', () => {
+		assert.equal(onWillRenameFilesStub.callCount, 1);
+	});
+
+	test('activate should check documents when they are opened and saved', () => {
+		assert.equal(vscodeStub.workspace.onDidOpenTextDocument.callCount, 1);
+		assert.equal(vscodeStub.workspace.onDidSaveTextDocument.callCount, 1);
+		assert.equal(vscodeStub.workspace.onDidCloseTextDocument.callCount, 1);
+	});
 });
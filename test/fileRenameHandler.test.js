@@ -0,0 +1,97 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { loadRequireConfig } = require('../src/requireConfig');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '../testFiles/requireConfig');
+const resolver = new ModuleResolver(loadRequireConfig({ rootPath }));
+const settings = {};
+const unrelatedPath = path.join(rootPath, 'scripts/main.js');
+const uris = [path.join(rootPath, 'scripts/app/main.js'), unrelatedPath].map(vscode.Uri.file);
+const vscodeStub = {
+	workspace: {
+		findFiles: () => Promise.resolve(uris),
+		openTextDocument: sinon.spy(vscode.workspace.openTextDocument),
+		getConfiguration: () => ({ get: key => settings[key] }),
+		textDocuments: [],
+		createFileSystemWatcher: vscode.workspace.createFileSystemWatcher,
+		onDidChangeConfiguration: vscode.workspace.onDidChangeConfiguration
+	}
+};
+const resolverStub = { getWorkspaceResolver: () => resolver };
+const moduleIndex = proxyquire('../src/moduleIndex', { 'vscode': vscodeStub, './workspaceResolver': resolverStub });
+const { FileRenameHandler } = proxyquire('../src/fileRenameHandler', {
+	'vscode': vscodeStub,
+	'./workspaceResolver': resolverStub,
+	'./moduleIndex': moduleIndex
+});
+const fileRenameHandler = new FileRenameHandler();
+const renameEvent = () => {
+	const event = {
+		files: [{
+			oldUri: vscode.Uri.file(path.join(rootPath, 'scripts/app/legacy.js')),
+			newUri: vscode.Uri.file(path.join(rootPath, 'scripts/app/legacy/index.js'))
+		}],
+		edits: [],
+		waitUntil: edit => event.edits.push(edit)
+	};
+
+	return event;
+};
+
+suite('FileRenameHandler', () => {
+	test('should create edit replacing module ids', () =>
+		fileRenameHandler.createEdit([{
+			oldPath: path.join(rootPath, 'scripts/app/legacy.js'),
+			newPath: path.join(rootPath, 'scripts/app/old.js')
+		}], true).then(edit => {
+			const [[uri, edits]] = edit.entries();
+
+			assert.equal(uri.fsPath, path.join(rootPath, 'scripts/app/main.js'));
+			assert.equal(edits.length, 1);
+			assert.equal(edits[0].newText, './old');
+			assert.equal(edits[0].range.start.character, 30);
+		})
+	);
+
+	test('should only open modules which the index lists as depending on moved files', () => {
+		const index = moduleIndex.getWorkspaceIndex();
+
+		index.addFile(unrelatedPath, 'require([\'util/dom\'], function (dom) {});');
+		vscodeStub.workspace.openTextDocument.reset();
+
+		return fileRenameHandler.createEdit([{
+			oldPath: path.join(rootPath, 'scripts/app/legacy.js'),
+			newPath: path.join(rootPath, 'scripts/app/old.js')
+		}], true).then(edit => {
+			assert.equal(edit.entries().length, 1);
+			assert.ok(vscodeStub.workspace.openTextDocument.calledOnce);
+			index.removeFile(unrelatedPath);
+		});
+	});
+
+	test('should provide edit needing confirmation while file is renamed', () => {
+		const event = renameEvent();
+
+		settings.updateModuleIdsOnFileMove = 'prompt';
+		fileRenameHandler.onWillRenameFiles(event);
+
+		return event.edits[0].then(edit => {
+			const [[, edits]] = edit.entries();
+
+			assert.equal(edits[0].newText, './legacy/index');
+			assert.equal(edits[0].meta.needsConfirmation, true);
+		});
+	});
+
+	test('should not update module ids when disabled', () => {
+		const event = renameEvent();
+
+		settings.updateModuleIdsOnFileMove = 'never';
+		fileRenameHandler.onWillRenameFiles(event);
+
+		assert.deepEqual(event.edits, []);
+	});
+});
@@ -0,0 +1,206 @@
+const assert = require('assert');
+const { ReferenceProvider } = require('../extension');
+const referenceProvider = new ReferenceProvider();
+const summarize = statements => statements.map(({ type, start, id, dependencies, params }) => ({
+	type,
+	start,
+	id: id && id.value,
+	dependencies: dependencies.map(dependency => dependency.value),
+	params: params.map(param => param.name)
+}));
+
+suite('getModuleStatements', () => {
+	test('should return array containing start and statement', () => {
+		const input = `
+            define(['./module'], function (module) {
+            })
+        `;
+		const expected = [{
+			type: 'define',
+			start: 13,
+			id: null,
+			dependencies: ['./module'],
+			params: ['module']
+		}];
+
+		assert.deepEqual(summarize(referenceProvider.getModuleStatements(input)), expected);
+	});
+
+	test('should return define statement from one liner', () => {
+		const input = 'define(function(require) { var moduleA = require(\'moduleA\'); moduleA.foo() });';
+		const expected = [{
+			type: 'define',
+			start: 0,
+			id: null,
+			dependencies: [],
+			params: ['require']
+		}];
+
+		assert.deepEqual(summarize(referenceProvider.getModuleStatements(input)), expected);
+	});
+
+	test('should return define statement for require arrow function', () => {
+		const input = 'define(require => { });';
+		const [statement] = referenceProvider.getModuleStatements(input);
+
+		assert.deepEqual(statement.params, [{ name: 'require', start: 7, end: 14 }]);
+		assert.deepEqual(statement.factory, {
+			type: 'ArrowFunctionExpression',
+			start: 7,
+			end: 21,
+			bodyStart: 18,
+			bodyEnd: 21
+		});
+	});
+
+	test('should return define statement for module with arrow function', () => {
+		const input = 'define([\'./module\'], module => { });';
+		const [statement] = referenceProvider.getModuleStatements(input);
+
+		assert.deepEqual(statement.dependencies, [{ value: './module', start: 8, end: 18 }]);
+		assert.deepEqual(statement.dependencyList, { start: 7, end: 19 });
+		assert.deepEqual(statement.params, [{ name: 'module', start: 21, end: 27 }]);
+	});
+
+	test('should return define statement for multiple modules with arrow function', () => {
+		const input = 'define([\'./module\', \'./module2\'], (module, module2) => { });';
+		const expected = [{
+			type: 'define',
+			start: 0,
+			id: null,
+			dependencies: ['./module', './module2'],
+			params: ['module', 'module2']
+		}];
+
+		assert.deepEqual(summarize(referenceProvider.getModuleStatements(input)), expected);
+	});
+
+	test('should return define statement for multiline modules definition', () => {
+		const input = `
+            define([
+                'moduleA', 
+                'moduleB'
+            ], function(a, b) {
+                var foo = a;
+                var bar = b;
+            });
+        `;
+		const expected = [{
+			type: 'define',
+			start: 13,
+			id: null,
+			dependencies: ['moduleA', 'moduleB'],
+			params: ['a', 'b']
+		}];
+
+		assert.deepEqual(summarize(referenceProvider.getModuleStatements(input)), expected);
+	});
+
+	test('should return define statement for named module', () => {
+		const input = `
+            define('myName', ['moduleA', 'moduleB'], function(a, b) {
+            });
+        `;
+		const [statement] = referenceProvider.getModuleStatements(input);
+
+		assert.deepEqual(statement.id, { value: 'myName', start: 20, end: 28 });
+		assert.deepEqual(summarize([statement])[0].dependencies, ['moduleA', 'moduleB']);
+	});
+
+
+	test('should return require statement', () => {
+		const input = `
+            require(['moduleA', 'moduleB'], function(a, b) {
+            });
+        `;
+		const expected = [{
+			type: 'require',
+			start: 13,
+			id: null,
+			dependencies: ['moduleA', 'moduleB'],
+			params: ['a', 'b']
+		}];
+
+		assert.deepEqual(summarize(referenceProvider.getModuleStatements(input)), expected);
+	});
+
+	test('should return require statement for multiple modules with arrow function', () => {
+		const input = `
+            require(['moduleA', 'moduleB'], (a, b) => {
+            });
+        `;
+		const expected = [{
+			type: 'require',
+			start: 13,
+			id: null,
+			dependencies: ['moduleA', 'moduleB'],
+			params: ['a', 'b']
+		}];
+
+		assert.deepEqual(summarize(referenceProvider.getModuleStatements(input)), expected);
+	});
+
+	test('should return require statement for multiline modules definition', () => {
+		const input = `
+            require(['moduleA', 
+                        'moduleB'], function(a, b) {
+                var foo = a;
+                var bar = b;
+            });
+        `;
+		const [statement] = referenceProvider.getModuleStatements(input);
+
+		assert.equal(statement.start, 13);
+		assert.equal(statement.end, input.lastIndexOf(')') + 1);
+		assert.deepEqual(summarize([statement])[0].params, ['a', 'b']);
+	});
+
+	test('should return multiple statements in order', () => {
+		const input = `
+            require(['moduleA'], function(a) {
+                define(['moduleB'], function(b) {});
+            });
+            define(['moduleC'], function(c) {});
+        `;
+		const result = summarize(referenceProvider.getModuleStatements(input));
+
+		assert.deepEqual(result.map(statement => statement.dependencies), [['moduleA'], ['moduleB'], ['moduleC']]);
+	});
+
+	test('should handle comments, trailing commas and brackets in dependency list', () => {
+		const input = `
+            define([
+                'moduleA', // (first)
+                /* 'moduleC', */
+                'moduleB',
+            ], function(a, b) {});
+        `;
+		const expected = [{
+			type: 'define',
+			start: 13,
+			id: null,
+			dependencies: ['moduleA', 'moduleB'],
+			params: ['a', 'b']
+		}];
+
+		assert.deepEqual(summarize(referenceProvider.getModuleStatements(input)), expected);
+	});
+
+	test('should find statements which are not at the start of a line', () => {
+		const input = '(function () { define([\'moduleA\'], a => a); }());';
+
+		assert.deepEqual(summarize(referenceProvider.getModuleStatements(input))[0].params, ['a']);
+	});
+
+	test('should not return statements inside comments', () => {
+		const input = '// define([\'moduleA\'], function (a) {});';
+
+		assert.deepEqual(referenceProvider.getModuleStatements(input), []);
+	});
+
+	test('should return statements from code which does not parse', () => {
+		const input = 'define([\'moduleA\'], function (a) { a.';
+
+		assert.deepEqual(summarize(referenceProvider.getModuleStatements(input))[0].params, ['a']);
+	});
+});
@@ -1,6 +1,9 @@
 const assert = require('assert');
 const { ReferenceProvider } = require('../extension');
 const referenceProvider = new ReferenceProvider();
+const getModules = input => referenceProvider.getModulesWithPathFromRequireOrDefine(
+	referenceProvider.getModuleStatements(input)[0]
+);
 
 suite('getModulesWithPathFromRequireOrDefine', () => {
 	test('should return object with module path and name', () => {
@@ -10,7 +13,19 @@ suite('getModulesWithPathFromRequireOrDefine', () => {
 			moduleB: './path/to/b'
 		};
 
-		assert.deepEqual(referenceProvider.getModulesWithPathFromRequireOrDefine(input), expected);
+		assert.deepEqual(getModules(input), expected);
+	});
+
+	test('should pair parameters with dependencies after holes of the dependency array', () => {
+		const input = 'define([\'a\', , \'b\'], function (a, x, b) {});';
+
+		assert.deepEqual(getModules(input), { a: 'a', x: null, b: 'b' });
+	});
+
+	test('should map parameters of the simplified CommonJS wrapper to special dependencies', () => {
+		const input = 'define(function (req, exports, module) { var a = req(\'a\'); });';
+
+		assert.deepEqual(getModules(input), { req: 'require', exports: 'exports', module: 'module' });
 	});
 
 	test('should return object with module path and name for multiline define', () => {
@@ -23,7 +38,7 @@ suite('getModulesWithPathFromRequireOrDefine', () => {
 			b: 'moduleB'
 		};
 
-		assert.deepEqual(referenceProvider.getModulesWithPathFromRequireOrDefine(input), expected);
+		assert.deepEqual(getModules(input), expected);
 	});
 
 	test('should return object with module path and name for multiline define', () => {
@@ -36,7 +51,7 @@ suite('getModulesWithPathFromRequireOrDefine', () => {
 			b: 'moduleB'
 		};
 
-		assert.deepEqual(referenceProvider.getModulesWithPathFromRequireOrDefine(input), expected);
+		assert.deepEqual(getModules(input), expected);
 	});
 
 	test('should return object with module path and name for named module', () => {
@@ -46,6 +61,16 @@ suite('getModulesWithPathFromRequireOrDefine', () => {
 			b: 'moduleB'
 		};
 
-		assert.deepEqual(referenceProvider.getModulesWithPathFromRequireOrDefine(input), expected);
+		assert.deepEqual(getModules(input), expected);
+	});
+
+	test('should return object with module path and name for arrow function', () => {
+		const input = 'define([\'moduleA\', \'moduleB\'], (a, b) => {';
+		const expected = {
+			a: 'moduleA',
+			b: 'moduleB'
+		};
+
+		assert.deepEqual(getModules(input), expected);
 	});
 });
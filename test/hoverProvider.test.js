@@ -0,0 +1,90 @@
+const { workspace, Position } = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '..');
+const resolver = new ModuleResolver({ rootPath, baseUrl: path.join(rootPath, 'testFiles') });
+const resolverStub = { getWorkspaceResolver: () => resolver };
+const moduleIndex = proxyquire('../src/moduleIndex', { './workspaceResolver': resolverStub });
+const { HoverProvider } = proxyquire('../src/hoverProvider', { './moduleIndex': moduleIndex });
+const hoverProvider = new HoverProvider();
+const modulePath = path.join('testFiles', 'documentedModule.js');
+const missingModulePath = path.join('testFiles', 'missingModule');
+const hoverAt = (line, character) => workspace.openTextDocument(path.join(rootPath, 'testFiles', 'hover.js'))
+	.then(document => hoverProvider.provideHover(document, new Position(line, character)));
+
+suite('HoverProvider', () => {
+	test('should show resolved path and module documentation on dependency string', () =>
+		hoverAt(0, 12).then(hover => {
+			assert.deepEqual(hover.contents, [
+				{ language: 'javascript', value: '(module) documentedModule' },
+				'Formats dates',
+				`Resolved from the module path to \`${modulePath}\``
+			]);
+			assert.equal(hover.range.start.character, 8);
+			assert.equal(hover.range.end.character, 26);
+		})
+	);
+
+	test('should show tried paths of missing module on factory parameter', () =>
+		hoverAt(0, 67).then(hover => {
+			assert.deepEqual(hover.contents, [
+				{ language: 'javascript', value: '(module) missingModule' },
+				'Module file not found, resolved from the module path to:'
+					+ `\n- \`${missingModulePath}.js\`\n- \`${path.join(missingModulePath, 'index.js')}\``
+			]);
+		})
+	);
+
+	test('should show member documentation', () =>
+		hoverAt(1, 9).then(hover => {
+			assert.deepEqual(hover.contents.slice(0, 2), [
+				{ language: 'javascript', value: '(method) documentedModule.format' },
+				'Formats a date as an ISO string'
+			]);
+		})
+	);
+
+	test('should show member documentation of immediately used require call', () =>
+		hoverAt(3, 40).then(hover => {
+			assert.equal(hover.contents[0].value, '(method) documentedModule.format');
+		})
+	);
+
+	test('should not show anything in comments and for unknown variables', () =>
+		Promise.all([hoverAt(2, 5), hoverAt(1, 20)]).then(hovers => {
+			assert.deepEqual(hovers, [undefined, undefined]);
+		})
+	);
+
+	test('should describe special dependencies without resolving them', () =>
+		workspace.openTextDocument(path.join(rootPath, 'testFiles', 'specialDependencies.js'))
+			.then(document => hoverProvider.provideHover(document, new Position(1, 13)))
+			.then(hover => {
+				assert.equal(hover.contents[0].value, '(module) exports.value');
+				assert.ok(hover.contents[1].indexOf('Special dependency') === 0);
+			})
+	);
+
+	test('should list files tried before the resolved one', () => {
+		const rootedStubs = { './workspaceResolver': { getWorkspaceRoot: () => rootPath } };
+		const { HoverProvider: RootedHoverProvider } = proxyquire('../src/hoverProvider', rootedStubs);
+		const description = new RootedHoverProvider().describeResolution({
+			kind: 'modulePath',
+			detail: [],
+			path: path.join(rootPath, 'vendor/jquery.js'),
+			trace: [
+				{ path: path.join(rootPath, 'app/jquery.js'), exists: false },
+				{ path: path.join(rootPath, 'vendor/jquery.js'), exists: true }
+			]
+		});
+
+		assert.equal(description, [
+			`Resolved from the module path to \`${path.join('vendor', 'jquery.js')}\``,
+			'',
+			'Tried before, not found:',
+			`- \`${path.join('app', 'jquery.js')}\``
+		].join('\n'));
+	});
+});
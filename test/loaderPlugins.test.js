@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { splitPluginId, getPluginRule } = require('../src/loaderPlugins');
+
+suite('splitPluginId', () => {
+	test('should split plugin and resource', () => {
+		assert.deepEqual(splitPluginId('text!templates/row.html'), { plugin: 'text', resource: 'templates/row.html' });
+	});
+
+	test('should return whole id as resource without plugin', () => {
+		assert.deepEqual(splitPluginId('moduleA'), { plugin: null, resource: 'moduleA' });
+	});
+});
+
+suite('getPluginRule', () => {
+	test('should return built-in rule', () => {
+		assert.deepEqual(getPluginRule('css'), { extension: '.css' });
+		assert.deepEqual(getPluginRule('vendor/requirejs-text/text'), { extension: '' });
+	});
+
+	test('should prefer user rules', () => {
+		assert.deepEqual(getPluginRule('hbs', { hbs: '.hbs' }), { extension: '.hbs' });
+		assert.deepEqual(getPluginRule('css', { css: '.less' }), { extension: '.less' });
+	});
+
+	test('should return null for unknown plugin', () => {
+		assert.equal(getPluginRule('hbs'), null);
+	});
+});
@@ -0,0 +1,42 @@
+const { workspace, Position, CompletionItemKind } = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '..');
+const resolver = new ModuleResolver({ rootPath, baseUrl: path.join(rootPath, 'testFiles') });
+const resolverStub = { getWorkspaceResolver: () => resolver };
+const moduleIndex = proxyquire('../src/moduleIndex', { './workspaceResolver': resolverStub });
+const providerStubs = { './moduleIndex': moduleIndex };
+const { MemberCompletionProvider } = proxyquire('../src/memberCompletionProvider', providerStubs);
+const completionProvider = new MemberCompletionProvider();
+const openTestFile = name => workspace.openTextDocument(path.join(rootPath, 'testFiles', name));
+
+suite('MemberCompletionProvider', () => {
+	test('should suggest members of module assigned to variable', () =>
+		openTestFile('basic.js')
+			.then(document => completionProvider.provideCompletionItems(document, new Position(3, 8)))
+			.then(items => {
+				assert.deepEqual(items.map(item => item.label), ['foo', 'bar', 'baz']);
+				assert.equal(items[0].kind, CompletionItemKind.Method);
+				assert.equal(items[0].detail, 'moduleA');
+			})
+	);
+
+	test('should suggest members of inline required module', () =>
+		openTestFile('inlineRequireProperty.js')
+			.then(document => completionProvider.provideCompletionItems(document, new Position(2, 12)))
+			.then(items => {
+				assert.deepEqual(items.map(item => item.label), ['prop']);
+				assert.equal(items[0].kind, CompletionItemKind.Property);
+			})
+	);
+
+	test('should suggest nothing for unknown variables', () =>
+		openTestFile('basic.js')
+			.then(document => completionProvider.provideCompletionItems(document, new Position(1, 7)))
+			.then(items => {
+				assert.deepEqual(items, []);
+			})
+	);
+});
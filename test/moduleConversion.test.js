@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { analyzeModules } = require('../src/moduleAnalysis');
+const { convertToCommonJs, convertToDependencyArray } = require('../src/moduleConversion');
+const applyEdits = (str, edits) => edits && edits
+	.slice()
+	.sort((a, b) => b.start - a.start)
+	.reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), str);
+const firstModule = str => analyzeModules(str).modules[0];
+const toCommonJs = str => applyEdits(str, convertToCommonJs(str, firstModule(str)));
+const toDependencyArray = str => applyEdits(str, convertToDependencyArray(str, firstModule(str)));
+
+suite('convertToCommonJs', () => {
+	test('should declare parameters as variables with the same names', () => {
+		assert.equal(
+			toCommonJs('define([\'a\', "b"], function (a, b) {\n\ta(b);\n});'),
+			'define(function (require) {\n\tvar a = require(\'a\');\n\tvar b = require("b");\n\ta(b);\n});'
+		);
+	});
+
+	test('should keep dependencies loaded for side effects after directives', () => {
+		assert.equal(
+			toCommonJs('define([\'a\', \'css!b\'], function (a) {\n    \'use strict\';\n    a();\n});'),
+			'define(function (require) {\n    \'use strict\';\n    var a = require(\'a\');\n'
+				+ '    require(\'css!b\');\n    a();\n});'
+		);
+	});
+
+	test('should turn special dependencies into parameters', () => {
+		assert.equal(
+			toCommonJs('define([\'exports\', \'module\', \'a\'], function (exp, mod, a) {\n\texp.a = a;\n});'),
+			'define(function (require, exp, mod) {\n\tvar a = require(\'a\');\n\texp.a = a;\n});'
+		);
+		assert.equal(
+			toCommonJs('define([\'require\'], function (req) {\n\treq([\'a\']);\n});'),
+			'define(function (require) {\n\tvar req = require;\n\treq([\'a\']);\n});'
+		);
+	});
+
+	test('should keep module name and wrap expression bodies', () => {
+		assert.equal(
+			toCommonJs('define(\'name\', [\'a\'], a => a.b);'),
+			'define(\'name\', require => {\n\tvar a = require(\'a\');\n\treturn a.b;\n});'
+		);
+	});
+
+	test('should not convert require calls and unmatched parameters', () => {
+		const str = 'require([\'a\'], function (a) {});';
+
+		assert.equal(convertToCommonJs(str, firstModule(str)), null);
+		assert.equal(toCommonJs('define([\'a\'], function (a, b) {});'), null);
+		assert.equal(toCommonJs('define(function (require) {});'), null);
+	});
+});
+
+suite('convertToDependencyArray', () => {
+	test('should turn declarations into dependencies with the same names', () => {
+		const input = fs.readFileSync(path.join(__dirname, '../testFiles/inlineRequire.js'), 'utf8');
+
+		assert.equal(toDependencyArray(input), 'define([\'moduleA\'], function(moduleA) {\n});');
+	});
+
+	test('should keep dependencies loaded for side effects at the end', () => {
+		assert.equal(
+			toDependencyArray('define(function (require) {\n\trequire(\'css!b\');\n'
+				+ '\tvar a = require(\'a\');\n\ta();\n});'),
+			'define([\'a\', \'css!b\'], function (a) {\n\ta();\n});'
+		);
+	});
+
+	test('should keep other require calls and load their modules beforehand', () => {
+		assert.equal(
+			toDependencyArray('define(require => {\n\tvar a = require(\'a\'), { b } = require(\'b\');\n'
+				+ '\tif (a) {\n\t\trequire(\'c\').d(b);\n\t}\n});'),
+			'define([\'require\', \'a\', \'b\', \'c\'], (require, a, { b }) => {\n'
+				+ '\tif (a) {\n\t\trequire(\'c\').d(b);\n\t}\n});'
+		);
+	});
+
+	test('should keep used special dependencies', () => {
+		assert.equal(
+			toDependencyArray('define(function (require, exports, module) {\n\texports.a = require("a");\n});'),
+			'define(["require", "exports", "a"], function (require, exports) {\n\texports.a = require("a");\n});'
+		);
+	});
+
+	test('should convert back to the original form', () => {
+		const str = 'define([\'a\', \'b\', \'c\'], function (a, b) {\n\treturn a(b);\n});';
+
+		assert.equal(toDependencyArray(toCommonJs(str)), str);
+	});
+
+	test('should not convert modules with dependency array or without parameters', () => {
+		assert.equal(toDependencyArray('define([\'a\'], function (a) {});'), null);
+		assert.equal(toDependencyArray('define(function () {});'), null);
+	});
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { findModuleProblems } = require('../src/moduleDiagnostics');
+const isResolvable = id => id !== 'missing';
+const describe = (str, problems) => problems.map(problem => `${problem.code}:${str.slice(problem.start, problem.end)}`);
+
+suite('findModuleProblems', () => {
+	test('should report dependencies which can not be resolved', () => {
+		const input = 'define([\'moduleA\', \'missing\', \'require\'], function () { require(\'missing\'); });';
+		const problems = findModuleProblems(input, isResolvable);
+
+		assert.deepEqual(describe(input, problems), ['unresolved-module:\'missing\'', 'unresolved-module:\'missing\'']);
+		assert.equal(problems[0].message, 'Module \'missing\' can not be resolved to a file');
+		assert.equal(problems[0].severity, 'warning');
+	});
+
+	test('should report parameters without dependency', () => {
+		const input = 'require([\'moduleA\'], function (a, b, { c }) {});';
+
+		assert.deepEqual(describe(input, findModuleProblems(input, isResolvable)), [
+			'missing-dependency:b',
+			'missing-dependency:{ c }'
+		]);
+	});
+
+	test('should not report parameters of factories without dependency list', () => {
+		assert.deepEqual(findModuleProblems('define(function (require, exports, module) {});', isResolvable), []);
+	});
+
+	test('should report duplicate dependencies', () => {
+		const input = 'define([\'moduleA\', \'moduleB\', "moduleA"], function (a, b, c) {});';
+
+		assert.deepEqual(describe(input, findModuleProblems(input, isResolvable)), ['duplicate-dependency:"moduleA"']);
+	});
+
+	test('should report define and require calls in comments', () => {
+		const input = `// define(['moduleA'], function (a) {
+			/*
+			 * require(['moduleB']);
+			 */
+			/** Use require('moduleA') for this */
+			// Call define() once
+			define({});`;
+		const problems = findModuleProblems(input, isResolvable);
+
+		assert.deepEqual(describe(input, problems), ['commented-module:define', 'commented-module:require']);
+		assert.equal(problems[0].severity, 'information');
+	});
+});
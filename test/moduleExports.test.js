@@ -0,0 +1,134 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { getModuleExports, findMemberUsages } = require('../src/moduleExports');
+const summarize = members => members.map(member => (member.isPrototype ? '#' : '') + member.name);
+
+suite('getModuleExports', () => {
+	test('should return members of returned object literal', () => {
+		const input = fs.readFileSync(path.join(__dirname, '../testFiles/moduleA.js'), 'utf8');
+		const result = getModuleExports(input);
+
+		assert.equal(result.kind, 'object');
+		assert.deepEqual(summarize(result.members), ['foo', 'bar', 'baz']);
+		assert.deepEqual(result.members[0], {
+			name: 'foo',
+			start: 52,
+			end: 55,
+			kind: 'method',
+			isPrototype: false,
+			shorthand: false,
+			documentation: ''
+		});
+	});
+
+	test('should return static and prototype members of returned constructor', () => {
+		const input = `define(function () {
+			function Widget() {}
+			Widget.create = function () {};
+			/**
+			 * Renders the widget
+			 */
+			Widget.prototype.render = function () {};
+			Widget.prototype.el = null;
+			return Widget;
+		});`;
+		const result = getModuleExports(input);
+
+		assert.equal(result.kind, 'constructor');
+		assert.deepEqual(summarize(result.members), ['create', '#render', '#el']);
+		assert.equal(result.members[1].documentation, 'Renders the widget');
+		assert.equal(result.members[2].kind, 'property');
+	});
+
+	test('should return prototype members of class and object assigned to prototype', () => {
+		const input = `define(() => {
+			class A { static create() {} render() {} }
+			function B() {}
+			B.prototype = { render: function () {} };
+			return { A: A, B: B };
+		});`;
+
+		assert.deepEqual(summarize(getModuleExports(input).members), ['A', 'B']);
+		assert.deepEqual(
+			summarize(getModuleExports(input.replace('{ A: A, B: B }', 'A')).members),
+			['create', '#render']
+		);
+		assert.deepEqual(summarize(getModuleExports(input.replace('{ A: A, B: B }', 'B')).members), ['#render']);
+	});
+
+	test('should return prototype members of returned instance as members', () => {
+		const input = 'define(() => { class A { static create() {} render() {} } return new A(); });';
+		const result = getModuleExports(input);
+
+		assert.equal(result.kind, 'instance');
+		assert.deepEqual(summarize(result.members), ['render']);
+	});
+
+	test('should return exports assignments', () => {
+		const input = 'define(function (require, exports) { exports.a = 1; exports.b = function () {}; });';
+
+		assert.deepEqual(summarize(getModuleExports(input).members), ['a', 'b']);
+	});
+
+	test('should return members of module.exports object', () => {
+		const input = 'define(function (require, exports, module) { module.exports = { a: 1 }; });';
+
+		assert.deepEqual(summarize(getModuleExports(input).members), ['a']);
+	});
+
+	test('should follow the parameters the special dependencies are bound to', () => {
+		const listed = 'define([\'dep\', \'exports\'], function (dep, out) { out.a = 1; exports.b = 2; });';
+		const unbound = 'define([\'dep\'], function (dep) { exports.a = 1; });';
+
+		assert.deepEqual(summarize(getModuleExports(listed).members), ['a']);
+		assert.deepEqual(summarize(getModuleExports(unbound).members), []);
+	});
+
+	test('should return members added to a value assigned to module.exports', () => {
+		const input = 'define(function (require, exports, module) { '
+			+ 'module.exports = function () {}; module.exports.a = 1; });';
+		const result = getModuleExports(input);
+
+		assert.equal(result.kind, 'constructor');
+		assert.deepEqual(summarize(result.members), ['a']);
+	});
+
+	test('should return members of object module and arrow function result', () => {
+		assert.deepEqual(summarize(getModuleExports('define({ a: 1, b() {} });').members), ['a', 'b']);
+		assert.deepEqual(summarize(getModuleExports('define([], () => ({ a: 1 }));').members), ['a']);
+	});
+
+	test('should return documentation of returned value, its declaration or the define call', () => {
+		const declared = 'define(() => { /** Widget */ function A() {} /** Not this */ return A; });';
+		const returned = 'define(() => { /** Widget */ return {}; });';
+		const defined = '/** Widget */ define(() => { return {}; });';
+
+		assert.equal(getModuleExports(declared).documentation, 'Widget');
+		assert.equal(getModuleExports(returned).documentation, 'Widget');
+		assert.equal(getModuleExports(defined).documentation, 'Widget');
+		assert.equal(getModuleExports('define({});').documentation, '');
+	});
+
+	test('should not return members of nested functions', () => {
+		const input = 'define(function () { function helper() { return { a: 1 }; } return { b: helper }; });';
+
+		assert.deepEqual(summarize(getModuleExports(input).members), ['b']);
+	});
+});
+
+suite('findMemberUsages', () => {
+	test('should find the member on the exported variable', () => {
+		const input = 'define(function () {\n\tvar api = { a: 1 };\n\n'
+			+ '\tapi.a += 1;\n\tother.a = api.a;\n\n\treturn api;\n});';
+		const slice = range => `${input.slice(range.start, range.end)}@${range.start}`;
+
+		assert.deepEqual(findMemberUsages(input, 'a').map(slice), ['a@48', 'a@71']);
+	});
+
+	test('should find the member on exports of CommonJS wrappers', () => {
+		const input = 'define(function (require, out) { out.a = 1; out.b = out.a; });';
+
+		assert.deepEqual(findMemberUsages(input, 'a').map(range => range.start), [37, 56]);
+	});
+});
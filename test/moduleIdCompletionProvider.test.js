@@ -0,0 +1,84 @@
+const { workspace, Position, Uri } = require('vscode');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { ModuleIdCompletionProvider } = require('../src/moduleIdCompletionProvider');
+const { ModuleResolver } = require('../src/moduleResolver');
+const completionProvider = new ModuleIdCompletionProvider();
+const scripts = path.join(__dirname, '../testFiles/requireConfig/scripts');
+const resolver = new ModuleResolver({ rootPath: scripts, baseUrl: scripts });
+const moduleRoots = path.join(__dirname, '../testFiles/moduleRoots');
+
+suite('ModuleIdCompletionProvider', () => {
+	test('should list sibling modules for ./ prefix', () => {
+		const entries = completionProvider.getRelativeEntries(resolver, path.join(scripts, 'app/main.js'), './');
+
+		assert.deepEqual(entries.map(entry => entry.id), ['./legacy']);
+	});
+
+	test('should list modules and directories for ../ prefix', () => {
+		const entries = completionProvider.getRelativeEntries(resolver, path.join(scripts, 'app/main.js'), '../wi');
+		const ids = entries.map(entry => entry.id);
+
+		assert.ok(ids.indexOf('../main') !== -1);
+		assert.ok(ids.indexOf('../widgets/') !== -1);
+		assert.equal(entries.find(entry => entry.id === '../widgets/').isDirectory, true);
+	});
+
+	test('should list modules with the configured extensions', () => {
+		const jsxResolver = new ModuleResolver({ rootPath: moduleRoots, extensions: ['.js', '.jsx'] });
+		const entries = completionProvider.getRelativeEntries(jsxResolver, path.join(moduleRoots, 'app/main.js'), './');
+
+		assert.deepEqual(entries.map(entry => entry.id).sort(), ['./components/', './util', './widget']);
+	});
+
+	test('should skip broken symbolic links', () => {
+		const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'requirejs-completion-'));
+
+		fs.writeFileSync(path.join(directory, 'main.js'), '');
+		fs.writeFileSync(path.join(directory, 'other.js'), '');
+		fs.symlinkSync(path.join(directory, 'missing.js'), path.join(directory, 'broken.js'));
+
+		try {
+			const entries = completionProvider.getRelativeEntries(resolver, path.join(directory, 'main.js'), './');
+
+			assert.deepEqual(entries.map(entry => entry.id), ['./other']);
+		} finally {
+			fs.readdirSync(directory).forEach(name => fs.unlinkSync(path.join(directory, name)));
+			fs.rmdirSync(directory);
+		}
+	});
+
+	test('should list indexed modules of the workspace folder', () => {
+		const files = ['app/main.js', 'app/legacy.js', 'lib/templates/row.html', '../moduleA.js']
+			.map(file => Uri.file(path.join(scripts, file)));
+		const indexStub = { findModuleFiles: () => Promise.resolve(files) };
+		const indexed = proxyquire('../src/moduleIdCompletionProvider', { './moduleIndex': indexStub });
+
+		return new indexed.ModuleIdCompletionProvider()
+			.getModuleEntries(resolver, path.join(scripts, 'app/main.js'))
+			.then(entries => {
+				assert.deepEqual(entries.map(entry => entry.id), ['app/legacy']);
+			});
+	});
+
+	test('should return nothing outside of module id strings', () =>
+		workspace.openTextDocument(path.join(scripts, 'app/main.js'))
+			.then(document => completionProvider.provideCompletionItems(document, new Position(1, 6)))
+			.then(items => {
+				assert.deepEqual(items, []);
+			})
+	);
+
+	test('should suggest relative ids replacing the typed id', () =>
+		workspace.openTextDocument(path.join(scripts, 'app/main.js'))
+			.then(document => completionProvider.provideCompletionItems(document, new Position(0, 32)))
+			.then(items => {
+				assert.deepEqual(items.map(item => item.label), ['./legacy']);
+				assert.equal(items[0].textEdit.range._start._character, 30);
+				assert.equal(items[0].textEdit.newText, './legacy');
+			})
+	);
+});
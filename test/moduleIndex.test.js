@@ -0,0 +1,185 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const proxyquire = require('proxyquire');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '..');
+const testFiles = path.join(rootPath, 'testFiles');
+const resolver = new ModuleResolver({ rootPath, baseUrl: testFiles });
+const storagePath = path.join(os.tmpdir(), 'requirejs-module-index');
+const cachePath = path.join(storagePath, 'moduleIndex.json');
+const watcherStub = {
+	onDidCreate: sinon.stub(),
+	onDidChange: sinon.stub(),
+	onDidDelete: sinon.stub(),
+	dispose: sinon.stub()
+};
+const vscodeStub = {
+	workspace: {
+		textDocuments: [],
+		findFiles: () => Promise.resolve(['moduleA.js', 'moduleB.js', 'multipleModules.js']
+			.map(file => vscode.Uri.file(path.join(testFiles, file)))),
+		getConfiguration: () => ({ get: () => undefined }),
+		createFileSystemWatcher: () => watcherStub,
+		onDidChangeConfiguration: sinon.stub().returns({ dispose: sinon.stub() }),
+		openTextDocument: sinon.stub().rejects(new Error('Indexed files are not opened'))
+	}
+};
+let workspaceResolver = resolver;
+const resolverStub = {
+	getWorkspaceResolver: () => workspaceResolver,
+	getFolderResolvers: () => [workspaceResolver]
+};
+const { findModuleSymbols, ModuleIndex, getWorkspaceIndex, loadModuleExports } = proxyquire('../src/moduleIndex', {
+	'vscode': vscodeStub,
+	'./workspaceResolver': resolverStub
+});
+const moduleA = path.join(testFiles, 'moduleA.js');
+const getMemberNames = module => module.exports.members.map(member => member.name);
+
+suite('moduleIndex', () => {
+	teardown(() => {
+		vscodeStub.workspace.textDocuments = [];
+		workspaceResolver = resolver;
+		if (fs.existsSync(cachePath)) {
+			fs.unlinkSync(cachePath);
+		}
+	});
+
+	test('should list named and anonymous modules with their exports', () => {
+		const str = 'define(\'named\', { a: 1 });\ndefine(function () {\n\treturn { b: function () {} };\n});';
+		const modules = findModuleSymbols(str);
+
+		assert.deepEqual(modules.map(module => [module.name, str.slice(module.start, module.end)]), [
+			['named', '\'named\''],
+			[null, 'define']
+		]);
+		assert.deepEqual(getMemberNames(modules[0]), ['a']);
+		assert.equal(modules[1].exports, null);
+		assert.deepEqual(getMemberNames(findModuleSymbols(str.slice(str.indexOf('\n') + 1))[0]), ['b']);
+	});
+
+	test('should index dependencies, modules and members with line and character ranges', () => {
+		const index = new ModuleIndex();
+
+		return index.load().then(() => {
+			const entry = index.files.get(path.join(testFiles, 'multipleModules.js'));
+
+			assert.deepEqual(entry.dependencies, ['moduleA', 'moduleB', 'moduleC', 'moduleD']);
+			assert.equal(entry.dependencyPaths.moduleA, moduleA);
+			assert.strictEqual(entry.dependencyPaths.moduleD, null);
+			assert.deepEqual(entry.modules.map(module => module.name), ['myName', null]);
+			assert.deepEqual(index.getModules().map(module => module.id), [
+				'moduleA',
+				'moduleB',
+				'myName',
+				'multipleModules'
+			]);
+			assert.deepEqual(index.getModule(moduleA).exports.members[2].range, {
+				start: { line: 8, character: 8 },
+				end: { line: 8, character: 11 }
+			});
+			assert.strictEqual(index.load(), index.loading);
+		});
+	});
+
+	test('should strip configured extensions from ids of anonymous modules', () => {
+		const index = new ModuleIndex();
+		const jsxResolver = new ModuleResolver({ rootPath, extensions: ['.jsx', '.js'] });
+
+		assert.equal(index.getDefaultId(path.join(rootPath, 'views/list.jsx'), jsxResolver), 'views/list');
+	});
+
+	test('should update the index when files change', () => {
+		const index = new ModuleIndex();
+
+		return index.load()
+			.then(() => {
+				index.addFile(moduleA, 'define(function () { return { qux: 1 }; });');
+				assert.deepEqual(getMemberNames(index.getModule(moduleA)), ['qux']);
+
+				const dependent = index.files.get(path.join(testFiles, 'multipleModules.js'));
+
+				dependent.dependencyPaths.moduleA = null;
+				watcherStub.onDidCreate.lastCall.args[0](vscode.Uri.file(path.join(testFiles, 'unrelated.js')));
+				assert.strictEqual(dependent.dependencyPaths.moduleA, null);
+				watcherStub.onDidCreate.lastCall.args[0](vscode.Uri.file(path.join(testFiles, 'moduleD.js')));
+				assert.equal(dependent.dependencyPaths.moduleA, moduleA);
+
+				watcherStub.onDidDelete.lastCall.args[0](vscode.Uri.file(moduleA));
+				assert.equal(index.getModule(moduleA), undefined);
+
+				return watcherStub.onDidChange.lastCall.args[0](vscode.Uri.file(moduleA));
+			})
+			.then(() => {
+				assert.deepEqual(getMemberNames(index.getModule(moduleA)), ['foo', 'bar', 'baz']);
+				index.dispose();
+				assert.ok(watcherStub.dispose.called);
+			});
+	});
+
+	test('should resolve files again when the configuration changes', () => {
+		const index = new ModuleIndex();
+		const dependentPath = path.join(testFiles, 'multipleModules.js');
+		const watcherCount = watcherStub.onDidCreate.callCount;
+
+		return index.load()
+			.then(() => {
+				workspaceResolver = new ModuleResolver({ rootPath, baseUrl: testFiles, paths: { moduleD: 'moduleA' } });
+				vscodeStub.workspace.onDidChangeConfiguration.lastCall.args[0]({ affectsConfiguration: () => true });
+
+				return index.load();
+			})
+			.then(() => {
+				assert.equal(index.files.get(dependentPath).dependencyPaths.moduleD, moduleA);
+				assert.equal(watcherStub.onDidCreate.callCount, watcherCount + 2);
+				index.dispose();
+			});
+	});
+
+	test('should leave out files with unsaved changes', () => {
+		const index = new ModuleIndex();
+
+		index.addFile(moduleA, fs.readFileSync(moduleA, 'utf8'));
+		vscodeStub.workspace.textDocuments = [{ fileName: moduleA, isDirty: true }];
+
+		assert.equal(index.getFileEntry(moduleA), undefined);
+	});
+
+	test('should reuse cached entries of files which did not change', () => {
+		const index = new ModuleIndex();
+
+		return index.load(storagePath)
+			.then(() => {
+				const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+
+				assert.deepEqual(Object.keys(cache.files).length, 3);
+				cache.files[moduleA].modules[0].name = 'cached';
+				fs.writeFileSync(cachePath, JSON.stringify(cache));
+
+				return new ModuleIndex().load(storagePath);
+			})
+			.then(cachedIndex => {
+				assert.equal(cachedIndex.getModule(moduleA).name, 'cached');
+				assert.equal(cachedIndex.isCacheOutdated, false);
+				index.dispose();
+			});
+	});
+
+	test('should read exports of indexed modules without opening them', () => {
+		const index = getWorkspaceIndex();
+
+		index.addFile(moduleA, 'define(\'moduleA\', { indexed: 1 });');
+
+		return loadModuleExports('moduleA', path.join(testFiles, 'moduleB.js')).then(result => {
+			const { resolution, exports: moduleExports } = result;
+
+			assert.equal(resolution.path, moduleA);
+			assert.deepEqual(moduleExports.members.map(member => member.name), ['indexed']);
+			assert.ok(!vscodeStub.workspace.openTextDocument.called);
+		});
+	});
+});
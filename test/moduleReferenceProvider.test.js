@@ -0,0 +1,94 @@
+const { workspace, Position, Uri } = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '..');
+const testFiles = path.join(rootPath, 'testFiles');
+const resolver = new ModuleResolver({ rootPath, baseUrl: testFiles });
+const resolverStub = { getWorkspaceResolver: () => resolver };
+const providerStubs = { './workspaceResolver': resolverStub };
+const { ModuleReferenceProvider } = proxyquire('../src/moduleReferenceProvider', providerStubs);
+const referenceProvider = new ModuleReferenceProvider();
+const moduleA = path.join(testFiles, 'moduleA.js');
+const uris = ['basic.js', 'newConstructor.js', 'moduleA.js', 'moduleC.js']
+	.map(name => Uri.file(path.join(testFiles, name)));
+const openTestFile = name => workspace.openTextDocument(path.join(testFiles, name));
+const describe = locations => locations.map(location => [
+	path.basename(location.uri.fsPath),
+	location.range.start.line,
+	location.range.start.character
+].join(':'));
+
+suite('ModuleReferenceProvider', () => {
+	test('should target dependency used at position', () =>
+		openTestFile('basic.js').then(document => {
+			assert.deepEqual(
+				referenceProvider.findTarget(document, new Position(3, 9)),
+				{ path: moduleA, member: 'baz' }
+			);
+			assert.deepEqual(
+				referenceProvider.findTarget(document, new Position(0, 24)),
+				{ path: path.join(testFiles, 'moduleB.js'), member: null }
+			);
+		})
+	);
+
+	test('should target module and its member in module file', () =>
+		openTestFile('moduleA.js').then(document => {
+			const findTarget = (line, column) => referenceProvider.findTarget(document, new Position(line, column));
+
+			assert.deepEqual(findTarget(5, 10), { path: moduleA, member: 'bar' });
+			assert.deepEqual(findTarget(0, 2), { path: moduleA, member: null });
+		})
+	);
+
+	test('should find modules depending on module and usages of their parameters', () =>
+		referenceProvider.findReferences({ path: moduleA, member: null }, uris)
+			.then(locations => {
+				assert.deepEqual(describe(locations), [
+					'basic.js:0:10',
+					'basic.js:0:41',
+					'basic.js:1:14',
+					'newConstructor.js:0:19',
+					'newConstructor.js:0:50',
+					'newConstructor.js:1:18'
+				]);
+			})
+	);
+
+	test('should find member usages and declaration', () =>
+		openTestFile('moduleA.js')
+			.then(document => referenceProvider.findDeclaration({ path: document.fileName, member: 'bar' }))
+			.then(declaration => {
+				assert.deepEqual(describe([declaration]), ['moduleA.js:5:8']);
+
+				return referenceProvider.findReferences({ path: moduleA, member: 'bar' }, uris);
+			})
+			.then(locations => {
+				assert.deepEqual(describe(locations), ['newConstructor.js:2:8']);
+			})
+	);
+
+	test('should skip files which the module index lists without a dependency on the module', () => {
+		const moduleIndex = proxyquire('../src/moduleIndex', { './workspaceResolver': resolverStub });
+		const index = moduleIndex.getWorkspaceIndex();
+		const { ModuleReferenceProvider: IndexedProvider } = proxyquire('../src/moduleReferenceProvider', {
+			'./workspaceResolver': resolverStub,
+			'./moduleIndex': moduleIndex
+		});
+
+		index.addFile(path.join(testFiles, 'basic.js'), 'define([\'moduleB\'], function (b) {});');
+		index.addFile(moduleA, 'define({\n\tindexed: 1\n});');
+
+		return new IndexedProvider().findReferences({ path: moduleA, member: null }, uris)
+			.then(locations => {
+				assert.ok(describe(locations).every(location => location.indexOf('newConstructor.js') === 0));
+
+				return new IndexedProvider().findDeclaration({ path: moduleA, member: 'indexed' });
+			})
+			.then(declaration => {
+				assert.deepEqual(describe([declaration]), ['moduleA.js:1:1']);
+			});
+	});
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { findModuleReferences } = require('../src/moduleReferences');
+const isModuleA = id => id === 'moduleA' || id === './moduleA';
+const slice = (str, ranges) => ranges.map(range => str.slice(range.start, range.end) + '@' + range.start);
+
+suite('findModuleReferences', () => {
+	test('should find dependency ids and usages of factory parameters', () => {
+		const input = 'define([\'moduleA\', \'moduleB\'], function (a, b) { a.foo(); return b(a); });';
+
+		assert.deepEqual(
+			slice(input, findModuleReferences(input, isModuleA, null)),
+			['moduleA@9', 'a@41', 'a@49', 'a@67']
+		);
+	});
+
+	test('should find inline require bindings in their module only', () => {
+		const input = `define(function (require) { var x = require('./moduleA'); x(); });
+			define(function () { x(); });`;
+
+		assert.deepEqual(slice(input, findModuleReferences(input, isModuleA, null)), ['x@32', './moduleA@45', 'x@58']);
+	});
+
+	test('should skip variables shadowing factory parameters', () => {
+		const input = `define(['moduleA'], function (a) {
+			function inner (a) { return a; }
+			return { a, b: a.b };
+		});`;
+
+		assert.deepEqual(
+			slice(input, findModuleReferences(input, isModuleA, null)),
+			['moduleA@9', 'a@30', 'a@83', 'a@89']
+		);
+	});
+
+	test('should find member usages on parameters, instances and require calls', () => {
+		const input = `require(['moduleA', 'moduleB'], function (a, b) {
+			var foo = new a();
+			foo.bar();
+			a.bar;
+			b.bar;
+			require('moduleA').bar();
+			a.baz();
+		});`;
+		const ranges = findModuleReferences(input, isModuleA, 'bar');
+
+		assert.equal(ranges.length, 3);
+		ranges.forEach(range => assert.equal(input.slice(range.start, range.end), 'bar'));
+		assert.equal(input.slice(ranges[2].start - 19, ranges[2].start), 'require(\'moduleA\').');
+	});
+
+	test('should ignore modules which do not depend on target', () => {
+		const input = 'define([\'moduleB\'], function (a) { a.bar(); });';
+
+		assert.deepEqual(findModuleReferences(input, isModuleA, 'bar'), []);
+		assert.deepEqual(findModuleReferences('define(function () {});', isModuleA, null), []);
+	});
+});
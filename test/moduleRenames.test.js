@@ -0,0 +1,73 @@
+const assert = require('assert');
+const path = require('path');
+const { loadRequireConfig } = require('../src/requireConfig');
+const { ModuleResolver } = require('../src/moduleResolver');
+const { createPathMapper, findModuleIdUpdates } = require('../src/moduleRenames');
+const rootPath = path.join(__dirname, '../testFiles/requireConfig');
+const scripts = path.join(rootPath, 'scripts');
+const resolver = new ModuleResolver(loadRequireConfig({ rootPath }));
+const mainPath = path.join(scripts, 'app/main.js');
+const update = (source, renames) => findModuleIdUpdates(source, mainPath, renames, resolver)
+	.map(({ start, end, value }) => `${source.slice(start, end)} → ${value}`);
+
+suite('moduleRenames', () => {
+	test('createPathMapper should map renamed files and files in renamed directories', () => {
+		const movePath = createPathMapper([
+			{ oldPath: path.join(scripts, 'app/legacy.js'), newPath: path.join(scripts, 'app/old.js') },
+			{ oldPath: path.join(scripts, 'lib'), newPath: path.join(scripts, 'vendor') }
+		]);
+
+		assert.equal(movePath(path.join(scripts, 'app/legacy.js')), path.join(scripts, 'app/old.js'));
+		assert.equal(movePath(path.join(scripts, 'lib/nls/messages.js')), path.join(scripts, 'vendor/nls/messages.js'));
+		assert.equal(movePath(path.join(scripts, 'library.js')), path.join(scripts, 'library.js'));
+	});
+
+	test('should update relative ids of moved module', () => {
+		const renames = [{
+			oldPath: path.join(scripts, 'app/legacy.js'),
+			newPath: path.join(scripts, 'app/old/legacy.js')
+		}];
+
+		const source = 'define(["./legacy", "jquery"], function () {});';
+
+		assert.deepEqual(update(source, renames), ['./legacy → ./old/legacy']);
+	});
+
+	test('should update ids rooted at module path', () => {
+		const renames = [{
+			oldPath: path.join(scripts, 'lib/vendor/jquery.js'),
+			newPath: path.join(scripts, 'lib/jquery/jquery.js')
+		}];
+
+		assert.deepEqual(update('require("vendor/jquery");', renames), ['vendor/jquery → jquery/jquery']);
+	});
+
+	test('should update relative ids in moved module', () => {
+		const renames = [{ oldPath: mainPath, newPath: path.join(scripts, 'app/main/main.js') }];
+
+		assert.deepEqual(
+			update('define(["./legacy", "widgets", "text!./row.html"], function () {});', renames),
+			['./legacy → ../legacy']
+		);
+	});
+
+	test('should update resources of loader plugins and keep written extensions', () => {
+		const renames = [{ oldPath: path.join(scripts, 'lib/templates'), newPath: path.join(scripts, 'lib/views') }];
+		const source = 'define(["text!templates/row.html", "templates/row.html"], function () {});';
+
+		assert.deepEqual(update(source, renames), ['text!templates/row.html → text!views/row.html']);
+		assert.deepEqual(
+			update('define(["i18n!nls/messages", "nls/messages.js"]);', [{
+				oldPath: path.join(scripts, 'lib/nls'),
+				newPath: path.join(scripts, 'lib/i18n')
+			}]),
+			['i18n!nls/messages → i18n!i18n/messages', 'nls/messages.js → i18n/messages.js']
+		);
+	});
+
+	test('should not update ids of modules which are not moved', () => {
+		const renames = [{ oldPath: path.join(scripts, 'widgets'), newPath: path.join(scripts, 'components') }];
+
+		assert.deepEqual(update('define(["jquery", "./legacy", "app/legacy"]);', renames), []);
+	});
+});
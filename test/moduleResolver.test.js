@@ -0,0 +1,211 @@
+const assert = require('assert');
+const path = require('path');
+const { loadRequireConfig } = require('../src/requireConfig');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '../testFiles/requireConfig');
+const scripts = path.join(rootPath, 'scripts');
+const moduleResolver = new ModuleResolver(loadRequireConfig({ rootPath }));
+const jsCandidates = location => [location + '.js', path.join(location, 'index.js')];
+const moduleRoots = path.join(__dirname, '../testFiles/moduleRoots');
+const rootsResolver = new ModuleResolver(Object.assign(loadRequireConfig({
+	rootPath: moduleRoots,
+	modulePath: ['app', 'bower_components', 'vendor']
+}), { extensions: ['.js', '.jsx'] }));
+const packagesRoot = path.join(__dirname, '../testFiles/packages');
+const packagesResolver = new ModuleResolver({ rootPath: packagesRoot, baseUrl: path.join(packagesRoot, 'scripts') });
+
+suite('ModuleResolver', () => {
+	test('should resolve id relative to baseUrl', () => {
+		const result = moduleResolver.resolve('util/dom', path.join(scripts, 'app/main.js'));
+
+		assert.equal(result.kind, 'modulePath');
+		assert.deepEqual(result.candidates, jsCandidates(path.join(scripts, 'lib/util/dom')));
+	});
+
+	test('should resolve relative id against referencing module', () => {
+		const result = moduleResolver.resolveFile('./legacy', path.join(scripts, 'app/main.js'));
+
+		assert.equal(result.kind, 'relative');
+		assert.equal(result.id, 'app/legacy');
+		assert.equal(result.path, path.join(scripts, 'app/legacy.js'));
+	});
+
+	test('should resolve relative id next to file outside of baseUrl', () => {
+		const result = moduleResolver.resolve('./other', path.join(rootPath, 'test/spec.js'));
+
+		assert.deepEqual(result.candidates, jsCandidates(path.join(rootPath, 'test/other')));
+	});
+
+	test('should try paths fallbacks in order', () => {
+		const result = moduleResolver.resolveFile('jquery', path.join(scripts, 'app/main.js'));
+
+		assert.equal(result.kind, 'alias');
+		assert.deepEqual(result.candidates, jsCandidates(path.join(scripts, 'lib/vendor/jquery')));
+		assert.equal(result.path, path.join(scripts, 'lib/vendor/jquery.js'));
+	});
+
+	test('should resolve package main and package modules', () => {
+		assert.deepEqual(
+			moduleResolver.resolve('widgets', path.join(scripts, 'app/main.js')).candidates,
+			jsCandidates(path.join(scripts, 'widgets/index'))
+		);
+		assert.deepEqual(
+			moduleResolver.resolve('widgets/button', path.join(scripts, 'app/main.js')).candidates,
+			jsCandidates(path.join(scripts, 'widgets/button'))
+		);
+		assert.deepEqual(
+			moduleResolver.resolve('dojo', path.join(scripts, 'app/main.js')).candidates,
+			jsCandidates(path.join(scripts, 'lib/dojo/main'))
+		);
+	});
+
+	test('should apply star map', () => {
+		const result = moduleResolver.resolve('underscore', path.join(scripts, 'app/main.js'));
+
+		assert.equal(result.id, 'lodash');
+		assert.deepEqual(result.candidates, jsCandidates(path.join(scripts, 'lib/lodash')));
+	});
+
+	test('should prefer map of referencing module over star map', () => {
+		const result = moduleResolver.resolve('underscore', path.join(scripts, 'app/legacy.js'));
+
+		assert.equal(result.id, 'lodash');
+		assert.equal(moduleResolver.resolve('lodash', path.join(scripts, 'app/legacy.js')).id, 'vendor/lodash-legacy');
+	});
+
+	test('should not apply configuration to plain paths', () => {
+		const result = moduleResolver.resolve('app/main.js', path.join(scripts, 'app/legacy.js'));
+
+		assert.deepEqual(result.candidates, [path.join(scripts, 'lib/app/main.js')]);
+	});
+
+	test('should resolve text plugin resource as-is', () => {
+		const result = moduleResolver.resolveFile('text!templates/row.html', path.join(scripts, 'app/main.js'));
+
+		assert.equal(result.plugin, 'text');
+		assert.equal(result.path, path.join(scripts, 'lib/templates/row.html'));
+	});
+
+	test('should resolve css plugin resource with extension', () => {
+		const result = moduleResolver.resolve('css!styles/main', path.join(scripts, 'app/main.js'));
+
+		assert.deepEqual(result.candidates, [path.join(scripts, 'lib/styles/main.css')]);
+	});
+
+	test('should resolve i18n root bundle and list locales', () => {
+		const result = moduleResolver.resolveFile('i18n!nls/messages', path.join(scripts, 'app/main.js'));
+
+		assert.equal(result.path, path.join(scripts, 'lib/nls/messages.js'));
+		assert.deepEqual(result.variants, [
+			path.join(scripts, 'lib/nls/de/messages.js'),
+			path.join(scripts, 'lib/nls/fr/messages.js')
+		]);
+	});
+
+	test('should try resource as-is and as module for unknown plugin', () => {
+		const result = moduleResolver.resolve('hbs!templates/row', path.join(scripts, 'app/main.js'));
+
+		assert.deepEqual(result.candidates, [
+			path.join(scripts, 'lib/templates/row'),
+			path.join(scripts, 'lib/templates/row.js')
+		]);
+	});
+
+	test('should use plugin rules from configuration', () => {
+		const config = Object.assign(loadRequireConfig({ rootPath }), { plugins: { hbs: '.hbs' } });
+		const resolver = new ModuleResolver(config);
+		const result = resolver.resolve('hbs!templates/row', path.join(scripts, 'app/main.js'));
+
+		assert.deepEqual(result.candidates, [path.join(scripts, 'lib/templates/row.hbs')]);
+	});
+
+	test('should resolve plugin without resource to the plugin module', () => {
+		const result = moduleResolver.resolve('domReady!', path.join(scripts, 'app/main.js'));
+
+		assert.deepEqual(result.candidates, jsCandidates(path.join(scripts, 'lib/domReady')));
+	});
+
+	test('should derive module id from file path', () => {
+		assert.equal(moduleResolver.getModuleId(path.join(scripts, 'app/legacy.js')), 'app/legacy');
+		assert.equal(moduleResolver.getModuleId(path.join(scripts, 'lib/vendor/jquery.js')), 'jquery');
+		assert.equal(moduleResolver.getModuleId(path.join(rootPath, 'index.js')), null);
+	});
+
+	test('should search module roots in order and trace the tried files', () => {
+		const result = rootsResolver.resolveFile('jquery', path.join(moduleRoots, 'app/main.js'));
+
+		assert.equal(result.path, path.join(moduleRoots, 'bower_components/jquery.js'));
+		assert.deepEqual(result.trace, [
+			{ path: path.join(moduleRoots, 'app/jquery.js'), exists: false },
+			{ path: path.join(moduleRoots, 'app/jquery.jsx'), exists: false },
+			{ path: path.join(moduleRoots, 'app/jquery/index.js'), exists: false },
+			{ path: path.join(moduleRoots, 'app/jquery/index.jsx'), exists: false },
+			{ path: path.join(moduleRoots, 'bower_components/jquery.js'), exists: true }
+		]);
+		assert.equal(
+			rootsResolver.resolveFile('moment', path.join(moduleRoots, 'app/main.js')).path,
+			path.join(moduleRoots, 'vendor/moment.js')
+		);
+	});
+
+	test('should try candidate extensions and index files', () => {
+		const currentFilePath = path.join(moduleRoots, 'app/main.js');
+
+		assert.equal(
+			rootsResolver.resolveFile('widget', currentFilePath).path,
+			path.join(moduleRoots, 'app/widget.jsx')
+		);
+		assert.equal(
+			rootsResolver.resolveFile('components', currentFilePath).path,
+			path.join(moduleRoots, 'app/components/index.js')
+		);
+		assert.equal(rootsResolver.getModuleId(path.join(moduleRoots, 'app/widget.jsx')), 'widget');
+		assert.equal(rootsResolver.getModuleId(path.join(moduleRoots, 'vendor/moment.js')), 'moment');
+	});
+
+	test('should resolve bare ids to the entry file of installed packages', () => {
+		const currentFilePath = path.join(packagesRoot, 'scripts/app.js');
+		const lodash = packagesResolver.resolveFile('lodash', currentFilePath);
+
+		assert.equal(lodash.path, path.join(packagesRoot, 'node_modules/lodash/lodash.js'));
+		assert.equal(lodash.kind, 'package');
+		assert.deepEqual(lodash.detail, ['node_modules: lodash/package.json → lodash.js']);
+		assert.equal(
+			packagesResolver.resolveFile('jquery', currentFilePath).path,
+			path.join(packagesRoot, 'node_modules/jquery/dist/jquery.slim.js')
+		);
+		assert.equal(
+			packagesResolver.resolveFile('@scope/util', currentFilePath).path,
+			path.join(packagesRoot, 'node_modules/@scope/util/amd/util.js')
+		);
+		assert.equal(
+			packagesResolver.resolveFile('backbone', currentFilePath).path,
+			path.join(packagesRoot, 'bower_components/backbone/backbone.js')
+		);
+	});
+
+	test('should resolve ids inside of installed packages and skip packages which are not installed', () => {
+		const currentFilePath = path.join(packagesRoot, 'scripts/app.js');
+
+		assert.equal(
+			packagesResolver.resolveFile('lodash/debounce', currentFilePath).path,
+			path.join(packagesRoot, 'node_modules/lodash/debounce.js')
+		);
+		assert.deepEqual(packagesResolver.resolveFile('missing', currentFilePath).candidates, [
+			path.join(packagesRoot, 'scripts/missing.js'),
+			path.join(packagesRoot, 'scripts/missing/index.js')
+		]);
+		assert.equal(packagesResolver.resolveFile('./lodash', currentFilePath).path, undefined);
+	});
+
+	test('should resolve relative ids in the module root of the current file first', () => {
+		assert.equal(
+			rootsResolver.resolveFile('./util', path.join(moduleRoots, 'vendor/moment.js')).path,
+			path.join(moduleRoots, 'vendor/util.js')
+		);
+		assert.equal(
+			rootsResolver.resolveFile('./util', path.join(moduleRoots, 'app/main.js')).path,
+			path.join(moduleRoots, 'app/util.js')
+		);
+	});
+});
@@ -0,0 +1,116 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '..');
+const testFiles = path.join(rootPath, 'testFiles');
+const resolver = new ModuleResolver({ rootPath, baseUrl: testFiles });
+const vscodeStub = {
+	workspace: {
+		findFiles: () => Promise.resolve(['basic.js', 'newConstructor.js', 'moduleA.js', 'renameParameter.js']
+			.map(name => vscode.Uri.file(path.join(testFiles, name)))),
+		openTextDocument: vscode.workspace.openTextDocument,
+		getConfiguration: vscode.workspace.getConfiguration,
+		textDocuments: [],
+		createFileSystemWatcher: vscode.workspace.createFileSystemWatcher,
+		onDidChangeConfiguration: vscode.workspace.onDidChangeConfiguration
+	}
+};
+const resolverStub = { getWorkspaceResolver: () => resolver };
+const moduleIndex = proxyquire('../src/moduleIndex', { 'vscode': vscodeStub, './workspaceResolver': resolverStub });
+const moduleReferenceProvider = proxyquire('../src/moduleReferenceProvider', {
+	'./workspaceResolver': resolverStub,
+	'./moduleIndex': moduleIndex
+});
+const { RenameProvider } = proxyquire('../src/renameProvider', {
+	'vscode': vscodeStub,
+	'./moduleReferenceProvider': moduleReferenceProvider,
+	'./moduleIndex': moduleIndex
+});
+const renameProvider = new RenameProvider();
+const openTestFile = name => vscode.workspace.openTextDocument(path.join(testFiles, name));
+const describe = edit => edit.entries()
+	.map(([uri, edits]) => edits.map(item => [
+		path.basename(uri.fsPath),
+		item.range.start.line,
+		item.range.start.character,
+		item.newText
+	].join(':')))
+	.reduce((list, edits) => list.concat(edits), [])
+	.sort();
+
+suite('RenameProvider', () => {
+	test('should rename factory parameter inside its factory only', () =>
+		openTestFile('renameParameter.js')
+			.then(document => renameProvider.provideRenameEdits(document, new vscode.Position(1, 1), 'moduleA'))
+			.then(edit => {
+				assert.deepEqual(describe(edit), [
+					'renameParameter.js:0:41:moduleA',
+					'renameParameter.js:1:1:moduleA',
+					'renameParameter.js:7:19:a: moduleA',
+					'renameParameter.js:7:27:moduleA',
+					'renameParameter.js:8:8:moduleA'
+				]);
+			})
+	);
+
+	test('should skip nested functions and blocks declaring the parameter name', () =>
+		openTestFile('renameParameter.js')
+			.then(document => renameProvider.provideRenameEdits(document, new vscode.Position(1, 1), 'moduleA'))
+			.then(edit => {
+				const lines = describe(edit).map(item => Number(item.split(':')[1]));
+
+				assert.equal(lines.indexOf(5), -1);
+				assert.equal(lines.indexOf(6), -1);
+			})
+	);
+
+	test('should expand shorthand properties', () =>
+		openTestFile('renameParameter.js')
+			.then(document => renameProvider.provideRenameEdits(document, new vscode.Position(7, 19), 'moduleA'))
+			.then(edit => {
+				assert.ok(describe(edit).indexOf('renameParameter.js:7:19:a: moduleA') !== -1);
+			})
+	);
+
+	test('should rename member in module and in dependent modules', () =>
+		openTestFile('newConstructor.js')
+			.then(document => renameProvider.provideRenameEdits(document, new vscode.Position(2, 9), 'qux'))
+			.then(edit => {
+				assert.deepEqual(describe(edit), ['moduleA.js:5:8:qux', 'newConstructor.js:2:8:qux']);
+			})
+	);
+
+	test('should rename member from module file', () =>
+		openTestFile('moduleA.js')
+			.then(document => renameProvider.provideRenameEdits(document, new vscode.Position(2, 9), 'qux'))
+			.then(edit => {
+				assert.deepEqual(describe(edit), ['moduleA.js:2:8:qux', 'renameParameter.js:1:3:qux']);
+			})
+	);
+
+	test('should expand shorthand members and rename their uses inside the module', () =>
+		openTestFile('renameMember.js')
+			.then(document => renameProvider.provideRenameEdits(document, new vscode.Position(2, 13), 'bar'))
+			.then(edit => {
+				assert.deepEqual(describe(edit), ['renameMember.js:2:13:bar: foo', 'renameMember.js:4:5:bar']);
+			})
+	);
+
+	test('should leave other symbols to other rename providers', () =>
+		openTestFile('basic.js').then(document => {
+			assert.equal(renameProvider.prepareRename(document, new vscode.Position(3, 5)), undefined);
+			assert.equal(renameProvider.prepareRename(document, new vscode.Position(4, 9)).start.character, 8);
+			assert.equal(renameProvider.prepareRename(document, new vscode.Position(0, 42)).start.character, 41);
+		})
+	);
+
+	test('should reject invalid names', () =>
+		openTestFile('renameParameter.js')
+			.then(document => renameProvider.provideRenameEdits(document, new vscode.Position(1, 1), 'a-b'))
+			.then(() => assert.fail('should reject'), error => {
+				assert.equal(error.message, 'a-b is not a valid identifier');
+			})
+	);
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const path = require('path');
+const { parseRequireConfig, findDataMain, loadRequireConfig } = require('../src/requireConfig');
+const rootPath = path.join(__dirname, '../testFiles/requireConfig');
+
+suite('parseRequireConfig', () => {
+	test('should return config passed to requirejs.config', () => {
+		const input = 'requirejs.config({ baseUrl: \'js\', paths: { jquery: [\'cdn\', \'lib/jquery\'] } });';
+
+		assert.deepEqual(parseRequireConfig(input), {
+			baseUrl: 'js',
+			paths: { jquery: ['cdn', 'lib/jquery'] }
+		});
+	});
+
+	test('should merge consecutive configurations', () => {
+		const input = `
+			var require = { paths: { a: 'lib/a' }, map: { '*': { b: 'c' } } };
+			require.config({ paths: { b: 'lib/b' }, map: { '*': { d: 'e' } } });
+		`;
+
+		assert.deepEqual(parseRequireConfig(input), {
+			paths: { a: 'lib/a', b: 'lib/b' },
+			map: { '*': { b: 'c', d: 'e' } }
+		});
+	});
+
+	test('should skip values which cannot be evaluated statically', () => {
+		const input = 'require.config({ baseUrl: getBaseUrl(), waitSeconds: 15 });';
+
+		assert.deepEqual(parseRequireConfig(input), { waitSeconds: 15 });
+	});
+
+	test('should return null if there is no configuration', () => {
+		assert.equal(parseRequireConfig('define([\'a\'], function (a) {});'), null);
+		assert.equal(parseRequireConfig('require.config({'), null);
+	});
+});
+
+suite('findDataMain', () => {
+	test('should return data-main attribute', () => {
+		assert.equal(findDataMain('<script src="require.js" data-main="js/main"></script>'), 'js/main');
+	});
+
+	test('should return null without data-main', () => {
+		assert.equal(findDataMain('<script src="require.js"></script>'), null);
+	});
+});
+
+suite('loadRequireConfig', () => {
+	test('should follow data-main of html entry in workspace root', () => {
+		const config = loadRequireConfig({ rootPath });
+
+		assert.equal(config.baseUrl, path.join(rootPath, 'scripts/lib'));
+		assert.deepEqual(Object.keys(config.paths), ['app', 'jquery']);
+		assert.equal(config.packages.length, 2);
+		assert.deepEqual(config.files, [
+			path.join(rootPath, 'index.html'),
+			path.join(rootPath, 'scripts/main.js')
+		]);
+	});
+
+	test('should let modulePath override baseUrl', () => {
+		const config = loadRequireConfig({ rootPath, configFile: 'scripts/main.js', modulePath: 'scripts' });
+
+		assert.equal(config.baseUrl, path.join(rootPath, 'scripts'));
+		assert.deepEqual(config.files, [path.join(rootPath, 'scripts/main.js')]);
+	});
+
+	test('should use the first of several module paths as baseUrl', () => {
+		const config = loadRequireConfig({ rootPath, modulePath: ['scripts/app', 'scripts/lib'] });
+
+		assert.equal(config.baseUrl, path.join(rootPath, 'scripts/app'));
+		assert.deepEqual(config.moduleRoots, [path.join(rootPath, 'scripts/app'), path.join(rootPath, 'scripts/lib')]);
+	});
+
+	test('should default to workspace root without configuration', () => {
+		const config = loadRequireConfig({ rootPath: path.join(rootPath, 'scripts/app') });
+
+		assert.equal(config.baseUrl, path.join(rootPath, 'scripts/app'));
+		assert.deepEqual(config.paths, {});
+	});
+});
@@ -4,6 +4,8 @@ const rootPath = __dirname.replace('test', '').replace(/\\/g, '/');
 const vscodeStub = Object.assign(vscode, {
 	workspace: {
 		rootPath,
+		textDocuments: [],
+		getWorkspaceFolder: vscode.workspace.getWorkspaceFolder,
 		openTextDocument: vscode.workspace.openTextDocument,
 		getConfiguration () {
 			return { get: conf => conf === 'modulePath' ? 'testFiles' : false };
@@ -14,6 +16,13 @@ const assert = require('assert');
 const proxyquire = require('proxyquire');
 const { ReferenceProvider } = proxyquire('../extension', { vscode: vscodeStub });
 const referenceProvider = new ReferenceProvider();
+const { ModuleResolver } = require('../src/moduleResolver');
+const packagesRoot = normalize(`${__dirname}/../testFiles/packages`);
+const packagesResolver = new ModuleResolver({ rootPath: packagesRoot, baseUrl: normalize(`${packagesRoot}/scripts`) });
+const { ReferenceProvider: PackagesReferenceProvider } = proxyquire('../extension', {
+	'vscode': vscodeStub,
+	'./src/workspaceResolver': { getWorkspaceResolver: () => packagesResolver }
+});
 
 suite('searchModule', () => {
 	test('should resolve with path for moduleA.js', () => {
@@ -31,4 +40,70 @@ suite('searchModule', () => {
 				assert.equal(result.range._start._character, 8);
 			});
 	});
+
+	test('should find member key of a module defined as object literal', () => {
+		return referenceProvider.searchModule('../testFiles/test3.js', 'objectModule', 'count', true)
+			.then(result => {
+				assert.equal(normalize(result.uri.path), normalize(`/${rootPath}testFiles/objectModule.js`));
+				assert.equal(result.range._start._line, 6);
+				assert.equal(result.range._start._character, 4);
+			});
+	});
+
+	test('should find member key returned by a named module without dependencies', () => {
+		return referenceProvider.searchModule('../testFiles/test3.js', 'namedFactory', 'qux', false)
+			.then(result => {
+				assert.equal(result.range._start._line, 5);
+				assert.equal(result.range._start._character, 8);
+				assert.equal(result.range._end._character, 11);
+			});
+	});
+
+	test('should not open files for special dependencies', () => {
+		const filePath = '../testFiles/specialDependencies.js';
+		const searches = ['require', 'exports', 'module']
+			.map(id => referenceProvider.searchModule(filePath, id, '', true));
+
+		return Promise.all(searches)
+			.then(results => {
+				assert.deepEqual(results, [undefined, undefined, undefined]);
+			});
+	});
+
+	test('should find member where an installed library defines it', () => {
+		const appPath = normalize(`${packagesRoot}/scripts/app.js`);
+
+		return new PackagesReferenceProvider().searchModule(appPath, 'lodash', 'debounce', false)
+			.then(result => {
+				assert.equal(result.uri.fsPath, normalize(`${packagesRoot}/node_modules/lodash/lodash.js`));
+				assert.equal(result.range._start._line, 4);
+				assert.equal(result.range._start._character, 13);
+			});
+	});
+
+	test('should prefer definitions of library members over other occurrences', () => {
+		const source = '// identity()\nvar x = lib.identity(1);\nlib.identity = function () {};';
+		const comments = referenceProvider.findComments(source);
+		const offset = referenceProvider.findMemberDefinition(source, 'identity', comments);
+
+		assert.equal(offset, source.lastIndexOf('identity'));
+		assert.equal(referenceProvider.findMemberDefinition(source, 'missing', []), -1);
+	});
+
+	test('should find library members whose names contain $', () => {
+		const source = 'var a$b = 1;\nlib.$ = function () {};\nvar api = { $b: 2, $: 3 };';
+
+		assert.equal(referenceProvider.findMemberDefinition(source, '$', []), source.indexOf('$ ='));
+		assert.equal(referenceProvider.findMemberDefinition(source, '$b', []), source.indexOf('$b:'));
+	});
+
+	test('should find occurrences of names containing $ in modules without such member', () => {
+		const filePath = normalize(`${rootPath}testFiles/dollarUsage.js`);
+
+		return referenceProvider.searchModuleFile(filePath, { id: 'dollarUsage', kind: 'modulePath' }, '$', true)
+			.then(result => {
+				assert.equal(result.range._start._line, 0);
+				assert.equal(result.range._start._character, 29);
+			});
+	});
 });
@@ -0,0 +1,60 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const multiRoot = path.join(__dirname, '../testFiles/multiRoot');
+const folders = ['app', 'shared'].map((name, index) => ({
+	name,
+	index,
+	uri: vscode.Uri.file(path.join(multiRoot, name))
+}));
+const folderSettings = { app: {}, shared: { modulePath: 'lib', extensions: ['.js', '.jsx'] } };
+const { getWorkspaceResolver, getWorkspaceRoot, getModuleGlob, isModuleFile } = proxyquire('../src/workspaceResolver', {
+	vscode: Object.assign({}, vscode, {
+		workspace: {
+			workspaceFolders: folders,
+			getWorkspaceFolder: uri => folders.find(folder => (uri.fsPath + path.sep)
+				.indexOf(folder.uri.fsPath + path.sep) === 0),
+			getConfiguration: (section, uri) => ({ get: key => folderSettings[path.basename(uri.fsPath)][key] })
+		}
+	})
+});
+
+suite('getWorkspaceResolver', () => {
+	const appFile = path.join(multiRoot, 'app/scripts/app.js');
+	const sharedFile = path.join(multiRoot, 'shared/lib/main.js');
+
+	test('should resolve with the configuration of the folder containing the file', () => {
+		const resolver = getWorkspaceResolver(appFile);
+
+		assert.equal(resolver.rootPath, path.join(multiRoot, 'app'));
+		assert.equal(resolver.resolveFile('app', appFile).path, appFile);
+	});
+
+	test('should resolve ids of a package located in another folder', () => {
+		const resolver = getWorkspaceResolver(appFile);
+
+		assert.equal(resolver.resolveFile('shared', appFile).path, sharedFile);
+		assert.equal(resolver.resolveFile('shared/util', appFile).path, path.join(multiRoot, 'shared/lib/util.js'));
+	});
+
+	test('should use the settings of the folder containing the file', () => {
+		const resolver = getWorkspaceResolver(sharedFile);
+
+		assert.equal(resolver.resolveFile('util', sharedFile).path, path.join(multiRoot, 'shared/lib/util.js'));
+		assert.equal(resolver.getModuleId(sharedFile), 'main');
+		assert.strictEqual(getWorkspaceResolver(sharedFile), resolver);
+		assert.notStrictEqual(getWorkspaceResolver(appFile), resolver);
+	});
+
+	test('should use the first folder for files outside of the workspace', () => {
+		assert.equal(getWorkspaceRoot(path.join(__dirname, 'workspaceResolver.test.js')), path.join(multiRoot, 'app'));
+		assert.equal(getWorkspaceResolver().rootPath, path.join(multiRoot, 'app'));
+	});
+
+	test('should match module files with the extensions of every folder', () => {
+		assert.equal(getModuleGlob(), '**/*.{js,jsx}');
+		assert.ok(isModuleFile(path.join(multiRoot, 'shared/lib/view.jsx')));
+		assert.ok(!isModuleFile(path.join(multiRoot, 'app/scripts/view.jsx')));
+	});
+});
@@ -0,0 +1,51 @@
+const vscode = require('vscode');
+const assert = require('assert');
+const path = require('path');
+const proxyquire = require('proxyquire');
+const { ModuleResolver } = require('../src/moduleResolver');
+const rootPath = path.join(__dirname, '..');
+const testFiles = path.join(rootPath, 'testFiles');
+const resolver = new ModuleResolver({ rootPath, baseUrl: testFiles });
+const resolverStub = { getWorkspaceResolver: () => resolver };
+const { ModuleIndex } = proxyquire('../src/moduleIndex', { './workspaceResolver': resolverStub });
+const { WorkspaceSymbolProvider } = require('../src/workspaceSymbolProvider');
+
+suite('WorkspaceSymbolProvider', () => {
+	const index = new ModuleIndex();
+
+	index.loading = Promise.resolve(index);
+	index.addFile(path.join(testFiles, 'moduleA.js'),
+		'define("moduleA", function () {\n\treturn { foo: 1, baz: function () {} };\n});');
+	index.addFile(path.join(testFiles, 'newConstructor.js'),
+		'define(function () {\n\tfunction A () {}\n\tA.prototype.baz = 1;\n\treturn A;\n});');
+
+	test('should find members by module id and member name', () => {
+		const symbolProvider = new WorkspaceSymbolProvider(index);
+
+		return symbolProvider.provideWorkspaceSymbols('moduleA.baz').then(symbols => {
+			assert.equal(symbols.length, 1);
+			assert.equal(symbols[0].name, 'moduleA.baz');
+			assert.equal(symbols[0].kind, vscode.SymbolKind.Method);
+			assert.equal(symbols[0].containerName, 'moduleA');
+			assert.equal(symbols[0].location.uri.fsPath, path.join(testFiles, 'moduleA.js'));
+			assert.equal(symbols[0].location.range.start.line, 1);
+			assert.equal(symbols[0].location.range.start.character, 18);
+		});
+	});
+
+	test('should list modules and prototype members', () => {
+		const symbolProvider = new WorkspaceSymbolProvider(index);
+
+		return symbolProvider.provideWorkspaceSymbols('').then(symbols => {
+			assert.deepEqual(symbols.map(symbol => symbol.name), [
+				'moduleA',
+				'moduleA.foo',
+				'moduleA.baz',
+				'newConstructor',
+				'newConstructor.prototype.baz'
+			]);
+			assert.equal(symbols[3].kind, vscode.SymbolKind.Module);
+			assert.equal(symbols[4].kind, vscode.SymbolKind.Property);
+		});
+	});
+});
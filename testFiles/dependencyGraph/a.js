@@ -0,0 +1,3 @@
+define(['b', 'text!template.html'], function (b, template) {
+    return b;
+});
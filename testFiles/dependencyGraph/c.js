@@ -0,0 +1,3 @@
+define(['a', 'd', 'missing'], function (a, d) {
+    return d;
+});
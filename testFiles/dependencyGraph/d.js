@@ -0,0 +1,5 @@
+define(function (require) {
+    var a = require('a');
+
+    return {};
+});
@@ -0,0 +1,3 @@
+require(['a'], function (a) {
+    a();
+});
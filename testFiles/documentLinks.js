@@ -0,0 +1,3 @@
+define(['moduleA', 'dependencyGraph/b', 'text!dependencyGraph/template.html', 'missing/module.name', 'require'], function (a, b, template, missing, require) {
+	return require('./moduleB');
+});
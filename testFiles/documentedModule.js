@@ -0,0 +1,13 @@
+/**
+ * Formats dates
+ */
+define(function () {
+	return {
+		/**
+		 * Formats a date as an ISO string
+		 */
+		format: function (date) {
+			return date.toISOString();
+		}
+	};
+});
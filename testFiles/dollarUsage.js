@@ -0,0 +1,3 @@
+define(['jquery'], function ($) {
+	return $.extend({}, { version: 1 });
+});
@@ -0,0 +1,5 @@
+define(['documentedModule', 'missingModule'], function (dates, missing) {
+	dates.format(new Date());
+	// dates
+	return require('documentedModule').format;
+});
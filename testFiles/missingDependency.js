@@ -0,0 +1,5 @@
+define(['moduleA'], function (a) {
+	a.foo();
+	moduleB.prop;
+	_.each([]);
+});
@@ -0,0 +1,3 @@
+require(['jquery', 'moment', 'widget', 'components', './util'], function ($, moment, widget, components, util) {
+    widget.render();
+});
@@ -0,0 +1,7 @@
+define(['shared', 'shared/util'], function (shared, util) {
+    return {
+        start: function () {
+            util.log(shared.name);
+        }
+    };
+});
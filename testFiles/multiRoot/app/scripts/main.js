@@ -0,0 +1,10 @@
+requirejs.config({
+    baseUrl: 'scripts',
+    packages: [
+        { name: 'shared', location: '../../shared/lib' }
+    ]
+});
+
+require(['app'], function (app) {
+    app.start();
+});
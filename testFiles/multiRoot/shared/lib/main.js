@@ -0,0 +1,5 @@
+define(['util'], function (util) {
+    return {
+        name: 'shared'
+    };
+});
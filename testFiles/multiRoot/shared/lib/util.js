@@ -0,0 +1,5 @@
+define(function () {
+    return {
+        log: function () {}
+    };
+});
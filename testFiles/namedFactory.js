@@ -0,0 +1,8 @@
+define('namedFactory', function () {
+    // qux is kept in a local variable first
+    var qux = 1;
+
+    return {
+        qux: qux
+    };
+});
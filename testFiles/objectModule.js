@@ -0,0 +1,8 @@
+define({
+    size: function () {
+        var count = 0;
+
+        return count;
+    },
+    count: 2
+});
@@ -0,0 +1,3 @@
+define(['lodash', 'jquery', 'backbone', '@scope/util', 'lodash/debounce'], function (_, $, Backbone, util, debounce) {
+    _.debounce(function () {}, 100);
+});
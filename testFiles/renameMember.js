@@ -0,0 +1,8 @@
+define(function () {
+	var foo = 1;
+	var api = { foo };
+
+	api.foo += 1;
+
+	return api;
+});
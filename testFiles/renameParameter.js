@@ -0,0 +1,10 @@
+define(['moduleA', 'moduleB'], function (a, b) {
+	a.foo(b);
+	require(['moduleC'], function (a) {
+		a.bar();
+	});
+	function inner (a) { return a; }
+	const values = [b].map(value => { let a = value; return a; });
+	const options = { a, key: a.key };
+	return a;
+});
@@ -0,0 +1,3 @@
+define(['underscore'], function(_) {
+    return _;
+});
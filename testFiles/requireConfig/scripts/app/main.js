@@ -0,0 +1,3 @@
+define(['jquery', 'widgets', './legacy'], function($, widgets, legacy) {
+    $.ajax();
+});
@@ -0,0 +1,7 @@
+define({
+    root: {
+        title: 'Title'
+    },
+    de: true,
+    fr: true
+});
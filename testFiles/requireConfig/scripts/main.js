@@ -0,0 +1,22 @@
+requirejs.config({
+    baseUrl: 'scripts/lib',
+    paths: {
+        app: '../app',
+        // Falls back to the local copy
+        jquery: ['//code.jquery.com/jquery', 'vendor/jquery'],
+    },
+    map: {
+        '*': {
+            underscore: 'lodash'
+        },
+        'app/legacy': {
+            lodash: 'vendor/lodash-legacy'
+        }
+    },
+    packages: [
+        { name: 'widgets', location: '../widgets', main: './index.js' },
+        'dojo'
+    ]
+});
+
+requirejs(['app/main']);
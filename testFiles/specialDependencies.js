@@ -0,0 +1,3 @@
+define(['require', 'exports', 'module', 'moduleA'], function (require, exports, module, moduleA) {
+    exports.value = moduleA.foo;
+});
@@ -0,0 +1,3 @@
+define(['moduleB', 'moduleA', 'moduleC'], function (b, a, c) {
+	return a(b);
+});